@@ -2,29 +2,66 @@
 
 const fs = require('fs');
 const csv = require('csv-parser');
-const { Builder } = require('xml2js');
+const { Builder, Parser, parseStringPromise } = require('xml2js');
 const { program } = require('commander');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const cliProgress = require('cli-progress');
 const puppeteer = require('puppeteer');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 
 // テスト環境では引数解析をスキップ
 let options = {};
 if (require.main === module) {
   program
     .version('1.0.0')
-    .description('Convert Pocket CSV export to Evernote ENEX format')
-    .requiredOption('-i, --input <file>', 'Input CSV file path')
-    .requiredOption('-o, --output <file>', 'Output ENEX file path')
-    .option('-l, --limit <number>', 'Limit number of records to convert', '999999')
+    .description('Convert Pocket (and other read-later) exports to Evernote ENEX format')
+    .requiredOption('-i, --input <file>', 'Input file: Pocket CSV, ZIP or HTML export, Instapaper or Raindrop CSV export, or browser bookmarks HTML')
+    .requiredOption('-o, --output <file>', 'Output file path (a folder for --format markdown and html)')
+    .option('--input-format <type>', 'Input format: auto (detect from the file), pocket, pocket-zip, pocket-html, instapaper, raindrop or bookmarks', 'auto')
+    .option('--map <field=column>', 'Map input columns to fields, e.g. url=link,title=name,time_added=date (fields: title, url, time_added, tags, status, time_read, favorite)')
+    .option('--on-invalid <policy>', 'What to do with invalid rows (missing URL, bad time_added, unknown status): skip, fix or abort', 'fix')
+    .option('-l, --limit <number>', 'Limit number of records to convert (counted after filters)', '999999')
+    .option('--status <list>', 'Only convert items with these statuses, e.g. unread or unread,archive')
+    .option('--tag <list>', 'Only convert items with at least one of these tags (comma-separated)')
+    .option('--exclude-tag <list>', 'Skip items with any of these tags (comma-separated)')
+    .option('--added-after <date>', 'Only convert items added on or after this date (e.g. 2023-01-01, UTC)')
+    .option('--added-before <date>', 'Only convert items added before this date (e.g. 2024-01-01, UTC)')
+    .option('--domain <list>', 'Only convert items from these domains, including subdomains (comma-separated)')
+    .option('--exclude-domain <list>', 'Skip items from these domains, including subdomains (comma-separated)')
+    .option('--no-dedupe', 'Keep duplicate items instead of merging items with the same canonical URL')
+    .option('--tag-rules <file>', 'JSON file with tag rules: aliases, regex renames, case folding, removal, prefix, domain and status tags')
+    .option('--status-tags [mapping]', 'Tag items by Pocket status (default: unread=pocket:unread,archive=pocket:archive)')
+    .option('--status-notebooks [mapping]', 'Write one ENEX file per notebook by Pocket status (default: unread=Pocket Unread,archive=Pocket Archive)')
+    .option('--favorite-tag [tag]', 'Tag items marked as favorite in the export (default: pocket:favorite)')
+    .option('--updated <source>', 'Set each note\'s updated date from: added (time_added), read (time_read when present) or scraped (time of scraping)', 'added')
+    .option('--unread-reminders', 'Add unread items to Evernote reminders, ordered by date added')
+    .option('--reminder-time <date>', 'Also give unread items a reminder date, e.g. 2025-07-01T09:00:00Z (implies --unread-reminders)')
     .option('-s, --scrape', 'Enable web scraping to extract full article content')
     .option('-t, --timeout <number>', 'Scraping timeout in milliseconds', '7000')
     .option('--fallback-browser', 'Use headless browser as fallback when lightweight scraping fails')
     .option('--resume', 'Resume from previous checkpoint')
+    .option('--retry-failed [report]', 'Re-scrape only the records in the previous failure report and update the output ENEX (requires --scrape)')
+    .option('--force-browser', 'Scrape with the headless browser only, skipping lightweight scraping')
     .option('--checkpoint-interval <number>', 'Save checkpoint every N records', '100')
     .option('--batch-size <number>', 'Process records in batches of N (parallel)', '10')
+    .option('--domain-concurrency <number>', 'Maximum simultaneous requests to the same host', '2')
+    .option('--domain-delay <ms>', 'Minimum delay between requests to the same host', '1000')
+    .option('--domain-limits <file>', 'JSON file with per-domain overrides, e.g. {"example.com": {"concurrency": 1, "delay": 5000}}')
+    .option('--retries <number>', 'Retry transient failures (timeouts, connection resets, 429, 5xx) up to N times', '2')
+    .option('--retry-delay <ms>', 'Base delay for exponential backoff between retries', '1000')
+    .option('--max-retry-delay <ms>', 'Maximum delay between retries (longer Retry-After values are not waited for)', '30000')
+    .option('--embed-images', 'Download article images and embed them in notes (requires --scrape)')
+    .option('--max-images <number>', 'Maximum number of images to embed per note', '20')
+    .option('--max-image-size <bytes>', 'Skip images larger than this size in bytes', '5242880')
+    .option('--attach-files', 'Download PDFs and other binary bookmarks and attach them to notes (requires --scrape)')
+    .option('--max-attachment-size <bytes>', 'Skip attachments larger than this size in bytes', '20971520')
+    .option('--extract-pdf-text', 'Add the text of attached PDFs to the note body for searching')
+    .option('--format <type>', 'Output format: enex, markdown (one .md file per item, Obsidian compatible), html (static archive with index.html) or jex (Joplin export)', 'enex')
+    .option('--attachments-dir <name>', 'Folder inside the Markdown/HTML output for downloaded images and files', 'attachments')
     .parse(process.argv);
 
   options = program.opts();
@@ -39,19 +76,45 @@ const getAxiosConfig = () => ({
   }
 });
 
+// スクレイピング統計の初期値
+function createScrapeStats() {
+  return {
+    methods: {},
+    errors: {},
+    bytesDownloaded: 0,
+    contentBytes: 0,
+    totalDurationMs: 0,
+    retries: 0,
+    recoveredByRetry: 0
+  };
+}
+
+// チェックポイントやレポートのパスの元になる出力先（.enexと末尾の区切り文字を除く）
+function getOutputBase(outputPath) {
+  return outputPath.replace(/[\\/]+$/, '').replace(/\.enex$/, '');
+}
+
 // チェックポイント管理クラス
 class CheckpointManager {
   constructor(outputPath, options = {}) {
     this.outputPath = outputPath;
-    this.checkpointPath = outputPath.replace(/\.enex$/, '.checkpoint.json');
+    this.checkpointPath = `${getOutputBase(outputPath)}.checkpoint.json`;
     this.interval = parseInt(options.checkpointInterval || 100);
     this.batchSize = parseInt(options.batchSize || 10);
+    this.writer = null;
+    // 最後に中間ENEXを保存した時点のノート数（新しいノートがなければ保存しない）
+    this.snapshotNoteCount = null;
     this.progress = {
       processedCount: 0,
       totalCount: 0,
       lastProcessedIndex: -1,
       failedUrls: [],
       processedNotes: [],
+      enexBytes: 0,
+      notesWritten: 0,
+      scrapeStats: createScrapeStats(),
+      enmlStats: { repaired: 0, quarantined: [] },
+      dedupe: { canonicalKeys: [], duplicates: [] },
       timestamp: Date.now(),
       startTime: Date.now()
     };
@@ -93,34 +156,33 @@ class CheckpointManager {
     }
   }
 
+  // ノートの出力先となるストリーミングENEXライターを設定
+  attachWriter(writer) {
+    this.writer = writer;
+  }
+
   // 中間ENEXファイルを保存
   saveIntermediateEnex() {
-    if (this.progress.processedNotes.length === 0) return;
+    if (!this.writer && this.progress.processedNotes.length === 0) return;
+    // Markdownなど1件ごとにファイルを書く出力は、書き込み済みのファイルがそのまま中間出力になる
+    if (this.writer && !this.writer.snapshot) return;
+    // 前回の保存から失敗したレコードしかない場合は同じ内容のコピーを作らない
+    if (this.writer && this.writer.noteCount === this.snapshotNoteCount) return;
 
     try {
-      const intermediatePath = this.outputPath.replace(/\.enex$/, `.checkpoint_${this.progress.processedCount}.enex`);
-      const enexData = createEnexStructure(this.progress.processedNotes);
-      const builder = new Builder({
-        xmldec: { version: '1.0', encoding: 'UTF-8' },
-        renderOpts: { pretty: true, indent: '  ' }
-      });
-
-      let xml = builder.buildObject(enexData)
-        .replace(/<content>(.+?)<\/content>/gs, (match, p1) => {
-          const decodedContent = p1
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"');
-          return `<content>\n      <![CDATA[${decodedContent}]]>\n    </content>`;
-        });
-
-      xml = xml.replace(
-        '<?xml version="1.0" encoding="UTF-8"?>',
-        '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">'
-      );
-
-      fs.writeFileSync(intermediatePath, xml);
+      const intermediatePath = `${getOutputBase(this.outputPath)}.checkpoint_${this.progress.processedCount}.enex`;
+      if (this.writer) {
+        // 書き込み中のENEXをそのまま完結したファイルとしてコピー
+        this.writer.snapshot(intermediatePath);
+        this.snapshotNoteCount = this.writer.noteCount;
+      } else {
+        const writer = new EnexWriter(intermediatePath).open();
+        try {
+          this.progress.processedNotes.forEach(note => writer.writeNote(note));
+        } finally {
+          writer.close();
+        }
+      }
       // コンソール出力を削除（進捗バーを中断しない）
     } catch (error) {
       // エラーメッセージも抑制（進捗バーを中断しない）
@@ -128,17 +190,30 @@ class CheckpointManager {
   }
 
   // 進捗を更新
-  updateProgress(processedCount, totalCount, lastIndex, note = null, failedUrl = null) {
+  // failureは失敗レポートのエントリ（createFailureEntry）
+  updateProgress(processedCount, totalCount, lastIndex, note = null, failure = null) {
     this.progress.processedCount = processedCount;
     this.progress.totalCount = totalCount;
     this.progress.lastProcessedIndex = lastIndex;
 
-    if (note) {
+    if (note && this.writer) {
+      // ライター使用時はメモリに保持せず出力し、再開位置を記録
+      this.writer.writeNote(note);
+      this.progress.enexBytes = this.writer.bytesWritten;
+      this.progress.notesWritten = this.writer.noteCount;
+      if (this.writer.getResumeState) {
+        this.progress.writerState = this.writer.getResumeState();
+      }
+    } else if (note) {
       this.progress.processedNotes.push(note);
     }
 
-    if (failedUrl) {
-      this.progress.failedUrls.push(failedUrl);
+    if (note) {
+      this.recordEnmlReport(note, lastIndex);
+    }
+
+    if (failure) {
+      this.progress.failedUrls.push(failure);
     }
 
     // チェックポイント間隔でセーブ（サイレント）
@@ -148,6 +223,53 @@ class CheckpointManager {
     }
   }
 
+  // スクレイピング結果を統計に反映
+  recordScrapeResult(scrapeResult) {
+    if (!scrapeResult) return;
+    
+    // 旧バージョンのチェックポイントには統計がない
+    if (!this.progress.scrapeStats) {
+      this.progress.scrapeStats = createScrapeStats();
+    }
+    
+    const stats = this.progress.scrapeStats;
+    const key = scrapeResult.status === 'success' ? scrapeResult.method : 'failed';
+    stats.methods[key] = (stats.methods[key] || 0) + 1;
+    if (scrapeResult.errorClass) {
+      stats.errors[scrapeResult.errorClass] = (stats.errors[scrapeResult.errorClass] || 0) + 1;
+    }
+    stats.bytesDownloaded += scrapeResult.bytesDownloaded || 0;
+    stats.contentBytes += scrapeResult.contentBytes || 0;
+    stats.totalDurationMs += scrapeResult.durationMs || 0;
+    // 旧バージョンの統計には再試行の項目がない
+    stats.retries = (stats.retries || 0) + (scrapeResult.retries || 0);
+    if (scrapeResult.status === 'success' && scrapeResult.retries > 0) {
+      stats.recoveredByRetry = (stats.recoveredByRetry || 0) + 1;
+    }
+  }
+
+  // ノートのENML検証結果を統計に反映
+  recordEnmlReport(note, index) {
+    const report = note.enmlReport;
+    if (!report) return;
+
+    // 旧バージョンのチェックポイントには検証結果の項目がない
+    if (!this.progress.enmlStats) {
+      this.progress.enmlStats = { repaired: 0, quarantined: [] };
+    }
+
+    if (report.quarantined) {
+      this.progress.enmlStats.quarantined.push({
+        index,
+        url: report.url,
+        title: report.title,
+        errors: report.errors
+      });
+    } else if (report.repaired) {
+      this.progress.enmlStats.repaired++;
+    }
+  }
+
   // チェックポイントファイルを削除
   cleanup() {
     try {
@@ -172,6 +294,34 @@ class CheckpointManager {
     console.log(`  Processing rate: ${rate.toFixed(2)} items/sec`);
     console.log(`  Elapsed time: ${(elapsed / 1000 / 60).toFixed(1)} minutes`);
     
+    // スクレイピング手法とエラー種別の内訳
+    const stats = this.progress.scrapeStats;
+    if (stats && Object.keys(stats.methods).length > 0) {
+      const scrapedCount = Object.values(stats.methods).reduce((sum, count) => sum + count, 0);
+      const formatCounts = counts => Object.entries(counts).map(([name, count]) => `${name}=${count}`).join(', ');
+      console.log(`  Scraping methods: ${formatCounts(stats.methods)}`);
+      if (Object.keys(stats.errors).length > 0) {
+        console.log(`  Error classes: ${formatCounts(stats.errors)}`);
+      }
+      if (stats.retries > 0) {
+        console.log(`  Retries: ${stats.retries} (${stats.recoveredByRetry || 0} records recovered)`);
+      }
+      console.log(`  Downloaded: ${(stats.bytesDownloaded / 1024 / 1024).toFixed(1)} MB`);
+      console.log(`  Average scrape time: ${(stats.totalDurationMs / scrapedCount / 1000).toFixed(2)} sec`);
+    }
+    
+    // ENMLの修復と隔離の件数
+    const enmlStats = this.progress.enmlStats;
+    if (enmlStats && (enmlStats.repaired > 0 || enmlStats.quarantined.length > 0)) {
+      console.log(`  ENML repaired: ${enmlStats.repaired}, quarantined: ${enmlStats.quarantined.length}`);
+    }
+    
+    // スクレイピング後にrel=canonicalで判明した重複
+    const dedupe = this.progress.dedupe;
+    if (dedupe && dedupe.duplicates.length > 0) {
+      console.log(`  Duplicates skipped (rel=canonical): ${dedupe.duplicates.length}`);
+    }
+    
     // チェックポイント情報を追加
     if (this.interval && this.progress.processedCount > 0) {
       const checkpointCount = Math.floor(this.progress.processedCount / this.interval);
@@ -182,14 +332,15 @@ class CheckpointManager {
   }
 }
 
+// UNIX時刻をENEXの日時（UTC、20171003T080737Z）に変換
 function formatDate(timestamp) {
   const date = new Date(parseInt(timestamp) * 1000);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const hours = String(date.getUTCHours()).padStart(2, '0');
+  const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+  const seconds = String(date.getUTCSeconds()).padStart(2, '0');
   return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
 }
 
@@ -234,684 +385,4069 @@ function isBinaryUrl(url) {
   }
 }
 
-async function scrapeContent(url) {
+// ENMLで許可されている要素（記事構造の保持に必要なもの）
+const ENML_ALLOWED_ELEMENTS = new Set([
+  'p', 'div', 'span', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col',
+  'pre', 'code', 'blockquote', 'q', 'cite', 'abbr', 'acronym', 'address',
+  'a', 'b', 'i', 'em', 'strong', 'u', 's', 'strike', 'del', 'ins',
+  'sub', 'sup', 'small', 'big', 'tt', 'kbd', 'samp', 'var', 'dfn'
+]);
+
+// 要素ごとに残す属性
+const ENML_ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  td: ['colspan', 'rowspan', 'align', 'valign'],
+  th: ['colspan', 'rowspan', 'align', 'valign'],
+  col: ['span', 'width'],
+  colgroup: ['span', 'width'],
+  ol: ['start', 'type'],
+  abbr: ['title'],
+  acronym: ['title']
+};
+
+// 中身ごと削除する要素
+const ENML_DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'select', 'textarea', 'option', 'label', 'fieldset', 'legend',
+  'svg', 'canvas', 'video', 'audio', 'source', 'track', 'map', 'area',
+  'head', 'title', 'meta', 'link', 'base', 'template', 'dialog'
+]);
+
+// 許可されていないがブロックとして扱う要素（divに置き換える）
+const ENML_BLOCK_FALLBACK_ELEMENTS = new Set([
+  'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure', 'figcaption',
+  'details', 'summary', 'center', 'body', 'html'
+]);
+
+// 空の場合に削除するブロック要素
+const ENML_REMOVABLE_WHEN_EMPTY = new Set([
+  'p', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol', 'blockquote',
+  'b', 'i', 'em', 'strong', 'u', 'small', 'a', 'code', 'pre'
+]);
+
+function escapeXmlText(text) {
+  return removeInvalidXmlChars(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// リンク先を絶対URLに解決（http/https/mailto以外は除外）
+function resolveEnmlHref(href, baseUrl) {
+  if (!href) return null;
   try {
-    // バイナリファイルの場合は専用処理
-    if (isBinaryUrl(url)) {
-      const escapedUrl = url.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname.toLowerCase();
-      const filename = pathname.split('/').pop() || 'file';
-      
-      // ファイル種別に応じた処理
-      if (pathname.match(/\.(jpg|jpeg|png|gif|webp|bmp|svg|ico|tiff|tif|psd|ai|eps)$/i)) {
-        return `<div>
-<img src="${escapedUrl}" alt="Image"/>
-<p>Image: ${filename}</p>
-</div>`;
-      } else if (pathname.match(/\.(mp4|avi|mov|wmv|flv|webm|mkv|m4v|3gp|ogv|mpg|mpeg)$/i)) {
-        return `<div>
-<p>Video file: <a href="${escapedUrl}">${filename}</a></p>
-<p><em>Video preview not available in Evernote</em></p>
-</div>`;
-      } else if (pathname.match(/\.(mp3|wav|ogg|m4a|aac|flac|wma|opus|amr)$/i)) {
-        return `<div>
-<p>Audio file: <a href="${escapedUrl}">${filename}</a></p>
-<p><em>Audio preview not available in Evernote</em></p>
-</div>`;
-      } else if (pathname.match(/\.(pdf)$/i)) {
-        return `<div>
-<p>PDF document: <a href="${escapedUrl}">${filename}</a></p>
-</div>`;
-      } else if (pathname.match(/\.(doc|docx|xls|xlsx|ppt|pptx|odt|ods|odp|rtf)$/i)) {
-        return `<div>
-<p>Document: <a href="${escapedUrl}">${filename}</a></p>
-</div>`;
-      } else if (pathname.match(/\.(zip|rar|7z|tar|gz|bz2|xz|dmg|iso)$/i)) {
-        return `<div>
-<p>Archive file: <a href="${escapedUrl}">${filename}</a></p>
-</div>`;
-      } else {
-        const ext = pathname.split('.').pop() || 'unknown';
-        return `<div>
-<p>Binary file (${ext.toUpperCase()}): <a href="${escapedUrl}">${filename}</a></p>
-</div>`;
-      }
-    }
-    
-    const response = await axios.get(url, getAxiosConfig());
-    
-    // Content-Typeをチェック
-    const contentType = response.headers['content-type'] || '';
-    
-    // HTMLコンテンツでない場合はバイナリファイルとして処理
-    if (!contentType.includes('text/html') && !contentType.includes('text/plain')) {
-      const urlObj = new URL(url);
-      const filename = urlObj.pathname.split('/').pop() || 'file';
-      const mimeType = contentType.split(';')[0].trim();
-      
-      return `<div>
-<p>File: <a href="${url.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}">${filename}</a></p>
-<p><small>Content-Type: ${mimeType}</small></p>
-</div>`;
+    const resolved = baseUrl ? new URL(href.trim(), baseUrl) : new URL(href.trim());
+    if (!['http:', 'https:', 'mailto:'].includes(resolved.protocol)) {
+      return null;
     }
-    
-    // エンコーディングを検出
-    const encoding = detectEncoding(response.data);
-    let htmlData;
-    
-    if (encoding === 'euc-jp') {
-      const iconv = require('iconv-lite');
-      htmlData = iconv.decode(response.data, 'euc-jp');
-    } else if (encoding === 'shift_jis') {
-      const iconv = require('iconv-lite');
-      htmlData = iconv.decode(response.data, 'shift_jis');
-    } else {
-      htmlData = response.data.toString('utf8');
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+// img要素の画像URLを取得（遅延読み込み用の属性も考慮）
+function getImageSource(attribs, baseUrl) {
+  if (!attribs) return null;
+  const candidates = [attribs['data-src'], attribs['data-original'], attribs['data-lazy-src'], attribs.src];
+  if (attribs.srcset) {
+    candidates.push(attribs.srcset.split(',')[0].trim().split(/\s+/)[0]);
+  }
+  for (const candidate of candidates) {
+    if (!candidate || candidate.startsWith('data:')) continue;
+    const resolved = resolveEnmlHref(candidate, baseUrl);
+    if (resolved && !resolved.startsWith('mailto:')) {
+      return resolved;
     }
-    
-    const $ = cheerio.load(htmlData);
-    
-    // 不要な要素を削除
-    $('script, style, noscript, nav, footer, header, aside').remove();
-    $('.sidebar, .ads, .advertisement, .social-share, .comments, .navigation, .breadcrumb').remove();
-    $('.menu, .nav, .navbar, .header, .footer, .related, .recommend').remove();
-    
-    // コメント文を削除
-    $('*').contents().filter(function() {
-      return this.type === 'comment';
-    }).remove();
-    
-    // 記事の本文を特定（優先順位順）
-    const contentSelectors = [
-      'article .content',
-      'article .post-content', 
-      'article .entry-content',
-      'article .text',
-      '.article-content',
-      '.post-content',
-      '.entry-content',
-      '.content',
-      'article',
-      'main',
-      '[role="main"]',
-      '#content',
-      '.post-body',
-      '.article-body',
-      // サイト固有のセレクタ
-      '.article', '.story', '.entry', '.post',
-      '#main', '#article', '#story',
-      'body' // 最後の手段
-    ];
-    
-    let content = '';
-    let contentElement = null;
-    
-    for (const selector of contentSelectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        const text = element.text().trim();
-        // より寛容な条件に変更
-        if (text.length > 100) {
-          contentElement = element;
-          break;
-        }
+  }
+  return null;
+}
+
+// 抽出したHTMLをENMLとして安全な形に変換（構造は保持し、許可されない要素と属性を除去）
+// mediaMapを渡すと、ダウンロード済みの画像を<en-media>として埋め込む
+function sanitizeHtmlToEnml(html, baseUrl = null, mediaMap = null) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html, null, false);
+
+  const serializeAttributes = (node) => {
+    const allowed = ENML_ALLOWED_ATTRIBUTES[node.name] || [];
+    let attrs = '';
+    for (const name of allowed) {
+      let value = node.attribs ? node.attribs[name] : undefined;
+      if (value === undefined) continue;
+      if (name === 'href') {
+        value = resolveEnmlHref(value, baseUrl);
+        if (!value) continue;
       }
+      attrs += ` ${name}="${escapeHtml(String(value))}"`;
     }
-    
-    // 見つからない場合の詳細検索
-    if (!contentElement) {
-      let maxTextLength = 0;
-      $('div, section, article, p').each(function() {
-        const $this = $(this);
-        const text = $this.text().trim();
-        
-        // より寛容な条件で選択
-        if (text.length > maxTextLength && text.length > 100) {
-          maxTextLength = text.length;
-          contentElement = $this;
+    return attrs;
+  };
+
+  const serialize = (nodes, inPre) => {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        const text = inPre ? node.data : node.data.replace(/\s+/g, ' ');
+        out += escapeXmlText(text);
+        continue;
+      }
+
+      if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') {
+        // コメントやCDATA、処理命令は破棄
+        continue;
+      }
+
+      const name = node.name.toLowerCase();
+      if (ENML_DROPPED_ELEMENTS.has(name)) continue;
+
+      const children = node.children || [];
+
+      if (name === 'br' || name === 'hr') {
+        out += `<${name}/>`;
+        continue;
+      }
+
+      if (name === 'img') {
+        const src = getImageSource(node.attribs, baseUrl);
+        const media = src && mediaMap ? mediaMap.get(src) : null;
+        if (media) {
+          out += `<en-media hash="${media.hash}" type="${media.mime}"/>`;
         }
-      });
-    }
-    
-    if (contentElement) {
-      // さらに不要な子要素を削除
-      contentElement.find('nav, .nav, .menu, .sidebar, .social, .share, .twitter, .facebook').remove();
-      content = contentElement.html();
-    }
-    
-    // ENMLフォーマットに変換
-    if (content) {
-      const contentCheerio = cheerio.load(content);
-      
-      // まずテキストを抽出
-      const textContent = contentCheerio.text();
-      
-      if (textContent.trim().length < 50) {
-        return `<p>Content could not be extracted from ${url}</p>`;
+        continue;
       }
-      
-      // テキストを改行と句点で段落に分割
-      const lines = textContent
-        .replace(/\s+/g, ' ') // 複数の空白を1つに
-        .split(/[。\n]/) // 句点または改行で分割
-        .map(line => line.trim())
-        .filter(line => line.length > 20); // 短すぎる行は除外
-      
-      // ENMLフォーマットに変換
-      let enmlContent = '';
-      let currentParagraph = '';
-      
-      lines.forEach(line => {
-        if (line.length > 0) {
-          currentParagraph += line + '。';
-          
-          // 段落が十分な長さになったら改行
-          if (currentParagraph.length > 150 || line.includes('：') || line.includes('■')) {
-            if (currentParagraph.trim().length > 0) {
-              const escapedText = currentParagraph
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
-              enmlContent += `<p>${escapedText}</p>\n`;
-            }
-            currentParagraph = '';
-          }
+
+      if (name === 'a') {
+        const inner = serialize(children, inPre);
+        const attrs = serializeAttributes(node);
+        // 有効なリンク先がない場合は中身だけ残す
+        out += attrs.includes('href=') ? `<a${attrs}>${inner}</a>` : inner;
+        continue;
+      }
+
+      if (ENML_ALLOWED_ELEMENTS.has(name)) {
+        const inner = serialize(children, inPre || name === 'pre');
+        if (ENML_REMOVABLE_WHEN_EMPTY.has(name) && !inner.trim()) continue;
+        out += `<${name}${serializeAttributes(node)}>${inner}</${name}>`;
+        continue;
+      }
+
+      const inner = serialize(children, inPre);
+      if (ENML_BLOCK_FALLBACK_ELEMENTS.has(name)) {
+        if (inner.trim()) {
+          out += `<div>${inner}</div>`;
         }
-      });
-      
-      // 残った内容があれば追加
-      if (currentParagraph.trim().length > 0) {
-        const escapedText = currentParagraph
-          .replace(/&/g, '&amp;')
-          .replace(/</g, '&lt;')
-          .replace(/>/g, '&gt;');
-        enmlContent += `<p>${escapedText}</p>\n`;
+      } else {
+        // 未知のインライン要素は中身だけ残す
+        out += inner;
       }
-      
-      return enmlContent || `<p>Content extracted from ${url}</p>`;
     }
-    
-    return `<p>Content could not be extracted from ${url}</p>`;
-  } catch (error) {
-    // エラーメッセージは進捗バー完了後に表示するため、ここでは記録のみ
-    return `<p>Failed to scrape content from ${url}: ${error.message}</p>`;
-  }
+    return out;
+  };
+
+  return serialize($.root()[0].children, false)
+    // ブロック要素の前後の余分な空白を整理して読みやすくする
+    .replace(/\s*(<\/?(?:p|div|h[1-6]|ul|ol|li|dl|dt|dd|table|caption|thead|tbody|tfoot|tr|blockquote)(?: [^>]*)?>)\s*/g, (match, tag) => {
+      return tag.startsWith('</') ? `${tag}\n` : tag;
+    })
+    .trim();
 }
 
-// ブラウザインスタンス管理クラス
-class BrowserManager {
-  constructor() {
-    this.browser = null;
-    this.pagePool = [];
-    this.maxPages = 10; // 最大ページ数
-    this.restartInterval = 1000; // 1000件ごとに再起動
-    this.processedCount = 0;
+// ENML 2.0のDTD（http://xml.evernote.com/pub/enml2.dtd）の規則を同梱（検証時にDTDを取得しない）
+// 全要素で許可される属性
+const ENML_DTD_COMMON_ATTRIBUTES = ['style', 'title', 'lang', 'xml:lang', 'dir'];
+
+// 要素ごとに許可される固有属性（imgはDTD上は許可されるが、外部画像はインポートされないため除外）
+const ENML_DTD_ELEMENTS = {
+  'en-note': ['bgcolor', 'text'],
+  'en-media': ['type', 'hash', 'height', 'width', 'usemap', 'align', 'border', 'hspace', 'vspace', 'longdesc', 'alt'],
+  'en-crypt': ['hint', 'cipher', 'length'],
+  'en-todo': ['checked'],
+  a: ['charset', 'type', 'name', 'href', 'hreflang', 'rel', 'rev', 'shape', 'coords', 'target'],
+  abbr: [], acronym: [], address: [], b: [], bdo: [], big: [], cite: [], code: [], dd: [], dfn: [],
+  dt: [], em: [], i: [], kbd: [], s: [], samp: [], small: [], span: [], strike: [], strong: [],
+  sub: [], sup: [], tt: [], u: [], var: [], xmp: [], center: [],
+  area: ['shape', 'coords', 'href', 'nohref', 'alt', 'target'],
+  blockquote: ['cite'],
+  br: ['clear'],
+  caption: ['align'],
+  col: ['span', 'width', 'align', 'char', 'charoff', 'valign'],
+  colgroup: ['span', 'width', 'align', 'char', 'charoff', 'valign'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  div: ['align'],
+  dl: ['compact'],
+  font: ['size', 'color', 'face'],
+  h1: ['align'], h2: ['align'], h3: ['align'], h4: ['align'], h5: ['align'], h6: ['align'],
+  hr: ['align', 'noshade', 'size', 'width'],
+  li: ['type', 'value'],
+  map: ['name'],
+  ol: ['type', 'compact', 'start'],
+  p: ['align'],
+  pre: ['width', 'xml:space'],
+  q: ['cite'],
+  table: ['summary', 'width', 'border', 'frame', 'rules', 'cellspacing', 'cellpadding', 'align', 'bgcolor'],
+  tbody: ['align', 'char', 'charoff', 'valign'],
+  thead: ['align', 'char', 'charoff', 'valign'],
+  tfoot: ['align', 'char', 'charoff', 'valign'],
+  tr: ['align', 'char', 'charoff', 'valign', 'bgcolor'],
+  td: ['abbr', 'axis', 'headers', 'scope', 'rowspan', 'colspan', 'align', 'char', 'charoff', 'valign', 'nowrap', 'bgcolor', 'width', 'height'],
+  th: ['abbr', 'axis', 'headers', 'scope', 'rowspan', 'colspan', 'align', 'char', 'charoff', 'valign', 'nowrap', 'bgcolor', 'width', 'height'],
+  ul: ['type', 'compact']
+};
+
+// ENMLで禁止されている属性
+const ENML_FORBIDDEN_ATTRIBUTE_PATTERN = /^(?:id|class|on\w+|accesskey|data|dynsrc|tabindex)$/i;
+
+// 必須属性
+const ENML_REQUIRED_ATTRIBUTES = {
+  'en-media': ['hash', 'type']
+};
+
+// 許可される親要素（外れた要素はdivに置き換えるか削除する）
+const ENML_PARENT_RULES = {
+  li: ['ul', 'ol'],
+  dt: ['dl'],
+  dd: ['dl'],
+  tr: ['table', 'thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  thead: ['table'],
+  tbody: ['table'],
+  tfoot: ['table'],
+  caption: ['table'],
+  colgroup: ['table'],
+  col: ['table', 'colgroup'],
+  area: ['map']
+};
+
+// 子として許可される要素と、それ以外の内容を包む要素
+const ENML_CHILD_RULES = {
+  ul: { allowed: ['li'], wrapper: 'li' },
+  ol: { allowed: ['li'], wrapper: 'li' },
+  dl: { allowed: ['dt', 'dd'], wrapper: 'dd' },
+  table: { allowed: ['caption', 'col', 'colgroup', 'thead', 'tbody', 'tfoot', 'tr'], wrapper: 'tr' },
+  thead: { allowed: ['tr'], wrapper: 'tr' },
+  tbody: { allowed: ['tr'], wrapper: 'tr' },
+  tfoot: { allowed: ['tr'], wrapper: 'tr' },
+  tr: { allowed: ['td', 'th'], wrapper: 'td' }
+};
+
+// ブロック要素
+const ENML_BLOCK_ELEMENTS = new Set([
+  'address', 'blockquote', 'center', 'div', 'dl', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'ol', 'p', 'pre', 'table', 'ul', 'xmp'
+]);
+
+// インライン内容のみを持てる要素（段落系はdivに置き換え、それ以外は中のブロック要素を展開）
+const ENML_INLINE_CONTAINERS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'address', 'pre', 'caption', 'dt',
+  'a', 'abbr', 'acronym', 'b', 'bdo', 'big', 'cite', 'code', 'dfn', 'em', 'font', 'i', 'kbd',
+  'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'tt', 'u', 'var'
+]);
+const ENML_PARAGRAPH_CONTAINERS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'address', 'pre']);
+
+// 危険なスキームのリンク
+const ENML_UNSAFE_HREF_PATTERN = /^\s*(?:javascript|vbscript|data):/i;
+
+// XMLとして整形式か確認（xml2jsのパーサーはasync指定がなければコールバックを同期で呼ぶ）
+function getXmlParseError(xml) {
+  let parseError = null;
+  new Parser().parseString(xml, (error) => {
+    parseError = error;
+  });
+  return parseError;
+}
+
+// <en-note>の本文をENMLの規則で検証し、可能な範囲で修復する
+// 戻り値のenmlは修復後の本文（問題がなければ入力のまま）、validは修復後に規則を満たすか
+function validateEnml(enml, { resourceHashes = null } = {}) {
+  const errors = [];
+  let source = enml;
+
+  const parseError = getXmlParseError(source);
+  if (parseError) {
+    errors.push(`Malformed XML: ${parseError.message.split('\n')[0]}`);
+    // 実体参照になっていない&をエスケープし、残りはcheerioの再出力で整形式にする
+    source = source.replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;');
   }
 
-  async getBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({ 
-        headless: true,
-        args: [
-          '--no-sandbox', 
-          '--disable-setuid-sandbox', 
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process',
-          '--disable-blink-features=AutomationControlled'
-        ],
-        ignoreDefaultArgs: ['--enable-automation'],
-        protocolTimeout: 30000,
-        timeout: 30000,
-        handleSIGINT: false,
-        handleSIGTERM: false,
-        handleSIGHUP: false
-      });
-    }
-    return this.browser;
+  const $ = cheerio.load(source, { xmlMode: true, decodeEntities: false });
+  const roots = $.root().children();
+  if (roots.length !== 1 || roots[0].name !== 'en-note') {
+    return { valid: false, repaired: false, errors: [...errors, 'Root element must be <en-note>'], enml };
   }
 
-  async getPage() {
-    // 定期的な再起動チェック
-    if (this.shouldRestart()) {
-      await this.restart();
+  const hashes = resourceHashes ? new Set(resourceHashes) : null;
+
+  // 要素を検査して修復（'remove'/'unwrap'は要素自体を置き換えたことを表す）
+  const checkElement = (node, parentNode, inLink, report) => {
+    const name = node.name;
+    const parentName = parentNode.name;
+
+    if (!ENML_DTD_ELEMENTS[name] || name === 'en-note') {
+      report(`Element <${name}> is not allowed`);
+      return name === 'img' || ENML_DROPPED_ELEMENTS.has(name) ? 'remove' : 'unwrap';
     }
-    
-    // 利用可能なページがあれば再利用
-    if (this.pagePool.length > 0) {
-      this.processedCount++;
-      return this.pagePool.pop();
+
+    if (name === 'a' && inLink) {
+      report('Nested <a> elements are not allowed');
+      return 'unwrap';
     }
-    
-    const browser = await this.getBrowser();
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-    this.processedCount++;
-    return page;
-  }
 
-  shouldRestart() {
-    return this.processedCount > 0 && this.processedCount % this.restartInterval === 0;
-  }
+    const allowedParents = ENML_PARENT_RULES[name];
+    if (allowedParents && !allowedParents.includes(parentName)) {
+      report(`<${name}> must be inside ${allowedParents.map(parent => `<${parent}>`).join(' or ')}`);
+      if (['col', 'colgroup', 'area'].includes(name)) return 'remove';
+      node.name = 'div';
+    }
 
-  async restart() {
-    console.log(`\nRestarting browser after ${this.processedCount} processed pages...`);
-    await this.cleanup();
-    // processedCountはリセットしない（累積カウント）
-  }
+    if (ENML_BLOCK_ELEMENTS.has(node.name) && ENML_INLINE_CONTAINERS.has(parentName)) {
+      report(`Block element <${node.name}> is not allowed inside <${parentName}>`);
+      if (ENML_PARAGRAPH_CONTAINERS.has(parentName)) {
+        parentNode.name = 'div';
+      } else if (parentName === 'dt') {
+        parentNode.name = 'dd';
+      } else {
+        return 'unwrap';
+      }
+    }
 
-  async releasePage(page) {
-    try {
-      // ページを確実に閉じる
-      if (!page.isClosed()) {
-        await page.close();
+    const allowedAttributes = ENML_DTD_ELEMENTS[node.name];
+    for (const [attribute, value] of Object.entries(node.attribs || {})) {
+      if (ENML_FORBIDDEN_ATTRIBUTE_PATTERN.test(attribute)) {
+        report(`Attribute ${attribute} is forbidden on <${node.name}>`);
+      } else if (!ENML_DTD_COMMON_ATTRIBUTES.includes(attribute) && !allowedAttributes.includes(attribute)) {
+        report(`Attribute ${attribute} is not allowed on <${node.name}>`);
+      } else if (attribute === 'href' && ENML_UNSAFE_HREF_PATTERN.test(value)) {
+        report(`Unsafe link ${value.slice(0, 50)}`);
+      } else {
+        continue;
       }
-    } catch (error) {
-      console.error('Error closing page:', error.message);
+      delete node.attribs[attribute];
     }
-  }
 
-  async cleanup() {
-    console.log('Cleaning up browser resources...');
-    
-    // すべてのページを閉じる
-    for (const page of this.pagePool) {
-      try {
-        if (!page.isClosed()) {
-          await page.close();
+    const missing = (ENML_REQUIRED_ATTRIBUTES[node.name] || []).filter(attribute => !node.attribs[attribute]);
+    if (missing.length > 0) {
+      report(`<${node.name}> is missing ${missing.join(', ')}`);
+      return 'remove';
+    }
+    if (node.name === 'en-media' && hashes && !hashes.has(node.attribs.hash)) {
+      report(`<en-media> references missing resource ${node.attribs.hash}`);
+      return 'remove';
+    }
+
+    // 子要素の制約: 許可されない内容を連続した単位でまとめて包む
+    const childRule = ENML_CHILD_RULES[node.name];
+    if (childRule) {
+      const isStray = child => (child.type === 'tag' && !childRule.allowed.includes(child.name)) ||
+        (child.type === 'text' && child.data.trim() !== '');
+      const runs = [];
+      let run = null;
+      for (const child of node.children) {
+        if (isStray(child)) {
+          if (!run) runs.push(run = []);
+          run.push(child);
+        } else if (child.type === 'tag') {
+          run = null;
         }
-      } catch (err) {
-        console.error('Failed to close page:', err.message);
+      }
+      if (runs.length > 0) {
+        report(`<${node.name}> may only contain ${childRule.allowed.map(child => `<${child}>`).join(', ')}`);
+        runs.forEach(([first, ...rest]) => {
+          $(first).wrap(`<${childRule.wrapper}></${childRule.wrapper}>`);
+          $(first.parent).append(rest);
+        });
       }
     }
-    this.pagePool = [];
-    
-    // ブラウザを閉じる
-    if (this.browser) {
-      try {
-        // すべてのページを取得して閉じる
-        const pages = await this.browser.pages();
-        await Promise.all(
-          pages.map(page => page.close().catch(e => console.error('Page close error:', e.message)))
-        );
-        
-        // ブラウザコンテキストを閉じる
-        const contexts = this.browser.browserContexts();
-        await Promise.all(
-          contexts.map(context => {
-            if (context !== this.browser.defaultBrowserContext()) {
-              return context.close().catch(e => console.error('Context close error:', e.message));
-            }
-          })
-        );
-        
-        // ブラウザを閉じる
-        await this.browser.close();
-        console.log('Browser closed successfully');
-        
-      } catch (error) {
-        console.error('Error closing browser:', error.message);
-        
-        // 強制的にプロセスを終了
-        try {
-          const browserProcess = this.browser.process();
-          if (browserProcess && !browserProcess.killed) {
-            console.log('Force killing browser process...');
-            browserProcess.kill('SIGKILL');
-            
-            // 子プロセスも終了
-            const pid = browserProcess.pid;
-            if (pid) {
-              try {
-                // macOSで子プロセスも含めて終了
-                require('child_process').execSync(`pkill -KILL -P ${pid}`);
-              } catch (e) {
-                // エラーは無視（プロセスが既に終了している場合など）
-              }
-            }
-          }
-        } catch (killError) {
-          console.error('Failed to kill browser process:', killError.message);
-        }
-      } finally {
-        this.browser = null;
+
+    return null;
+  };
+
+  // 文書順に走査（置き換えた位置は展開された子要素から再検査する）
+  const walk = (parentNode, inLink, report) => {
+    let i = 0;
+    while (i < parentNode.children.length) {
+      const node = parentNode.children[i];
+      if (node.type !== 'tag') {
+        i++;
+        continue;
+      }
+      const action = checkElement(node, parentNode, inLink, report);
+      if (action === 'remove') {
+        $(node).remove();
+      } else if (action === 'unwrap') {
+        $(node).replaceWith(node.children.slice());
+      } else {
+        walk(node, inLink || node.name === 'a', report);
+        i++;
       }
     }
+  };
+
+  const root = roots[0];
+  const enNoteAllowed = ENML_DTD_ELEMENTS['en-note'];
+  for (const attribute of Object.keys(root.attribs || {})) {
+    if (!ENML_DTD_COMMON_ATTRIBUTES.includes(attribute) && !enNoteAllowed.includes(attribute)) {
+      errors.push(`Attribute ${attribute} is not allowed on <en-note>`);
+      delete root.attribs[attribute];
+    }
+  }
+  walk(root, false, error => errors.push(error));
+
+  if (errors.length === 0) {
+    return { valid: true, repaired: false, errors, enml };
   }
+
+  // 修復結果を再検証（修復後も残る問題は修復できないもの）
+  const repairedEnml = $.xml();
+  const remaining = [];
+  const recheckError = getXmlParseError(repairedEnml);
+  if (recheckError) {
+    remaining.push(`Malformed XML: ${recheckError.message.split('\n')[0]}`);
+  } else {
+    walk(cheerio.load(repairedEnml, { xmlMode: true, decodeEntities: false }).root().children()[0], false, error => remaining.push(error));
+  }
+
+  return {
+    valid: remaining.length === 0,
+    repaired: remaining.length === 0,
+    errors: remaining.length === 0 ? errors : [...new Set([...errors, ...remaining])],
+    enml: remaining.length === 0 ? repairedEnml : enml
+  };
 }
 
-// グローバルブラウザマネージャー
-const browserManager = new BrowserManager();
+// 本文らしさを加点するクラス名/ID
+const CONTENT_POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|text|blog|story/i;
+// 本文ではない可能性が高いクラス名/ID
+const CONTENT_NEGATIVE_PATTERN = /-ad-|\bads?\b|banner|breadcrumb|combx|comment|contact|foot|masthead|meta|outbrain|promo|related|recommend|share|shopping|sidebar|skyscraper|social|sponsor|tags|tool|widget|nav|menu/i;
+// 段落として直接スコアリングする要素
+const SCORABLE_ELEMENTS = 'p, pre, td, blockquote';
+// 段落扱いするdivの判定に使うブロック要素
+const BLOCK_CHILD_SELECTOR = 'a, blockquote, dl, div, img, ol, p, pre, table, ul, section, article, h1, h2, h3, h4, h5, h6';
 
-// プロセス終了時のクリーンアップ処理
-async function gracefulShutdown(signal) {
-  console.log(`\nReceived ${signal}, shutting down gracefully...`);
-  try {
-    await browserManager.cleanup();
-  } catch (error) {
-    console.error('Shutdown cleanup error:', error);
+// 抽出前に不要な要素を削除
+function removeBoilerplate($) {
+  $('script, style, noscript, nav, footer, header, aside, form, iframe').remove();
+  $('.sidebar, .ads, .advertisement, .social-share, .comments, .navigation, .breadcrumb').remove();
+  $('.menu, .nav, .navbar, .header, .footer, .related, .recommend').remove();
+
+  // コメント文を削除
+  $('*').contents().filter(function() {
+    return this.type === 'comment';
+  }).remove();
+}
+
+// レポート用の要素識別子（例: div#main.article-body）
+function describeElement(node) {
+  if (!node || !node.name) return '(none)';
+  const attribs = node.attribs || {};
+  let descriptor = node.name;
+  if (attribs.id) descriptor += `#${attribs.id.trim()}`;
+  if (attribs.class) {
+    descriptor += attribs.class.trim().split(/\s+/).map(name => `.${name}`).join('');
   }
-  process.exit(0);
+  return descriptor;
 }
 
-// シグナルハンドリング
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+function getClassWeight(node) {
+  const attribs = node.attribs || {};
+  let weight = 0;
+  for (const value of [attribs.class, attribs.id]) {
+    if (!value) continue;
+    if (CONTENT_NEGATIVE_PATTERN.test(value)) weight -= 25;
+    if (CONTENT_POSITIVE_PATTERN.test(value)) weight += 25;
+  }
+  return weight;
+}
 
-// 未処理のPromiseエラーをキャッチ
-process.on('unhandledRejection', async (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  await browserManager.cleanup();
-  process.exit(1);
-});
+function getTagWeight(name) {
+  switch (name) {
+    case 'article':
+      return 10;
+    case 'div':
+    case 'main':
+    case 'section':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
 
-// スクレイピング結果に手法の識別子を追加
-function addScrapingMethodInfo(content, method) {
-  if (!content) return content;
-  
-  const methodLabel = {
-    'lightweight': 'Scraped via HTTP',
-    'browser': 'Scraped via Browser',
-    'failed': 'Scraping Failed'
+// 要素内のリンクテキストの割合
+function getLinkDensity($, $element) {
+  const textLength = $element.text().trim().length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $element.find('a').each(function() {
+    linkLength += $(this).text().trim().length;
+  });
+  return linkLength / textLength;
+}
+
+// JSON-LDで記事を表す型
+const JSON_LD_ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|Report|ScholarlyArticle|TechArticle|WebPage|SocialMediaPosting|Blog)$/;
+
+// JSON-LDの値（文字列、{ name }、{ url }、配列）から最初の文字列を取り出す
+function getJsonLdText(value, key = 'name') {
+  const first = [].concat(value ?? [])[0];
+  if (first && typeof first === 'object') return getJsonLdText(first[key] ?? first['@value'], key);
+  return typeof first === 'string' || typeof first === 'number' ? String(first).replace(/\s+/g, ' ').trim() || null : null;
+}
+
+// JSON-LDのスクリプトから記事のオブジェクトを探す（@graphや配列も対象）
+function findJsonLdArticle($) {
+  const items = [];
+  $('script[type="application/ld+json"]').each(function() {
+    try {
+      const data = JSON.parse($(this).contents().text());
+      [].concat(data).forEach(item => {
+        if (item && Array.isArray(item['@graph'])) items.push(...item['@graph']);
+        else if (item) items.push(item);
+      });
+    } catch (error) {
+      // 壊れたJSON-LDは無視
+    }
+  });
+  const isArticle = item => [].concat(item['@type'] || []).some(type => JSON_LD_ARTICLE_TYPES.test(type));
+  // WebPageよりも記事の型を優先
+  return items.find(item => isArticle(item) && ![].concat(item['@type']).includes('WebPage')) || items.find(isArticle) || null;
+}
+
+// 日時の文字列をISO 8601形式に変換（読めない値はnull）
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// ページのメタデータ（著者、公開日時、サイト名、概要、メイン画像）を取得
+// 優先順位はJSON-LD、OpenGraph、Twitter Card、通常の<meta>（画像のURLの解決は呼び出し側で行う）
+function extractPageMetadata($) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const content = ($(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content') || '')
+        .replace(/\s+/g, ' ').trim();
+      if (content) return content;
+    }
+    return null;
   };
-  
-  if (content.includes('Failed to scrape') || content.includes('Content could not be extracted')) {
-    return content.replace(/(<p>.*?<\/p>)/, `$1\n<p><small>[${methodLabel.failed}]</small></p>`);
+  const article = findJsonLdArticle($) || {};
+  // article:authorやtwitter:creatorはプロフィールのURLや@ユーザー名のことがある
+  const metaAuthor = [meta('author'), meta('article:author'), meta('twitter:creator')]
+    .find(value => value && !/^(https?:\/\/|@)/.test(value)) || null;
+
+  return {
+    author: [].concat(article.author ?? []).map(author => getJsonLdText(author)).filter(Boolean).join(', ') || metaAuthor,
+    publishedAt: toIsoDate(getJsonLdText(article.datePublished) || meta('article:published_time', 'datePublished', 'date', 'pubdate')),
+    siteName: getJsonLdText(article.publisher) || meta('og:site_name', 'application-name'),
+    description: getJsonLdText(article.description) || meta('og:description', 'twitter:description', 'description'),
+    image: getJsonLdText(article.image, 'url') || meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src')
+  };
+}
+
+// Readability方式で本文要素を特定（HTTP/ブラウザ両方のスクレイピングで共通利用）
+function extractMainContent(html) {
+  const $ = cheerio.load(html);
+  const title = ($('meta[property="og:title"]').attr('content') || $('title').first().text() ||
+    $('h1').first().text() || '').replace(/\s+/g, ' ').trim() || null;
+  // 重複判定用の正規URL（相対URLの解決は呼び出し側で行う）
+  const canonicalUrl = ($('link[rel~="canonical"]').attr('href') || '').trim() || null;
+  // JSON-LDの<script>は不要な要素として削除されるため先に取得
+  const metadata = extractPageMetadata($);
+  removeBoilerplate($);
+
+  const scores = new Map();
+  const initializeCandidate = (node) => {
+    if (!scores.has(node)) {
+      scores.set(node, getTagWeight(node.name) + getClassWeight(node));
+    }
+  };
+
+  // 段落ごとのスコアを親・祖父母要素に加算
+  const paragraphs = $(SCORABLE_ELEMENTS).toArray();
+  $('div').each(function() {
+    if ($(this).find(BLOCK_CHILD_SELECTOR).length === 0) {
+      paragraphs.push(this);
+    }
+  });
+
+  let paragraphCount = 0;
+  for (const node of paragraphs) {
+    const text = $(node).text().trim();
+    if (text.length < 25) continue;
+    paragraphCount++;
+
+    const commas = (text.match(/[,、，]/g) || []).length;
+    const contentScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+    const ancestors = $(node).parents().toArray().slice(0, 3);
+    ancestors.forEach((ancestor, level) => {
+      if (!ancestor.name || ancestor.name === 'html') return;
+      initializeCandidate(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+    });
   }
-  
-  return content + `\n<p><small>[${methodLabel[method]}]</small></p>`;
+
+  // リンク密度で補正した最終スコア
+  const candidates = [];
+  for (const [node, score] of scores) {
+    const linkDensity = getLinkDensity($, $(node));
+    candidates.push({ node, score: score * (1 - linkDensity), linkDensity });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const report = {
+    winner: '(none)',
+    score: 0,
+    linkDensity: 0,
+    paragraphCount,
+    candidatesConsidered: candidates.length,
+    siblingsMerged: 0,
+    fallback: false,
+    topCandidates: candidates.slice(0, 5).map(candidate => ({
+      element: describeElement(candidate.node),
+      score: Math.round(candidate.score * 100) / 100,
+      linkDensity: Math.round(candidate.linkDensity * 100) / 100
+    }))
+  };
+
+  const top = candidates[0];
+  if (!top) {
+    // 候補がない場合は最後の手段としてbody全体
+    const $body = $('body');
+    report.winner = 'body';
+    report.fallback = true;
+    return { html: $body.length > 0 ? $body.html() || '' : $.root().html() || '', title, canonicalUrl, metadata, report };
+  }
+
+  report.winner = describeElement(top.node);
+  report.score = Math.round(top.score * 100) / 100;
+  report.linkDensity = Math.round(top.linkDensity * 100) / 100;
+
+  // 本文と同じ親を持つ兄弟要素のうち、本文の一部と思われるものを結合
+  const $top = $(top.node);
+  const siblingThreshold = Math.max(10, top.score * 0.2);
+  const topClass = (top.node.attribs && top.node.attribs.class) || '';
+  const parts = [];
+
+  $top.parent().children().each(function() {
+    if (this === top.node) {
+      parts.push(this);
+      return;
+    }
+
+    let siblingScore = 0;
+    if (scores.has(this)) {
+      siblingScore = scores.get(this) * (1 - getLinkDensity($, $(this)));
+      const siblingClass = (this.attribs && this.attribs.class) || '';
+      if (topClass && siblingClass === topClass) {
+        siblingScore += top.score * 0.2;
+      }
+    }
+
+    let append = siblingScore >= siblingThreshold;
+    if (!append && this.name === 'p') {
+      const text = $(this).text().trim();
+      const linkDensity = getLinkDensity($, $(this));
+      if (text.length > 80 && linkDensity < 0.25) {
+        append = true;
+      } else if (text.length > 0 && linkDensity === 0 && /[.。!?！？]$/.test(text)) {
+        append = true;
+      }
+    }
+
+    if (append) {
+      parts.push(this);
+      report.siblingsMerged++;
+    }
+  });
+
+  // さらに不要な子要素を削除
+  const $parts = $(parts);
+  $parts.find('nav, .nav, .menu, .sidebar, .social, .share, .twitter, .facebook').remove();
+
+  const contentHtml = parts.length === 1 ? $top.html() || '' : parts.map(node => $.html(node)).join('\n');
+  return { html: contentHtml, title, canonicalUrl, metadata, report };
 }
 
-async function scrapeWithPuppeteer(url) {
-  let page = null;
+// ENEXに埋め込む画像のMIMEタイプ
+const EMBEDDABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+
+// マジックナンバーから画像のMIMEタイプを判定
+function detectImageMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  return null;
+}
+
+// 画像ヘッダーから幅と高さを取得（判定できない場合はnull）
+function getImageDimensions(buffer, mime) {
   try {
-    page = await browserManager.getPage();
-    
-    // タイムアウト設定
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: parseInt(options.timeout || 7000)
-    });
-    
-    // JavaScriptの実行を待つ
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // メインコンテンツを抽出
-    const content = await page.evaluate(() => {
-      // 不要な要素を削除
-      const unwantedElements = document.querySelectorAll('script, style, noscript, nav, footer, header, aside, .sidebar, .ads, .advertisement, .social-share, .comments, .navigation, .breadcrumb, .menu, .nav, .navbar, .header, .footer, .related, .recommend');
-      unwantedElements.forEach(el => el.remove());
-      
-      // メインコンテンツを特定
-      const contentSelectors = [
-        'article .content',
-        'article .post-content', 
-        'article .entry-content',
-        'article .text',
-        '.article-content',
-        '.post-content',
-        '.entry-content',
-        '.content',
-        'article',
-        'main',
-        '[role="main"]',
-        '#content',
-        '.post-body',
-        '.article-body',
-        '.article', '.story', '.entry', '.post',
-        '#main', '#article', '#story',
-        'body'
-      ];
-      
-      for (const selector of contentSelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-          const text = element.innerText || element.textContent;
-          if (text && text.trim().length > 100) {
-            return text.trim();
-          }
+    switch (mime) {
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/bmp':
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+      case 'image/webp': {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+          return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+        }
+        if (chunk === 'VP8 ') {
+          return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
         }
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        return null;
       }
-      
-      // フォールバック: body全体のテキスト
-      return document.body.innerText || document.body.textContent || '';
-    });
-    
-    if (!content || content.trim().length < 50) {
-      return `<p>Content could not be extracted from ${url} (browser)</p>`;
-    }
-    
-    // ENMLフォーマットに変換
-    const lines = content
-      .replace(/\s+/g, ' ')
-      .split(/[。\n]/)
-      .map(line => line.trim())
-      .filter(line => line.length > 20);
-    
-    let enmlContent = '';
-    let currentParagraph = '';
-    
-    lines.forEach(line => {
-      if (line.length > 0) {
-        currentParagraph += line + '。';
-        
-        if (currentParagraph.length > 150 || line.includes('：') || line.includes('■')) {
-          if (currentParagraph.trim().length > 0) {
-            const escapedText = currentParagraph
-              .replace(/&/g, '&amp;')
-              .replace(/</g, '&lt;')
-              .replace(/>/g, '&gt;');
-            enmlContent += `<p>${escapedText}</p>\n`;
+      case 'image/jpeg': {
+        // SOFマーカーを探す
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+          if (buffer[offset] !== 0xFF) return null;
+          const marker = buffer[offset + 1];
+          if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
           }
-          currentParagraph = '';
+          offset += 2 + buffer.readUInt16BE(offset + 2);
         }
+        return null;
       }
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+// バイナリデータからENEXの<resource>要素を作成
+function createResource(buffer, mime, sourceUrl, fileName = null) {
+  const hash = crypto.createHash('md5').update(buffer).digest('hex');
+  const resource = {
+    data: { $: { encoding: 'base64' }, _: buffer.toString('base64') },
+    mime
+  };
+
+  const dimensions = mime.startsWith('image/') ? getImageDimensions(buffer, mime) : null;
+  if (dimensions && dimensions.width > 0 && dimensions.height > 0) {
+    resource.width = dimensions.width;
+    resource.height = dimensions.height;
+  }
+
+  // xml2jsのBuilderがエスケープするため、ここではXML無効文字の除去のみ行う
+  const attributes = { 'source-url': removeInvalidXmlChars(sourceUrl) };
+  if (fileName) {
+    attributes['file-name'] = removeInvalidXmlChars(fileName);
+  }
+  resource['resource-attributes'] = [attributes];
+
+  return { hash, mime, resource };
+}
+
+// 画像をダウンロードしてリソース化（サイズ超過や画像以外の場合はnull）
+async function downloadImage(url) {
+  const maxImageSize = parseInt(options.maxImageSize || 5 * 1024 * 1024);
+  try {
+    const response = await axios.get(url, {
+      ...getAxiosConfig(),
+      maxContentLength: maxImageSize
     });
-    
-    if (currentParagraph.trim().length > 0) {
-      const escapedText = currentParagraph
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-      enmlContent += `<p>${escapedText}</p>\n`;
+    const buffer = Buffer.from(response.data);
+    if (buffer.length === 0 || buffer.length > maxImageSize) return null;
+
+    const headerType = ((response.headers && response.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    const mime = EMBEDDABLE_IMAGE_TYPES.includes(headerType) ? headerType : detectImageMimeType(buffer);
+    if (!mime) return null;
+
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || null;
+    return createResource(buffer, mime, url, fileName);
+  } catch {
+    return null;
+  }
+}
+
+// 本文中の画像をダウンロードし、URLとen-media情報の対応表を返す
+// ダウンロードしたリソースはresourcesに追加される
+async function embedImages(html, baseUrl, resources) {
+  const maxImages = parseInt(options.maxImages || 20);
+  const mediaMap = new Map();
+  if (!html || maxImages <= 0) return mediaMap;
+
+  const $ = cheerio.load(html, null, false);
+  const sources = [];
+  $('img').each(function() {
+    const src = getImageSource(this.attribs, baseUrl);
+    if (src && !sources.includes(src)) {
+      sources.push(src);
     }
-    
-    return enmlContent || `<p>Content extracted from ${url} (browser)</p>`;
-    
-  } catch (error) {
-    return `<p>Failed to scrape content from ${url} (browser): ${error.message}</p>`;
-  } finally {
-    if (page) {
-      browserManager.releasePage(page);
+  });
+
+  const knownHashes = new Set(resources.map(resource => resource.hash));
+  for (const src of sources) {
+    if (mediaMap.size >= maxImages) break;
+    const media = await downloadImage(src);
+    if (!media) continue;
+
+    mediaMap.set(src, { hash: media.hash, mime: media.mime });
+    if (!knownHashes.has(media.hash)) {
+      knownHashes.add(media.hash);
+      resources.push(media);
+    }
+  }
+
+  return mediaMap;
+}
+
+// 添付ファイルとして扱う拡張子とMIMEタイプの対応
+const ATTACHMENT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  rtf: 'application/rtf',
+  key: 'application/vnd.apple.keynote',
+  zip: 'application/zip',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+// PDFから抽出するテキストの最大文字数
+const PDF_TEXT_MAX_LENGTH = 100000;
+
+// Content-Dispositionヘッダーまたは URL からファイル名を決定
+function getAttachmentFileName(url, headers = {}) {
+  const disposition = headers['content-disposition'] || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  if (match) {
+    try {
+      return decodeURIComponent(match[1].trim());
+    } catch {
+      return match[1].trim();
     }
   }
+  try {
+    const name = new URL(url).pathname.split('/').pop();
+    return name ? decodeURIComponent(name) : 'file';
+  } catch {
+    return 'file';
+  }
 }
 
-function createEnexStructure(notes) {
-  return {
-    'en-export': {
-      $: {
-        'export-date': formatDate(Date.now() / 1000),
-        'application': 'Evernote',
-        'version': '10.0'
-      },
-      note: notes
+// MIMEタイプとして有効な形式（type/subtype）。<en-media type>にそのまま書き込めるものに限る
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/;
+
+// Content-Typeが汎用的または不正な形式の場合は拡張子からMIMEタイプを決定
+function getAttachmentMimeType(fileName, contentType = '') {
+  const mime = contentType.split(';')[0].trim().toLowerCase();
+  if (MIME_TYPE_PATTERN.test(mime) && mime !== 'application/octet-stream' && mime !== 'binary/octet-stream') {
+    return mime;
+  }
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  return ATTACHMENT_MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// ファイルをダウンロード（サイズ超過時はnull）
+async function downloadAttachment(url) {
+  const maxAttachmentSize = parseInt(options.maxAttachmentSize || 20 * 1024 * 1024);
+  try {
+    const response = await axios.get(url, {
+      ...getAxiosConfig(),
+      maxContentLength: maxAttachmentSize
+    });
+    const buffer = Buffer.from(response.data);
+    if (buffer.length === 0 || buffer.length > maxAttachmentSize) return null;
+    return { buffer, headers: response.headers || {} };
+  } catch {
+    return null;
+  }
+}
+
+// PDFのテキストを抽出（検索用）
+async function extractPdfText(buffer) {
+  try {
+    // pdf-parseのindex.jsはデバッグ用コードを含むためlib側を直接読み込む
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    // プールされたBufferはオフセット付きのため、独立したUint8Arrayにコピーして渡す
+    const result = await pdfParse(new Uint8Array(buffer));
+    return (result.text || '').trim().slice(0, PDF_TEXT_MAX_LENGTH);
+  } catch {
+    return '';
+  }
+}
+
+// 添付しないファイルのリンク（Content-Typeが分かる場合は併記）
+function renderFileLink(url, mimeType) {
+  const filename = new URL(url).pathname.split('/').pop() || 'file';
+  return `<div>
+<p>File: <a href="${escapeHtml(url)}">${escapeXmlText(filename)}</a></p>${mimeType ? `
+<p><small>Content-Type: ${escapeXmlText(mimeType)}</small></p>` : ''}
+</div>`;
+}
+
+// ダウンロード済みファイルを添付し、ノート本文用のENMLを返す
+async function renderAttachment(url, buffer, headers, resources, extractText) {
+  const fileName = getAttachmentFileName(url, headers);
+  const mime = getAttachmentMimeType(fileName, headers['content-type']);
+  const media = createResource(buffer, mime, url, fileName);
+  if (!resources.some(resource => resource.hash === media.hash)) {
+    resources.push(media);
+  }
+
+  let enml = `<div>
+<p>Attachment: <a href="${escapeHtml(url)}">${escapeXmlText(fileName)}</a> (${mime}, ${buffer.length} bytes)</p>
+<en-media hash="${media.hash}" type="${mime}"/>
+</div>`;
+
+  if (extractText && mime === 'application/pdf') {
+    const text = await extractPdfText(buffer);
+    if (text) {
+      const paragraphs = text
+        .split(/\n\s*\n/)
+        .map(block => block.split('\n').map(line => escapeXmlText(line.trim())).filter(Boolean).join('<br/>'))
+        .filter(Boolean)
+        .map(block => `<p>${block}</p>`);
+      enml += `\n<div>\n${paragraphs.join('\n')}\n</div>`;
+    }
+  }
+
+  return enml;
+}
+
+// <link rel=canonical>などページ内のURLを絶対URLに変換（http(s)以外は無視）
+function resolveCanonicalUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ページのメタデータの画像URLを絶対URLに変換
+function resolvePageMetadata(metadata, baseUrl) {
+  return metadata ? { ...metadata, image: resolveCanonicalUrl(metadata.image, baseUrl) } : null;
+}
+
+// スクレイピング結果オブジェクトを作成
+// status: 'success'（本文を取得）| 'no_content'（取得できたが本文を抽出できない）| 'failed'（通信エラーなど）
+// method: 'lightweight'（HTTP）| 'browser'（ヘッドレスブラウザ）
+function createScrapeResult(url, method) {
+  return {
+    status: 'failed',
+    method,
+    url,
+    finalUrl: url,
+    httpStatus: null,
+    contentType: null,
+    errorClass: null,
+    errorCode: null,
+    errorMessage: null,
+    title: null,
+    canonicalUrl: null,
+    metadata: null,
+    content: null,
+    resources: [],
+    extraction: null,
+    bytesDownloaded: 0,
+    contentBytes: 0,
+    retries: 0,
+    retryWaitMs: 0,
+    startedAt: new Date().toISOString(),
+    durationMs: 0
+  };
+}
+
+// エラーを分類（timeout / dns / connection / tls / http / browser / unknown）
+function classifyScrapeError(error) {
+  if (!error) return 'unknown';
+  const code = error.code || '';
+  const message = error.message || '';
+
+  if (error.response && error.response.status) return 'http';
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(code) || error.name === 'TimeoutError' ||
+      /timeout|timed out|ERR_TIMED_OUT/i.test(message)) {
+    return 'timeout';
+  }
+  if (['ENOTFOUND', 'EAI_AGAIN'].includes(code) || /ERR_NAME_NOT_RESOLVED|getaddrinfo/i.test(message)) {
+    return 'dns';
+  }
+  if (['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'].includes(code) ||
+      /ERR_CONNECTION|socket hang up/i.test(message)) {
+    return 'connection';
+  }
+  if (/CERT|SSL|TLS/i.test(code) || /ERR_CERT|ERR_SSL|certificate/i.test(message)) {
+    return 'tls';
+  }
+  if (/Protocol error|Target closed|Session closed|net::ERR_/i.test(message)) {
+    return 'browser';
+  }
+  return 'unknown';
+}
+
+// 例外をスクレイピング結果に記録
+function recordScrapeError(result, error) {
+  result.status = 'failed';
+  result.errorClass = classifyScrapeError(error);
+  result.errorCode = error.code || null;
+  result.errorMessage = error.message || String(error);
+  if (error.response && error.response.status) {
+    result.httpStatus = error.response.status;
+  }
+  return result;
+}
+
+// 本文のENMLを結果に設定（本文が短すぎる場合は抽出失敗として扱う）
+function finishExtraction(result, enmlContent) {
+  const textContent = cheerio.load(enmlContent || '', null, false).text();
+  if (textContent.trim().length < 50) {
+    result.status = 'no_content';
+    result.errorClass = 'extraction';
+    result.errorMessage = 'Content could not be extracted';
+    // 本文に使われないリソースは破棄
+    result.resources = [];
+    return result;
+  }
+  result.status = 'success';
+  result.content = enmlContent;
+  result.contentBytes = Buffer.byteLength(enmlContent);
+  return result;
+}
+
+// 再試行しても結果が変わらないHTTPステータス
+const PERMANENT_HTTP_STATUSES = [404, 410];
+// 一時的なエラーとして再試行するHTTPステータス
+const RETRYABLE_HTTP_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// 再試行ポリシー（テスト環境ではデフォルト値を使用）
+function getRetryPolicy(source = options) {
+  return {
+    retries: parseInt(source.retries ?? 2),
+    baseDelayMs: parseInt(source.retryDelay || 1000),
+    maxDelayMs: parseInt(source.maxRetryDelay || 30000)
+  };
+}
+
+// axiosと同じ形式のHTTPエラーを作成（ブラウザの応答用）
+function createHttpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+// 再試行すべき一時的なエラーかどうか
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.response && error.response.status) {
+    return RETRYABLE_HTTP_STATUSES.includes(error.response.status);
+  }
+  const errorClass = classifyScrapeError(error);
+  if (errorClass === 'dns') {
+    // 名前解決の一時的な失敗のみ再試行
+    return error.code === 'EAI_AGAIN';
+  }
+  return errorClass === 'timeout' || errorClass === 'connection';
+}
+
+// Retry-Afterヘッダー（秒数またはHTTP日付）をミリ秒に変換
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text) * 1000;
+  }
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// 次の再試行までの待ち時間（指数バックオフ + ジッター）
+// Retry-Afterが上限を超える場合はnull（再試行しない）
+function getRetryDelay(attempt, error, policy) {
+  const headers = error && error.response && error.response.headers;
+  const retryAfter = headers ? parseRetryAfter(headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxDelayMs ? retryAfter : null;
+  }
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// 一時的なエラーの場合はポリシーに従って再試行
+async function withRetry(operation, policy = { retries: 0 }, onRetry = null) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= policy.retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(attempt, error, policy);
+      if (delay === null) {
+        throw error;
+      }
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// 再試行回数と待ち時間をスクレイピング結果に記録
+function recordRetry(result) {
+  return (error, attempt, delay) => {
+    result.retries++;
+    result.retryWaitMs += delay;
+  };
+}
+
+// 軽量スクレイピング（axios + cheerio）
+// scrapeOptions.embedImages: 本文中の画像を<en-media>として埋め込む
+// scrapeOptions.attachFiles: PDFなどのバイナリファイルを添付する
+// scrapeOptions.extractPdfText: 添付したPDFのテキストを本文に追加する
+// scrapeOptions.retry: 再試行ポリシー（getRetryPolicy、省略時は再試行なし）
+async function scrapeContent(url, scrapeOptions = {}) {
+  const {
+    embedImages: shouldEmbedImages = false,
+    attachFiles = false,
+    extractPdfText: shouldExtractPdfText = false,
+    retry = { retries: 0 }
+  } = scrapeOptions;
+  const result = createScrapeResult(url, 'lightweight');
+  const startTime = Date.now();
+  const resources = result.resources;
+
+  try {
+    // バイナリファイルの場合は専用処理
+    if (isBinaryUrl(url)) {
+      const escapedUrl = url.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      const urlObj = new URL(url);
+      const pathname = urlObj.pathname.toLowerCase();
+      const filename = pathname.split('/').pop() || 'file';
+      const isImage = /\.(jpg|jpeg|png|gif|webp|bmp|svg|ico|tiff|tif|psd|ai|eps)$/i.test(pathname);
+      result.status = 'success';
+      
+      // 添付モードではファイルをダウンロードして添付（サイズ超過時はリンクのみ）
+      if (attachFiles && !isImage) {
+        const attachment = await downloadAttachment(url);
+        if (attachment) {
+          result.bytesDownloaded = attachment.buffer.length;
+          result.contentType = attachment.headers['content-type'] || null;
+          result.content = await renderAttachment(url, attachment.buffer, attachment.headers, resources, shouldExtractPdfText);
+          result.contentBytes = Buffer.byteLength(result.content);
+          return result;
+        }
+      }
+      
+      // ファイル種別に応じた処理
+      if (isImage) {
+        // ENMLでは<img>が使えないため、埋め込みが有効な場合は<en-media>、それ以外はリンクにする
+        const media = shouldEmbedImages || attachFiles ? await downloadImage(url) : null;
+        if (media) {
+          resources.push(media);
+          result.content = `<div>
+<en-media hash="${media.hash}" type="${media.mime}"/>
+<p>Image: ${filename}</p>
+</div>`;
+        } else {
+          result.content = `<div>
+<p>Image: <a href="${escapedUrl}">${filename}</a></p>
+</div>`;
+        }
+      } else if (pathname.match(/\.(mp4|avi|mov|wmv|flv|webm|mkv|m4v|3gp|ogv|mpg|mpeg)$/i)) {
+        result.content = `<div>
+<p>Video file: <a href="${escapedUrl}">${filename}</a></p>
+<p><em>Video preview not available in Evernote</em></p>
+</div>`;
+      } else if (pathname.match(/\.(mp3|wav|ogg|m4a|aac|flac|wma|opus|amr)$/i)) {
+        result.content = `<div>
+<p>Audio file: <a href="${escapedUrl}">${filename}</a></p>
+<p><em>Audio preview not available in Evernote</em></p>
+</div>`;
+      } else if (pathname.match(/\.(pdf)$/i)) {
+        result.content = `<div>
+<p>PDF document: <a href="${escapedUrl}">${filename}</a></p>
+</div>`;
+      } else if (pathname.match(/\.(doc|docx|xls|xlsx|ppt|pptx|odt|ods|odp|rtf)$/i)) {
+        result.content = `<div>
+<p>Document: <a href="${escapedUrl}">${filename}</a></p>
+</div>`;
+      } else if (pathname.match(/\.(zip|rar|7z|tar|gz|bz2|xz|dmg|iso)$/i)) {
+        result.content = `<div>
+<p>Archive file: <a href="${escapedUrl}">${filename}</a></p>
+</div>`;
+      } else {
+        const ext = pathname.split('.').pop() || 'unknown';
+        result.content = `<div>
+<p>Binary file (${ext.toUpperCase()}): <a href="${escapedUrl}">${filename}</a></p>
+</div>`;
+      }
+      result.contentBytes = Buffer.byteLength(result.content);
+      return result;
+    }
+    
+    // 添付モードでは添付の上限を超えるファイルをメモリに読み込まない（超えた場合はリンクのみ）
+    const maxAttachmentSize = parseInt(options.maxAttachmentSize || 20 * 1024 * 1024);
+    let response;
+    try {
+      response = await withRetry(
+        () => axios.get(url, attachFiles ? { ...getAxiosConfig(), maxContentLength: maxAttachmentSize } : getAxiosConfig()),
+        retry,
+        recordRetry(result)
+      );
+    } catch (error) {
+      if (!attachFiles || !/maxContentLength size of \d+ exceeded/.test(error.message || '')) throw error;
+      result.status = 'success';
+      result.content = renderFileLink(url, '');
+      result.contentBytes = Buffer.byteLength(result.content);
+      return result;
+    }
+    result.httpStatus = response.status || null;
+    result.bytesDownloaded = response.data ? response.data.length : 0;
+    if (response.request && response.request.res && response.request.res.responseUrl) {
+      result.finalUrl = response.request.res.responseUrl;
+    }
+    
+    // Content-Typeをチェック
+    const contentType = response.headers['content-type'] || '';
+    result.contentType = contentType || null;
+    
+    // HTMLコンテンツでない場合はバイナリファイルとして処理
+    if (!contentType.includes('text/html') && !contentType.includes('text/plain')) {
+      result.status = 'success';
+      if (attachFiles && response.data && response.data.length <= maxAttachmentSize) {
+        result.content = await renderAttachment(url, Buffer.from(response.data), response.headers, resources, shouldExtractPdfText);
+      } else {
+        result.content = renderFileLink(url, contentType.split(';')[0].trim());
+      }
+      result.contentBytes = Buffer.byteLength(result.content);
+      return result;
+    }
+    
+    // エンコーディングを検出
+    const encoding = detectEncoding(response.data);
+    let htmlData;
+    
+    if (encoding === 'euc-jp') {
+      const iconv = require('iconv-lite');
+      htmlData = iconv.decode(response.data, 'euc-jp');
+    } else if (encoding === 'shift_jis') {
+      const iconv = require('iconv-lite');
+      htmlData = iconv.decode(response.data, 'shift_jis');
+    } else {
+      htmlData = response.data.toString('utf8');
+    }
+    
+    const { html: content, title, canonicalUrl, metadata, report } = extractMainContent(htmlData);
+    result.title = title;
+    result.canonicalUrl = resolveCanonicalUrl(canonicalUrl, result.finalUrl);
+    result.metadata = resolvePageMetadata(metadata, result.finalUrl);
+    result.extraction = report;
+    
+    // ENMLフォーマットに変換
+    const mediaMap = content && shouldEmbedImages ? await embedImages(content, result.finalUrl, resources) : null;
+    const enmlContent = content ? sanitizeHtmlToEnml(content, result.finalUrl, mediaMap) : '';
+    return finishExtraction(result, enmlContent);
+  } catch (error) {
+    // エラーメッセージは進捗バー完了後に表示するため、ここでは記録のみ
+    return recordScrapeError(result, error);
+  } finally {
+    result.durationMs = Date.now() - startTime;
+  }
+}
+
+// ブラウザインスタンス管理クラス
+class BrowserManager {
+  constructor() {
+    this.browser = null;
+    this.pagePool = [];
+    this.maxPages = 10; // 最大ページ数
+    this.restartInterval = 1000; // 1000件ごとに再起動
+    this.processedCount = 0;
+  }
+
+  async getBrowser() {
+    if (!this.browser) {
+      this.browser = await puppeteer.launch({ 
+        headless: true,
+        args: [
+          '--no-sandbox', 
+          '--disable-setuid-sandbox', 
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-web-security',
+          '--disable-features=IsolateOrigins,site-per-process',
+          '--disable-blink-features=AutomationControlled'
+        ],
+        ignoreDefaultArgs: ['--enable-automation'],
+        protocolTimeout: 30000,
+        timeout: 30000,
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false
+      });
+    }
+    return this.browser;
+  }
+
+  async getPage() {
+    // 定期的な再起動チェック
+    if (this.shouldRestart()) {
+      await this.restart();
+    }
+    
+    // 利用可能なページがあれば再利用
+    if (this.pagePool.length > 0) {
+      this.processedCount++;
+      return this.pagePool.pop();
+    }
+    
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+    this.processedCount++;
+    return page;
+  }
+
+  shouldRestart() {
+    return this.processedCount > 0 && this.processedCount % this.restartInterval === 0;
+  }
+
+  async restart() {
+    console.log(`\nRestarting browser after ${this.processedCount} processed pages...`);
+    await this.cleanup();
+    // processedCountはリセットしない（累積カウント）
+  }
+
+  async releasePage(page) {
+    try {
+      // ページを確実に閉じる
+      if (!page.isClosed()) {
+        await page.close();
+      }
+    } catch (error) {
+      console.error('Error closing page:', error.message);
+    }
+  }
+
+  async cleanup() {
+    console.log('Cleaning up browser resources...');
+    
+    // すべてのページを閉じる
+    for (const page of this.pagePool) {
+      try {
+        if (!page.isClosed()) {
+          await page.close();
+        }
+      } catch (err) {
+        console.error('Failed to close page:', err.message);
+      }
+    }
+    this.pagePool = [];
+    
+    // ブラウザを閉じる
+    if (this.browser) {
+      try {
+        // すべてのページを取得して閉じる
+        const pages = await this.browser.pages();
+        await Promise.all(
+          pages.map(page => page.close().catch(e => console.error('Page close error:', e.message)))
+        );
+        
+        // ブラウザコンテキストを閉じる
+        const contexts = this.browser.browserContexts();
+        await Promise.all(
+          contexts.map(context => {
+            if (context !== this.browser.defaultBrowserContext()) {
+              return context.close().catch(e => console.error('Context close error:', e.message));
+            }
+          })
+        );
+        
+        // ブラウザを閉じる
+        await this.browser.close();
+        console.log('Browser closed successfully');
+        
+      } catch (error) {
+        console.error('Error closing browser:', error.message);
+        
+        // 強制的にプロセスを終了
+        try {
+          const browserProcess = this.browser.process();
+          if (browserProcess && !browserProcess.killed) {
+            console.log('Force killing browser process...');
+            browserProcess.kill('SIGKILL');
+            
+            // 子プロセスも終了
+            const pid = browserProcess.pid;
+            if (pid) {
+              try {
+                // macOSで子プロセスも含めて終了
+                require('child_process').execSync(`pkill -KILL -P ${pid}`);
+              } catch (e) {
+                // エラーは無視（プロセスが既に終了している場合など）
+              }
+            }
+          }
+        } catch (killError) {
+          console.error('Failed to kill browser process:', killError.message);
+        }
+      } finally {
+        this.browser = null;
+      }
+    }
+  }
+}
+
+// グローバルブラウザマネージャー
+const browserManager = new BrowserManager();
+
+// プロセス終了時のクリーンアップ処理
+async function gracefulShutdown(signal) {
+  console.log(`\nReceived ${signal}, shutting down gracefully...`);
+  try {
+    await browserManager.cleanup();
+  } catch (error) {
+    console.error('Shutdown cleanup error:', error);
+  }
+  process.exit(0);
+}
+
+// シグナルハンドリング
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+// 未処理のPromiseエラーをキャッチ
+process.on('unhandledRejection', async (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  await browserManager.cleanup();
+  process.exit(1);
+});
+
+// スクレイピング結果に手法の識別子を追加
+function addScrapingMethodInfo(content, method) {
+  if (!content) return content;
+  
+  const methodLabel = {
+    'lightweight': 'Scraped via HTTP',
+    'browser': 'Scraped via Browser',
+    'failed': 'Scraping Failed'
+  };
+  
+  return content + `\n<p><small>[${methodLabel[method]}]</small></p>`;
+}
+
+// スクレイピング結果からノート本文のENMLを作成
+function renderScrapeResult(result) {
+  if (result.status === 'success') {
+    return addScrapingMethodInfo(result.content, result.method);
+  }
+  
+  const suffix = result.method === 'browser' ? ' (browser)' : '';
+  const message = result.status === 'no_content'
+    ? `Content could not be extracted from ${escapeHtml(result.url)}${suffix}`
+    : `Failed to scrape content from ${escapeHtml(result.url)}${suffix}: ${escapeHtml(result.errorMessage || 'Unknown error')}`;
+  return addScrapingMethodInfo(`<p>${message}</p>`, 'failed');
+}
+
+// ヘッドレスブラウザによるスクレイピング（JavaScriptを多用するサイト向け）
+async function scrapeWithPuppeteer(url, scrapeOptions = {}) {
+  const { embedImages: shouldEmbedImages = false, retry = { retries: 0 } } = scrapeOptions;
+  const result = createScrapeResult(url, 'browser');
+  const startTime = Date.now();
+  let page = null;
+  try {
+    page = await browserManager.getPage();
+    
+    // タイムアウト設定（一時的なエラーと404/410はHTTPエラーとして扱う）
+    const response = await withRetry(async () => {
+      const navigation = await page.goto(url, { 
+        waitUntil: 'networkidle2',
+        timeout: parseInt(options.timeout || 7000)
+      });
+      if (navigation) {
+        const status = navigation.status();
+        if (RETRYABLE_HTTP_STATUSES.includes(status) || PERMANENT_HTTP_STATUSES.includes(status)) {
+          throw createHttpError(status, navigation.headers());
+        }
+      }
+      return navigation;
+    }, retry, recordRetry(result));
+    if (response) {
+      result.httpStatus = response.status();
+      result.contentType = response.headers()['content-type'] || null;
+    }
+    
+    // JavaScriptの実行を待つ
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    result.finalUrl = page.url() || url;
+    
+    // レンダリング後のHTMLを取得し、本文抽出はHTTPスクレイピングと共通の処理で行う
+    const renderedHtml = await page.evaluate(() => document.documentElement.outerHTML) || '';
+    result.bytesDownloaded = Buffer.byteLength(renderedHtml);
+    const { html: content, title, canonicalUrl, metadata, report } = extractMainContent(renderedHtml);
+    result.title = title;
+    result.canonicalUrl = resolveCanonicalUrl(canonicalUrl, result.finalUrl);
+    result.metadata = resolvePageMetadata(metadata, result.finalUrl);
+    result.extraction = report;
+    
+    // ENMLフォーマットに変換
+    const mediaMap = content && shouldEmbedImages ? await embedImages(content, result.finalUrl, result.resources) : null;
+    const enmlContent = content ? sanitizeHtmlToEnml(content, result.finalUrl, mediaMap) : '';
+    return finishExtraction(result, enmlContent);
+    
+  } catch (error) {
+    return recordScrapeError(result, error);
+  } finally {
+    result.durationMs = Date.now() - startTime;
+    if (page) {
+      browserManager.releasePage(page);
+    }
+  }
+}
+
+// ENEXのXML宣言とDOCTYPE
+const ENEX_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">\n';
+const ENEX_FOOTER = '</en-export>\n';
+
+// ノート1件分のXMLビルダー（en-export直下にインデント）
+const noteBuilder = new Builder({
+  headless: true,
+  rootName: 'note',
+  renderOpts: { pretty: true, indent: '  ', offset: 1 }
+});
+
+// CDATAセクションを作成（本文中の"]]>"は複数のCDATAセクションに分割）
+function toCdataSection(text) {
+  return `<![CDATA[${String(text).split(']]>').join(']]]]><![CDATA[>')}]]>`;
+}
+
+// ノート1件をENEXのXML断片に変換（XML無効文字を含む場合は例外）
+// <content>はエスケープせずCDATAとしてそのまま書き込むため、Builderには目印だけを渡す
+function serializeNote(note) {
+  const content = [].concat(note.content ?? [])[0];
+  const placeholder = `__ENEX_CONTENT_${crypto.randomBytes(8).toString('hex')}__`;
+  const xml = noteBuilder.buildObject(content === undefined ? note : { ...note, content: placeholder });
+  const contentXml = content === undefined ? xml : xml.replace(placeholder, () => toCdataSection(content));
+  if (/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(contentXml)) {
+    throw new Error('Invalid XML character in note');
+  }
+  return contentXml;
+}
+
+// ストリーミングENEXライター（ノートを1件ずつ追記し、全体をメモリに持たない）
+class EnexWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = null;
+    this.bytesWritten = 0;
+    this.noteCount = 0;
+    this.skippedNotes = [];
+  }
+
+  // ファイルを開いてヘッダーを書き込む
+  // resumeBytesを指定した場合は途中まで書かれたファイルをその位置で切り詰めて追記
+  open(resumeBytes = 0, resumeNoteCount = 0) {
+    if (resumeBytes > 0 && fs.existsSync(this.filePath)) {
+      fs.truncateSync(this.filePath, resumeBytes);
+      this.fd = fs.openSync(this.filePath, 'a');
+      this.bytesWritten = resumeBytes;
+      this.noteCount = resumeNoteCount;
+      return this;
+    }
+
+    this.fd = fs.openSync(this.filePath, 'w');
+    try {
+      this.write(`${ENEX_HEADER}<en-export export-date="${formatDate(Date.now() / 1000)}" application="Evernote" version="10.0">\n`);
+    } catch (error) {
+      // ヘッダーを書き込めない場合はファイルを閉じてから中断
+      fs.closeSync(this.fd);
+      this.fd = null;
+      throw error;
+    }
+    return this;
+  }
+
+  write(text) {
+    const buffer = Buffer.from(text, 'utf8');
+    fs.writeSync(this.fd, buffer);
+    this.bytesWritten += buffer.length;
+  }
+
+  // ノートを追記（XMLに変換できないノートはスキップして記録）
+  writeNote(note) {
+    let xml;
+    try {
+      xml = serializeNote(note);
+    } catch (error) {
+      this.skippedNotes.push({ title: note && note.title, error: error.message });
+      return false;
+    }
+    this.write(`${xml}\n`);
+    this.noteCount++;
+    return true;
+  }
+
+  // 現在までの内容を完結したENEXファイルとして保存
+  snapshot(targetPath) {
+    fs.copyFileSync(this.filePath, targetPath);
+    try {
+      fs.appendFileSync(targetPath, ENEX_FOOTER);
+    } catch (error) {
+      // 終了タグのない不完全なファイルは残さない
+      fs.rmSync(targetPath, { force: true });
+      throw error;
+    }
+  }
+
+  // 終了タグを書き込んで閉じる（書き込みに失敗してもファイルは閉じる）
+  close() {
+    try {
+      this.write(ENEX_FOOTER);
+    } finally {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+// 出力形式
+const OUTPUT_FORMATS = ['enex', 'markdown', 'html', 'jex'];
+
+// 出力先がフォルダになる形式（1件ごとにファイルを書き込む）
+const FOLDER_OUTPUT_FORMATS = ['markdown', 'html'];
+
+// 書き込み途中のENEXファイルのパス
+function getPartialEnexPath(outputPath) {
+  return `${outputPath}.partial`;
+}
+
+// ステータスごとのノートブック別にENEXファイルを書き分けるライター
+// （対応のないステータスは出力先のファイルに書き込む。Evernoteはファイルごとにノートブックを作成する）
+class NotebookEnexWriter {
+  constructor(outputPath, notebooks) {
+    this.filePath = outputPath;
+    this.notebooks = notebooks;
+    this.writers = new Map();
+    this.resumeState = {};
+    this.skippedNotes = [];
+  }
+
+  get bytesWritten() {
+    return [...this.writers.values()].reduce((sum, writer) => sum + writer.bytesWritten, 0);
+  }
+
+  get noteCount() {
+    return [...this.writers.values()].reduce((sum, writer) => sum + writer.noteCount, 0);
+  }
+
+  // ノートブック名のファイル（出力先と同じフォルダ）
+  getTargetPath(status) {
+    const notebook = this.notebooks[status];
+    return notebook
+      ? path.join(path.dirname(this.filePath), `${toSafeFileName(notebook)}.enex`)
+      : this.filePath;
+  }
+
+  // resumeStateはgetResumeState()で保存した { 出力先: { bytes, notes } }
+  open(resumeState = null) {
+    this.resumeState = resumeState || {};
+    Object.keys(this.resumeState).forEach(targetPath => {
+      if (!fs.existsSync(getPartialEnexPath(targetPath))) {
+        throw new Error(`Cannot resume: partial ENEX file ${getPartialEnexPath(targetPath)} not found`);
+      }
+      this.getWriter(targetPath);
+    });
+    return this;
+  }
+
+  // 出力先ごとのライターを必要になった時点で開く
+  getWriter(targetPath) {
+    if (!this.writers.has(targetPath)) {
+      const writer = new EnexWriter(getPartialEnexPath(targetPath));
+      const saved = this.resumeState[targetPath];
+      writer.open(saved ? saved.bytes : 0, saved ? saved.notes : 0);
+      writer.skippedNotes = this.skippedNotes;
+      this.writers.set(targetPath, writer);
+    }
+    return this.writers.get(targetPath);
+  }
+
+  writeNote(note) {
+    return this.getWriter(this.getTargetPath(getNoteMetadata(note).status)).writeNote(note);
+  }
+
+  // チェックポイントに保存する再開位置
+  getResumeState() {
+    const state = {};
+    this.writers.forEach((writer, targetPath) => {
+      state[targetPath] = { bytes: writer.bytesWritten, notes: writer.noteCount };
+    });
+    return state;
+  }
+
+  // 出力先ごとに現在までの内容を完結したENEXファイルとして保存
+  // targetPathは出力先の中間ファイル名（例: out.checkpoint_100.enex）。ノートブックのファイルは同じ接尾辞を付けた名前にする
+  snapshot(targetPath) {
+    const suffix = targetPath.slice(getOutputBase(this.filePath).length);
+    this.writers.forEach((writer, outputPath) => {
+      writer.snapshot(outputPath === this.filePath ? targetPath : `${getOutputBase(outputPath)}${suffix}`);
+    });
+  }
+
+  close() {
+    this.writers.forEach(writer => writer.close());
+  }
+
+  // 書き込み中のファイルを出力先の名前に変更
+  finalize() {
+    return [...this.writers.entries()].map(([targetPath, writer]) => {
+      fs.renameSync(writer.filePath, targetPath);
+      return { filePath: targetPath, noteCount: writer.noteCount };
+    });
+  }
+}
+
+// Markdownで意味を持つ記号をエスケープ
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|~]/g, '\\$&');
+}
+
+// Markdownのブロックとして扱う要素
+const MARKDOWN_BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote',
+  'pre', 'table', 'hr', 'address', 'center', 'en-note'
+]);
+
+// ENML（記事本文）をMarkdownに変換
+// mediaLinksはen-mediaのハッシュから添付ファイルへのリンク（{ path, mime }）への対応
+function enmlToMarkdown(enml, mediaLinks = new Map()) {
+  if (!enml) return '';
+
+  const $ = cheerio.load(enml, { xmlMode: true });
+
+  const renderInline = (nodes) => nodes.map(node => {
+    if (node.type === 'text') {
+      return escapeMarkdown(node.data.replace(/\s+/g, ' '));
+    }
+    if (node.type !== 'tag') return '';
+
+    const inner = () => renderInline(node.children);
+    switch (node.name) {
+      case 'b':
+      case 'strong': {
+        const text = inner().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'i':
+      case 'em':
+      case 'cite':
+      case 'dfn': {
+        const text = inner().trim();
+        return text ? `*${text}*` : '';
+      }
+      case 's':
+      case 'strike':
+      case 'del': {
+        const text = inner().trim();
+        return text ? `~~${text}~~` : '';
+      }
+      case 'code':
+      case 'kbd':
+      case 'samp':
+      case 'tt': {
+        const text = $(node).text().replace(/\s+/g, ' ');
+        if (!text.trim()) return '';
+        // 本文中のバッククォートより長い区切りを使う
+        const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+        return fence.length > 1 || text.startsWith('`') ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+      }
+      case 'a': {
+        const text = inner().trim();
+        const href = node.attribs.href;
+        if (!href) return text;
+        return `[${text || escapeMarkdown(href)}](${/[\s()<>]/.test(href) ? `<${href.replace(/[<>]/g, encodeURIComponent)}>` : href})`;
+      }
+      case 'br':
+        return '\n';
+      case 'en-media': {
+        const link = mediaLinks.get(node.attribs.hash);
+        if (!link) return '';
+        const name = link.name || path.basename(link.path);
+        return link.mime.startsWith('image/') ? `![${escapeMarkdown(node.attribs.alt || '')}](${link.path})` : `[${escapeMarkdown(name)}](${link.path})`;
+      }
+      default:
+        return MARKDOWN_BLOCK_ELEMENTS.has(node.name) ? ` ${renderBlocks(node.children).replace(/\s+/g, ' ')} ` : inner();
+    }
+  }).join('');
+
+  // 段落の各行を整え、行頭の記号がリストや見出しとして解釈されないようにする
+  const formatParagraph = (text) => text
+    .split('\n')
+    .map(line => line.trim().replace(/^([-+=]|\d+[.)])(?=\s|$)/, '\\$1'))
+    .filter(Boolean)
+    .join('  \n');
+
+  const renderList = (node) => {
+    let number = parseInt(node.attribs.start || 1);
+    return node.children
+      .filter(child => child.type === 'tag' && child.name === 'li')
+      .map(item => {
+        const marker = node.name === 'ol' ? `${number++}. ` : '- ';
+        const body = renderBlocks(item.children, true);
+        const indent = ' '.repeat(marker.length);
+        return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+      })
+      .join('\n');
+  };
+
+  const renderTable = (node) => {
+    const rows = $(node).find('tr').toArray();
+    if (rows.length === 0) return '';
+    const cells = rows.map(row => row.children
+      .filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'))
+      .map(cell => formatParagraph(renderInline(cell.children)).replace(/ {2}\n/g, '<br>')));
+    const width = Math.max(...cells.map(row => row.length));
+    if (width === 0) return '';
+    const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+    return [line(cells[0]), line(Array(width).fill('---')), ...cells.slice(1).map(line)].join('\n');
+  };
+
+  const renderBlock = (node) => {
+    switch (node.name) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = renderInline(node.children).replace(/\s+/g, ' ').trim();
+        return text ? `${'#'.repeat(Number(node.name[1]))} ${text}` : '';
+      }
+      case 'hr':
+        return '---';
+      case 'pre': {
+        const text = $(node).text().replace(/\n+$/, '');
+        const fence = '`'.repeat(Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+        return `${fence}\n${text}\n${fence}`;
+      }
+      case 'blockquote':
+        return renderBlocks(node.children).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'ul':
+      case 'ol':
+        return renderList(node);
+      case 'table':
+        return renderTable(node);
+      case 'dt': {
+        const text = renderInline(node.children).replace(/\s+/g, ' ').trim();
+        return text ? `**${text}**` : '';
+      }
+      default:
+        return renderBlocks(node.children);
+    }
+  };
+
+  // 連続したインライン内容を1つの段落にまとめ、ブロックは空行で区切る
+  // リスト項目内の入れ子のリストは空行を挟まずに続ける
+  const renderBlocks = (nodes, inListItem = false) => {
+    const blocks = [];
+    let inline = [];
+    const flush = () => {
+      const text = formatParagraph(renderInline(inline));
+      if (text) blocks.push({ text, list: false });
+      inline = [];
+    };
+    for (const node of nodes) {
+      if (node.type === 'tag' && MARKDOWN_BLOCK_ELEMENTS.has(node.name)) {
+        flush();
+        const text = renderBlock(node);
+        if (text) blocks.push({ text, list: node.name === 'ul' || node.name === 'ol' });
+      } else {
+        inline.push(node);
+      }
+    }
+    flush();
+    return blocks
+      .map((block, i) => (i === 0 ? '' : inListItem && block.list ? '\n' : '\n\n') + block.text)
+      .join('');
+  };
+
+  return renderBlocks($.root()[0].children);
+}
+
+// ファイル名に使えない文字（Obsidianのリンクで問題になる文字を含む）を除去
+function toSafeFileName(name, maxLength = 100) {
+  const safe = String(name || '')
+    .replace(/[\\/:*?"<>|#^[\]\x00-\x1F\x7F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, maxLength)
+    .trim();
+  return safe || 'Untitled';
+}
+
+// YAMLのフロントマターを作成（文字列はJSON形式で書くとYAMLとしても有効）
+function createFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// PocketのUNIX時刻をISO 8601形式に変換（不正な値はnull）
+function toIsoTimestamp(timestamp) {
+  const seconds = parseInt(timestamp);
+  return Number.isNaN(seconds) ? null : new Date(seconds * 1000).toISOString();
+}
+
+// エスケープ済みの文字列を元に戻す（HTMLアーカイブの属性値用）
+function unescapeHtml(text) {
+  if (!text) return text;
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// ENEXの日時（20171003T080737Z）をISO 8601形式に変換（不正な値はnull）
+function parseEnexDate(value) {
+  const match = String([].concat(value ?? '')[0]).match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : null;
+}
+
+// ノートのリソース一覧（{ hash, mime, resource }）を取得
+// 作成元のデータがないノート（ENEXから読み込んだノートなど）は<resource>からハッシュを計算
+function getNoteMedia(note) {
+  if (note.source) return note.source.resources || [];
+  return [].concat(note.resource || []).map(resource => {
+    const data = [].concat(resource.data)[0];
+    const base64 = typeof data === 'string' ? data : data._;
+    const attributes = [].concat(resource['resource-attributes'] || [])[0] || {};
+    return {
+      hash: crypto.createHash('md5').update(Buffer.from(base64, 'base64')).digest('hex'),
+      mime: [].concat(resource.mime)[0],
+      resource: {
+        data: { _: base64 },
+        'resource-attributes': [{ 'file-name': [].concat(attributes['file-name'] || [])[0] }]
+      }
+    };
+  });
+}
+
+// ノートのメタデータ（タイトル、URL、タグ、状態、日時）を取得
+function getNoteMetadata(note) {
+  const row = note.source ? note.source.row : null;
+  return {
+    title: row ? (note.source.titles ? note.source.titles.title : row.title || row.url) : [].concat(note.title)[0],
+    pocketTitle: row && note.source.titles ? note.source.titles.pocketTitle : null,
+    url: row ? row.url : getNoteSourceUrl(note),
+    tags: row
+      ? (row.tags ? row.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [])
+      : [].concat(note.tag || []),
+    status: row ? row.status : null,
+    timeAdded: row ? toIsoTimestamp(row.time_added) : parseEnexDate(note.created),
+    timeRead: row && getTimeRead(row) ? toIsoTimestamp(getTimeRead(row)) : null,
+    favorite: row ? isFavorite(row.favorite) : false,
+    page: (note.source && note.source.metadata) || {}
+  };
+}
+
+// リソースの拡張子（MIMEタイプから判定できない場合はbin）
+function getMediaExtension(mime) {
+  return Object.keys(ATTACHMENT_MIME_TYPES).find(ext => ATTACHMENT_MIME_TYPES[ext] === mime) || 'bin';
+}
+
+// 1件ごとにファイルを書く出力先の共通処理（画像などは添付フォルダに保存）
+class FolderNoteWriter {
+  constructor(dirPath, { attachmentsDir = 'attachments' } = {}) {
+    this.filePath = dirPath;
+    this.attachmentsDir = attachmentsDir;
+    this.bytesWritten = 0;
+    this.noteCount = 0;
+    this.skippedNotes = [];
+  }
+
+  // 出力先のフォルダを作成（再開時は書き込み済みの件数を引き継ぐ）
+  open(resumeNoteCount = 0) {
+    fs.mkdirSync(path.join(this.filePath, this.attachmentsDir), { recursive: true });
+    this.noteCount = resumeNoteCount;
+    return this;
+  }
+
+  write(filePath, data) {
+    fs.writeFileSync(filePath, data);
+    this.bytesWritten += Buffer.byteLength(data);
+  }
+
+  // 同じタイトルの別記事と重ならないファイル名を決める
+  // 同じURLのファイルは上書きするため、再開や失敗分の再実行でも同じファイルに書かれる
+  getNoteFileName(title, url) {
+    const baseName = toSafeFileName(title);
+    const fileName = `${baseName}${this.extension}`;
+    const existingPath = path.join(this.filePath, fileName);
+    if (!fs.existsSync(existingPath) || this.readNoteUrl(fs.readFileSync(existingPath, 'utf8')) === url) {
+      return fileName;
+    }
+
+    const hash = crypto.createHash('md5').update(String(url)).digest('hex').slice(0, 8);
+    return `${baseName} ${hash}${this.extension}`;
+  }
+
+  // リソースを添付フォルダに保存し、ハッシュからリンクへの対応を返す
+  writeAttachments(resources) {
+    const mediaLinks = new Map();
+    for (const media of resources) {
+      const attributes = (media.resource['resource-attributes'] || [])[0] || {};
+      // 同じ内容のファイルはハッシュで共有する
+      const fileName = attributes['file-name']
+        ? `${media.hash.slice(0, 8)}-${toSafeFileName(attributes['file-name']).replace(/\s/g, '-')}`
+        : `${media.hash}.${getMediaExtension(media.mime)}`;
+      const attachmentPath = path.join(this.filePath, this.attachmentsDir, fileName);
+      if (!fs.existsSync(attachmentPath)) {
+        this.write(attachmentPath, Buffer.from(media.resource.data._, 'base64'));
+      }
+      mediaLinks.set(media.hash, { path: `${this.attachmentsDir}/${fileName}`, mime: media.mime });
+    }
+    return mediaLinks;
+  }
+
+  // ノートを1つのファイルとして書き込む（変換できないノートはスキップして記録）
+  writeNote(note) {
+    try {
+      const { fileName, data } = this.renderNote(note);
+      this.write(path.join(this.filePath, fileName), data);
+    } catch (error) {
+      this.skippedNotes.push({ title: note && note.title, error: error.message });
+      return false;
+    }
+    this.noteCount++;
+    return true;
+  }
+
+  close() {
+    // 1件ごとに書き込み済みのため何もしない
+  }
+}
+
+// Markdownの出力先（Obsidianの保管庫）。1件ごとに.mdファイルを書く
+class MarkdownWriter extends FolderNoteWriter {
+  get extension() {
+    return '.md';
+  }
+
+  // フロントマターのURLを取得
+  readNoteUrl(text) {
+    const match = text.match(/^url: (.*)$/m);
+    try {
+      return match ? JSON.parse(match[1]) : null;
+    } catch {
+      // フロントマターが読めないファイルは別記事として扱う
+      return null;
+    }
+  }
+
+  renderNote(note) {
+    // 作成元のデータがないノート（旧バージョンのチェックポイントなど）はENEXの内容から変換
+    const metadata = getNoteMetadata(note);
+    const content = note.source ? note.source.content : [].concat(note.content ?? [])[0] || null;
+    const title = metadata.title;
+
+    const mediaLinks = this.writeAttachments(getNoteMedia(note));
+    const body = content ? enmlToMarkdown(content, mediaLinks) : `[${escapeMarkdown(title)}](${metadata.url})`;
+    const markdown = createFrontMatter({
+      title,
+      pocket_title: metadata.pocketTitle,
+      url: metadata.url,
+      tags: metadata.tags,
+      status: metadata.status,
+      time_added: metadata.timeAdded,
+      time_read: metadata.timeRead,
+      favorite: metadata.favorite || null,
+      author: metadata.page.author,
+      published: metadata.page.publishedAt,
+      site_name: metadata.page.siteName,
+      description: metadata.page.description,
+      image: metadata.page.image,
+      scrape_method: note.source ? note.source.scrapeMethod : null
+    }) + `\n# ${escapeMarkdown(title)}\n\n${body}\n`;
+
+    return { fileName: this.getNoteFileName(title, metadata.url), data: markdown };
+  }
+}
+
+// HTMLアーカイブのページのスタイル
+const HTML_ARCHIVE_STYLE = 'body{max-width:48em;margin:2em auto;padding:0 1em;font-family:sans-serif;line-height:1.6}' +
+  'img{max-width:100%}pre{overflow:auto;background:#f5f5f5;padding:1em}table{border-collapse:collapse}' +
+  'td,th{border:1px solid #ccc;padding:.3em .6em}.meta{color:#666;font-size:.9em}';
+
+// ENMLのノート本文を通常のHTMLに変換（en-mediaは添付ファイルへの画像・リンクにする）
+function enmlToHtml(enml, mediaLinks = new Map()) {
+  const $ = cheerio.load(enml, { xmlMode: true, decodeEntities: false });
+  $('en-media').each(function() {
+    const link = mediaLinks.get(this.attribs.hash);
+    if (!link) {
+      $(this).remove();
+    } else if (link.mime.startsWith('image/')) {
+      $(this).replaceWith(`<img src="${escapeHtml(link.path)}" alt=""/>`);
+    } else {
+      $(this).replaceWith(`<a href="${escapeHtml(link.path)}">${escapeHtml(path.basename(link.path))}</a>`);
+    }
+  });
+  $('en-todo').each(function() {
+    $(this).replaceWith(`<input type="checkbox" disabled="disabled"${this.attribs.checked === 'true' ? ' checked="checked"' : ''}/>`);
+  });
+  $('en-crypt').remove();
+  const root = $('en-note');
+  return root.length > 0 ? root.html() : $.root().html();
+}
+
+// 静的なHTMLアーカイブの出力先。1件ごとに単独で開けるHTMLを書き、閉じるときにindex.htmlを作成
+class HtmlArchiveWriter extends FolderNoteWriter {
+  get extension() {
+    return '.html';
+  }
+
+  // ページに埋め込んだ元記事のURLを取得
+  readNoteUrl(text) {
+    const match = text.match(/<meta name="source-url" content="([^"]*)"/);
+    return match ? unescapeHtml(match[1]) : null;
+  }
+
+  renderNote(note) {
+    const metadata = getNoteMetadata(note);
+    const mediaLinks = this.writeAttachments(getNoteMedia(note));
+    const body = enmlToHtml([].concat(note.content ?? [])[0] || '<en-note/>', mediaLinks);
+    const meta = {
+      'source-url': metadata.url,
+      'pocket-title': metadata.pocketTitle,
+      'pocket-tags': metadata.tags.join(','),
+      'pocket-status': metadata.status,
+      'pocket-time-added': metadata.timeAdded,
+      'pocket-time-read': metadata.timeRead,
+      'pocket-favorite': metadata.favorite ? 'true' : null,
+      author: metadata.page.author,
+      description: metadata.page.description,
+      'article:published_time': metadata.page.publishedAt,
+      'og:site_name': metadata.page.siteName,
+      'og:image': metadata.page.image
+    };
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(metadata.title)}</title>
+${Object.entries(meta).filter(([, value]) => value).map(([name, value]) => `<meta name="${name}" content="${escapeHtml(value)}"/>`).join('\n')}
+<style>${HTML_ARCHIVE_STYLE}</style>
+</head>
+<body>
+<p class="meta"><a href="index.html">Index</a></p>
+${body}
+</body>
+</html>
+`;
+    return { fileName: this.getNoteFileName(metadata.title, metadata.url), data: html };
+  }
+
+  // フォルダ内のページからindex.htmlを作成（再開前に書いたページも含める）
+  writeIndex() {
+    const entries = fs.readdirSync(this.filePath)
+      .filter(fileName => fileName.endsWith('.html') && fileName !== 'index.html')
+      .map(fileName => {
+        const $ = cheerio.load(fs.readFileSync(path.join(this.filePath, fileName), 'utf8'));
+        const meta = name => $(`meta[name="${name}"]`).attr('content') || '';
+        return {
+          fileName,
+          title: $('title').text(),
+          tags: meta('pocket-tags'),
+          status: meta('pocket-status'),
+          timeAdded: meta('pocket-time-added')
+        };
+      })
+      // 新しい順
+      .sort((a, b) => b.timeAdded.localeCompare(a.timeAdded));
+
+    const rows = entries.map(entry => `<tr><td><a href="${escapeHtml(encodeURIComponent(entry.fileName))}">${escapeHtml(entry.title)}</a></td>` +
+      `<td>${escapeHtml(entry.tags.split(',').filter(Boolean).join(', '))}</td>` +
+      `<td>${escapeHtml(entry.timeAdded.split('T')[0])}</td><td>${escapeHtml(entry.status)}</td></tr>`);
+
+    this.write(path.join(this.filePath, 'index.html'), `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<title>Pocket Archive</title>
+<style>${HTML_ARCHIVE_STYLE}</style>
+</head>
+<body>
+<h1>Pocket Archive</h1>
+<p class="meta">${entries.length} items</p>
+<table>
+<thead><tr><th>Title</th><th>Tags</th><th>Date</th><th>Status</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`);
+  }
+
+  close() {
+    this.writeIndex();
+  }
+}
+
+// tarのエントリ（ustar形式のヘッダー＋512バイト境界まで埋めたデータ）を作成
+function createTarEntry(name, data, mtime = Date.now()) {
+  const body = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  const header = Buffer.alloc(512);
+  const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(body.length, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.fill(' ', 148, 156);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return Buffer.concat([header, body, Buffer.alloc((512 - body.length % 512) % 512)]);
+}
+
+// tarの終端（空ブロック2つ）
+const TAR_FOOTER = Buffer.alloc(1024);
+
+// Joplinのアイテム種別
+const JOPLIN_TYPES = { note: 1, folder: 2, resource: 4, tag: 5, noteTag: 6 };
+
+// Joplinのアイテムファイル（タイトル・本文・プロパティ行）を作成
+function serializeJoplinItem(title, body, properties) {
+  const lines = Object.entries(properties).map(([key, value]) => `${key}: ${value ?? ''}`);
+  return [title, body].filter(part => part !== null && part !== undefined)
+    .map(part => `${part}\n\n`)
+    .join('') + lines.join('\n');
+}
+
+// 文字列から決まるJoplinのID（32桁の16進数）
+function toJoplinId(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+// Joplinのエクスポート（JEX）の出力先。Joplinの生データ形式のアイテムをtarに順次追記
+class JexWriter {
+  constructor(filePath, { notebook = 'Pocket', seed = filePath } = {}) {
+    this.filePath = filePath;
+    this.notebook = notebook;
+    this.folderId = toJoplinId(`folder:${seed}:${notebook}`);
+    this.fd = null;
+    this.bytesWritten = 0;
+    this.noteCount = 0;
+    this.skippedNotes = [];
+    this.writtenIds = new Set();
+  }
+
+  // ファイルを開いてノートブックを書き込む
+  // resumeBytesを指定した場合は途中まで書かれたファイルをその位置で切り詰めて追記
+  open(resumeBytes = 0, resumeNoteCount = 0) {
+    if (resumeBytes > 0 && fs.existsSync(this.filePath)) {
+      fs.truncateSync(this.filePath, resumeBytes);
+      this.fd = fs.openSync(this.filePath, 'a');
+      this.bytesWritten = resumeBytes;
+      this.noteCount = resumeNoteCount;
+      return this;
+    }
+
+    this.fd = fs.openSync(this.filePath, 'w');
+    const now = new Date().toISOString();
+    this.writeItem(this.folderId, this.notebook, null, {
+      created_time: now,
+      updated_time: now,
+      user_created_time: now,
+      user_updated_time: now,
+      parent_id: '',
+      type_: JOPLIN_TYPES.folder
+    });
+    return this;
+  }
+
+  write(buffer) {
+    fs.writeSync(this.fd, buffer);
+    this.bytesWritten += buffer.length;
+  }
+
+  writeItem(id, title, body, properties) {
+    this.write(createTarEntry(`${id}.md`, serializeJoplinItem(title, body, { id, ...properties })));
+  }
+
+  // 一度書いたタグやリソースは書き込まない（再開時に重複しても展開時に上書きされる）
+  writeOnce(id, writeEntry) {
+    if (this.writtenIds.has(id)) return;
+    writeEntry();
+    this.writtenIds.add(id);
+  }
+
+  // ノートをリソース・タグと共に追記（変換できないノートはスキップして記録）
+  writeNote(note) {
+    let entries;
+    try {
+      entries = this.renderNote(note);
+    } catch (error) {
+      this.skippedNotes.push({ title: note && note.title, error: error.message });
+      return false;
+    }
+    entries.forEach(entry => entry());
+    this.noteCount++;
+    return true;
+  }
+
+  // ノートを書き込み処理の一覧に変換（途中で失敗しても書きかけのエントリを残さない）
+  renderNote(note) {
+    const metadata = getNoteMetadata(note);
+    const noteId = crypto.randomBytes(16).toString('hex');
+    const created = metadata.timeAdded || new Date().toISOString();
+    const updated = parseEnexDate(note.updated) || created;
+    const timestamps = { created_time: created, updated_time: updated, user_created_time: created, user_updated_time: updated };
+    const entries = [];
+
+    const mediaLinks = new Map();
+    getNoteMedia(note).forEach(media => {
+      const extension = getMediaExtension(media.mime);
+      const attributes = (media.resource['resource-attributes'] || [])[0] || {};
+      const data = Buffer.from(media.resource.data._, 'base64');
+      const fileName = attributes['file-name'] || `${media.hash}.${extension}`;
+      mediaLinks.set(media.hash, { path: `:/${media.hash}`, mime: media.mime, name: fileName });
+      entries.push(() => this.writeOnce(media.hash, () => {
+        this.write(createTarEntry(`resources/${media.hash}.${extension}`, data));
+        this.writeItem(media.hash, fileName, null, {
+          mime: media.mime,
+          filename: fileName,
+          file_extension: extension,
+          size: data.length,
+          ...timestamps,
+          encryption_blob_encrypted: 0,
+          type_: JOPLIN_TYPES.resource
+        });
+      }));
+    });
+
+    const body = enmlToMarkdown([].concat(note.content ?? [])[0] || '', mediaLinks);
+    const noteItem = serializeJoplinItem(metadata.title.replace(/\s+/g, ' '), body, {
+      id: noteId,
+      parent_id: this.folderId,
+      ...timestamps,
+      source_url: metadata.url,
+      // Joplinの項目は1行に1つのため、改行などの空白はまとめる
+      author: String(metadata.page.author || '').replace(/\s+/g, ' ').trim(),
+      is_todo: 0,
+      source: 'pocket2evernote',
+      source_application: 'pocket2evernote',
+      markup_language: 1,
+      type_: JOPLIN_TYPES.note
+    });
+    entries.push(() => this.write(createTarEntry(`${noteId}.md`, noteItem)));
+
+    metadata.tags.forEach(tag => {
+      const tagId = toJoplinId(`tag:${tag.toLowerCase()}`);
+      entries.push(() => this.writeOnce(tagId, () => this.writeItem(tagId, tag, null, { ...timestamps, type_: JOPLIN_TYPES.tag })));
+      entries.push(() => this.writeItem(crypto.randomBytes(16).toString('hex'), null, null, {
+        note_id: noteId,
+        tag_id: tagId,
+        ...timestamps,
+        type_: JOPLIN_TYPES.noteTag
+      }));
+    });
+
+    return entries;
+  }
+
+  // tarの終端を書き込んで閉じる
+  close() {
+    this.write(TAR_FOOTER);
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+function createEnexStructure(notes) {
+  return {
+    'en-export': {
+      $: {
+        'export-date': formatDate(Date.now() / 1000),
+        'application': 'Evernote',
+        'version': '10.0'
+      },
+      note: notes
+    }
+  };
+}
+
+// XML無効文字を除去
+function removeInvalidXmlChars(text) {
+  if (!text) return text;
+  // XML 1.0で無効な文字を除去: 制御文字など
+  return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+}
+
+function escapeHtml(text) {
+  if (!text) return text;
+  // まずXML無効文字を除去
+  text = removeInvalidXmlChars(text);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 未読の項目をリマインダー（読む予定の一覧）にする。並び順は追加日時
+function applyReminder(note, row, reminderOptions = {}) {
+  if (row.status !== 'unread' || !(reminderOptions.unreadReminders || reminderOptions.reminderTime)) {
+    return note;
+  }
+  const attributes = note['note-attributes'][0];
+  attributes['reminder-order'] = note.created;
+  if (reminderOptions.reminderTime) {
+    attributes['reminder-time'] = formatDate(parseDateOption(reminderOptions.reminderTime, '--reminder-time'));
+  }
+  return note;
+}
+
+// 更新日時の取得元
+const UPDATED_SOURCES = ['added', 'read', 'scraped'];
+
+// 既読日時（UNIX時刻、未読や不明の場合はnull）。Pocketは未読の項目を0にしている
+function getTimeRead(row) {
+  const seconds = parseInt(row.time_read);
+  return seconds > 0 ? seconds : null;
+}
+
+// お気に入りの値（1、true、yes）
+function isFavorite(value) {
+  return /^(1|true|yes)$/i.test(String(value ?? '').trim());
+}
+
+// ノートの作成日時と更新日時（updatedがreadで既読日時がない場合や、scrapedでスクレイピングしていない場合は作成日時）
+function getNoteDates(row, scraped, updatedSource = 'added', now = Date.now()) {
+  const created = formatDate(row.time_added);
+  if (updatedSource === 'read' && getTimeRead(row)) {
+    return { created, updated: formatDate(getTimeRead(row)) };
+  }
+  if (updatedSource === 'scraped' && scraped) {
+    return { created, updated: formatDate(now / 1000) };
+  }
+  return { created, updated: created };
+}
+
+// Evernoteのノートのタイトルの最大長
+const EVERNOTE_TITLE_MAX_LENGTH = 255;
+
+// タイトルとサイト名の区切り（例: "記事 | サイト名"、"Article - Site"）
+const TITLE_SEPARATOR_PATTERN = /\s+(?:[|\-\u2013\u2014\u00b7\u2022»:]|::)\s+/;
+
+// ページのタイトルを1行にしてEvernoteの上限の長さに切り詰める
+function clampTitle(title) {
+  const text = String(title || '').replace(/\s+/g, ' ').trim();
+  return text.length > EVERNOTE_TITLE_MAX_LENGTH ? `${text.slice(0, EVERNOTE_TITLE_MAX_LENGTH - 1).trimEnd()}\u2026` : text;
+}
+
+// ページのタイトルからサイト名の接頭辞・接尾辞を除去
+// サイト名が不明な場合は、最後の区切りの後ろが短い（4語以下で前半より短い）ときにサイト名とみなす
+function cleanPageTitle(title, siteName = null) {
+  const text = String(title || '').replace(/\s+/g, ' ').trim();
+  const parts = text.split(TITLE_SEPARATOR_PATTERN);
+  if (parts.length < 2) return text;
+
+  const separators = text.match(new RegExp(TITLE_SEPARATOR_PATTERN.source, 'g'));
+  const site = String(siteName || '').trim().toLowerCase();
+  if (site) {
+    if (parts[parts.length - 1].toLowerCase() === site) {
+      return text.slice(0, text.lastIndexOf(separators[separators.length - 1])).trim();
+    }
+    if (parts[0].toLowerCase() === site) {
+      return text.slice(parts[0].length + separators[0].length).trim();
+    }
+    return text;
+  }
+
+  const tail = parts[parts.length - 1];
+  const head = text.slice(0, text.lastIndexOf(separators[separators.length - 1])).trim();
+  return tail.split(' ').length <= 4 && tail.length < head.length ? head : text;
+}
+
+// Pocketのタイトルが空、またはURLそのもの（スキームやwww.の違いを含む）か
+function isMissingTitle(title, url) {
+  const text = String(title || '').trim();
+  return !text || /^https?:\/\/\S+$/i.test(text) || getDedupeKey(text) === getDedupeKey(url) ||
+    getDedupeKey(`https://${text}`) === getDedupeKey(url);
+}
+
+// ノートのタイトル（Pocketのタイトルが空かURLの場合はスクレイピングしたページのタイトル）
+// pocketTitleはページのタイトルに置き換えた場合の元のタイトル（置き換えない場合や元のタイトルが空の場合はnull）
+function getNoteTitles(row, metadata = null) {
+  const pageTitle = metadata && metadata.title ? clampTitle(cleanPageTitle(metadata.title, metadata.siteName)) : '';
+  if (pageTitle && isMissingTitle(row.title, row.url)) {
+    return { title: pageTitle, pocketTitle: String(row.title || '').trim() || null };
+  }
+  return { title: row.title || row.url, pocketTitle: null };
+}
+
+// 既読日時とお気に入り（とページのタイトルに置き換えた元のタイトル）をノートのアプリケーションデータとして記録
+function getPocketApplicationData(row, pocketTitle = null) {
+  const data = [];
+  if (pocketTitle) {
+    data.push({ $: { key: 'pocket-title' }, _: removeInvalidXmlChars(pocketTitle) });
+  }
+  if (getTimeRead(row)) {
+    data.push({ $: { key: 'pocket-time-read' }, _: formatDate(getTimeRead(row)) });
+  }
+  if (isFavorite(row.favorite)) {
+    data.push({ $: { key: 'pocket-favorite' }, _: 'true' });
+  }
+  return data;
+}
+
+// ページのメタデータから本文の先頭に置く見出し部分（著者、サイト名、公開日、概要）を作成
+function renderMetadataHeader(metadata) {
+  if (!metadata) return '';
+  const byline = [
+    metadata.author ? `By ${escapeHtml(metadata.author)}` : null,
+    metadata.siteName ? escapeHtml(metadata.siteName) : null,
+    metadata.publishedAt ? `Published: ${metadata.publishedAt.split('T')[0]}` : null
+  ].filter(Boolean);
+  const parts = [];
+  if (byline.length > 0) {
+    parts.push(`<div>\n<small>${byline.join(' | ')}</small>\n</div>`);
+  }
+  if (metadata.description) {
+    parts.push(`<div>\n<i>${escapeHtml(metadata.description)}</i>\n</div>`);
+  }
+  return parts.join('\n');
+}
+
+// scrapeMethodはスクレイピング手法（'lightweight'/'browser'/'failed'、スクレイピングなしはnull）
+// metadataはスクレイピングしたページのメタデータ（extractPageMetadata）
+function createNote(row, scrapedContent = null, resources = [], scrapeMethod = null, metadata = null) {
+  const titles = getNoteTitles(row, metadata);
+  // 本文（ENML）用にエスケープした値。ENEXの要素の値はBuilderがエスケープするため、XMLに使えない文字だけを除いた値を渡す
+  const title = escapeHtml(titles.title);
+  const url = escapeHtml(row.url);
+  const tags = row.tags ? row.tags.split(',').map(removeInvalidXmlChars).filter(tag => tag.trim()) : [];
+  
+  // スクレイピングなし/失敗時、またはENMLを修復できない場合の本文
+  const bookmarkHtml = `
+<div>
+<a href="${url}">${title}</a>
+</div>
+<div>
+<br/>
+</div>
+<div>
+URL: ${url}
+</div>`;
+  
+  let contentHtml = bookmarkHtml;
+  const cleanedContent = scrapedContent ? removeInvalidXmlChars(scrapedContent) : null;
+  
+  if (cleanedContent) {
+    // スクレイピング成功時
+    contentHtml = `
+<h1>${title}</h1>
+<div>
+<a href="${url}">Original Article</a>
+</div>
+${renderMetadataHeader(metadata)}
+<hr/>
+<div>
+${cleanedContent}
+</div>
+<hr/>
+<div>
+<small>
+URL: ${url}<br/>
+Scraped: ${new Date().toISOString().split('T')[0]}
+</small>
+</div>`;
+  }
+  
+  // ENMLの規則で検証・修復（修復できない本文は隔離してリンクのみのノートにする）
+  const mediaList = resources || [];
+  const validation = validateEnml(`<en-note>\n${contentHtml}\n</en-note>`, {
+    resourceHashes: mediaList.map(media => media.hash)
+  });
+  const quarantined = !validation.valid;
+  const enNote = quarantined ? `<en-note>\n${bookmarkHtml}\n</en-note>` : validation.enml;
+  
+  const noteContent = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
+${enNote}`;
+
+  const { created, updated } = getNoteDates(row, Boolean(cleanedContent), options.updated);
+  const note = {
+    title: removeInvalidXmlChars(titles.title),
+    content: noteContent,
+    created: created,
+    updated: updated,
+    'note-attributes': [{
+      // 著者はページから取得できた場合のみ
+      ...(metadata && metadata.author ? { author: removeInvalidXmlChars(metadata.author) } : {}),
+      source: 'web.clip',
+      'source-url': removeInvalidXmlChars(row.url),
+      'source-application': 'Pocket2Evernote'
+    }]
+  };
+
+  applyReminder(note, row, options);
+  // application-dataはnote-attributesの最後の要素
+  const applicationData = getPocketApplicationData(row, titles.pocketTitle);
+  if (applicationData.length > 0) {
+    note['note-attributes'][0]['application-data'] = applicationData;
+  }
+
+  if (tags.length > 0) {
+    note.tag = tags;
+  }
+
+  // 埋め込み画像などのリソース（隔離した場合は参照する本文がないため含めない）
+  if (mediaList.length > 0 && !quarantined) {
+    note.resource = mediaList.map(media => media.resource);
+  }
+
+  // 検証結果（列挙されないためENEXには出力されない）
+  Object.defineProperty(note, 'enmlReport', {
+    value: {
+      url: row.url,
+      title: row.title || row.url,
+      repaired: validation.repaired,
+      quarantined,
+      errors: validation.errors
+    },
+    enumerable: false
+  });
+
+  // Markdownなど他の出力形式用の元データ（ENEXには出力されない）
+  Object.defineProperty(note, 'source', {
+    value: { row, content: cleanedContent, resources: mediaList, scrapeMethod, metadata, titles },
+    enumerable: false
+  });
+
+  return note;
+}
+
+// ドメイン別レート制限（同時接続数とリクエスト開始間隔をホストごとに制御）
+class DomainRateLimiter {
+  constructor(limits = {}) {
+    this.concurrency = Math.max(1, parseInt(limits.concurrency || 2));
+    this.delayMs = Math.max(0, parseInt(limits.delayMs ?? 1000));
+    this.overrides = limits.overrides || {};
+    this.hosts = new Map();
+  }
+
+  // URLからホスト名を取得（不正なURLは共通のキーにまとめる）
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // ホストに適用する制限（サブドメインは親ドメインの設定を引き継ぐ）
+  getLimits(host) {
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const override = this.overrides[labels.slice(i).join('.')];
+      if (override) {
+        return {
+          concurrency: Math.max(1, parseInt(override.concurrency ?? this.concurrency)),
+          delayMs: Math.max(0, parseInt(override.delay ?? this.delayMs))
+        };
+      }
+    }
+    return { concurrency: this.concurrency, delayMs: this.delayMs };
+  }
+
+  getState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStart: 0, lastStart: -Infinity, queue: [], timer: null, limits: this.getLimits(host) });
+    }
+    return this.hosts.get(host);
+  }
+
+  // 枠が空くまで待機し、解放用の関数を返す
+  acquire(url) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    return new Promise(resolve => {
+      state.queue.push(resolve);
+      this.drain(host);
+    });
+  }
+
+  // 待機中のリクエストを制限の範囲内で開始
+  drain(host) {
+    const state = this.hosts.get(host);
+    while (state.queue.length > 0 && state.active < state.limits.concurrency) {
+      const wait = state.nextStart - Date.now();
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this.drain(host);
+          }, wait);
+        }
+        return;
+      }
+
+      state.active++;
+      state.nextStart = Date.now() + state.limits.delayMs;
+      const resolve = state.queue.shift();
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        state.active--;
+        this.drain(host);
+      });
+    }
+
+    // 使われなくなったホストの状態を破棄
+    if (state.active === 0 && state.queue.length === 0 && !state.timer && state.nextStart <= Date.now()) {
+      this.hosts.delete(host);
+    }
+  }
+
+  // 枠を確保したリクエストの開始直前に呼び、前回の開始から間隔が空くまで待機
+  // （枠の確保後にワーカーの空きを待ったリクエストが同時に開始しないようにする）
+  async start(url) {
+    const state = this.getState(this.getHost(url));
+    const startAt = Math.max(Date.now(), state.lastStart + state.limits.delayMs);
+    state.lastStart = startAt;
+    state.nextStart = Math.max(state.nextStart, startAt + state.limits.delayMs);
+    const wait = startAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+// ドメイン別の制限設定ファイル（JSON）を読み込み
+// 例: { "example.com": { "concurrency": 1, "delay": 5000 } }
+function loadDomainLimits(filePath) {
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load domain limits from ${filePath}: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`Domain limits in ${filePath} must be an object keyed by domain`);
+  }
+
+  const normalized = {};
+  Object.entries(overrides).forEach(([domain, limits]) => {
+    if (!limits || typeof limits !== 'object') {
+      throw new Error(`Invalid limits for ${domain} in ${filePath}`);
+    }
+    ['concurrency', 'delay'].forEach(key => {
+      if (limits[key] !== undefined && (isNaN(parseInt(limits[key])) || parseInt(limits[key]) < 0)) {
+        throw new Error(`Invalid ${key} for ${domain} in ${filePath}`);
+      }
+    });
+    normalized[domain.toLowerCase().replace(/^\*?\./, '')] = limits;
+  });
+  return normalized;
+}
+
+// スライディングウィンドウ方式のワーカープール
+// worker(item, index)を最大concurrency件同時に実行し、1件終わるごとに次を開始する
+// onCompleteは完了順、onResultは元の順序で呼ばれる（順序の入れ替えはバッファで吸収）
+// 遅いアイテムの後ろで結果が溜まりすぎないよう、未出力の件数をmaxPendingで制限
+// acquire(item, index)を指定すると、その枠（解放用の関数を返す）を確保できたアイテムからワーカーの枠を割り当てる
+// （枠を待つアイテムがワーカーを占有して、他のアイテムの開始を妨げないようにする）
+async function runWorkerPool(items, concurrency, worker, { onResult = null, onComplete = null, maxPending = null, acquire = null } = {}) {
+  const workerCount = Math.min(Math.max(1, parseInt(concurrency) || 1), items.length);
+  const pendingLimit = Math.max(workerCount, maxPending || workerCount * 10);
+  const buffer = new Map();
+  const waiters = [];
+  const slotWaiters = [];
+  const running = [];
+  let active = 0;
+  let nextIndex = 0;
+  let nextEmit = 0;
+
+  // 先頭から連続して揃った結果を出力
+  const emitReady = () => {
+    while (buffer.has(nextEmit)) {
+      const outcome = buffer.get(nextEmit);
+      buffer.delete(nextEmit);
+      if (onResult) {
+        onResult(outcome, nextEmit);
+      }
+      nextEmit++;
+    }
+    waiters.splice(0).forEach(resolve => resolve());
+  };
+
+  // ワーカーの枠（空くまで順番に待機）
+  const takeSlot = () => {
+    if (active < workerCount) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => slotWaiters.push(resolve));
+  };
+  const releaseSlot = () => {
+    const next = slotWaiters.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  const runItem = async (index) => {
+    let outcome;
+    let release = null;
+    try {
+      release = acquire ? await acquire(items[index], index) : null;
+      await takeSlot();
+      try {
+        outcome = { value: await worker(items[index], index) };
+      } finally {
+        releaseSlot();
+      }
+    } catch (error) {
+      outcome = { error };
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+
+    if (onComplete) {
+      onComplete(outcome, index);
+    }
+    buffer.set(index, outcome);
+    emitReady();
+  };
+
+  while (nextIndex < items.length) {
+    // 未出力の結果が多すぎる場合は先頭の完了を待つ
+    if (nextIndex - nextEmit >= pendingLimit) {
+      await new Promise(resolve => waiters.push(resolve));
+      continue;
+    }
+    running.push(runItem(nextIndex++));
+  }
+
+  await Promise.all(running);
+}
+
+// 個別レコード処理（並列処理用）
+async function processRecord(row, globalIndex, checkpoint, options) {
+  let scrapeResult = null;
+  const attempts = [];
+  let note = null;
+  let success = true;
+  
+  const scrapeOptions = {
+    embedImages: Boolean(options.embedImages),
+    attachFiles: Boolean(options.attachFiles),
+    extractPdfText: Boolean(options.extractPdfText),
+    retry: getRetryPolicy(options)
+  };
+  
+  try {
+    if (options.scrape && options.forceBrowser) {
+      // ブラウザ強制モード: 軽量スクレイピングを省略
+      scrapeResult = await scrapeWithPuppeteer(row.url, scrapeOptions);
+      attempts.push(scrapeResult);
+    } else if (options.scrape) {
+      // 1段階目: 軽量スクレイピング
+      scrapeResult = await scrapeContent(row.url, scrapeOptions);
+      attempts.push(scrapeResult);
+      
+      // 2段階目: 軽量スクレイピングが失敗した場合はヘッドレスブラウザフォールバック
+      // （進捗バー表示中はエラーログを抑制し、統計で後で表示）
+      // 404/410はブラウザでも結果が変わらないためフォールバックしない
+      if (scrapeResult.status !== 'success' && options.fallbackBrowser &&
+          !PERMANENT_HTTP_STATUSES.includes(scrapeResult.httpStatus)) {
+        scrapeResult = await scrapeWithPuppeteer(row.url, scrapeOptions);
+        attempts.push(scrapeResult);
+      }
+    }
+    
+    if (scrapeResult) {
+      success = scrapeResult.status === 'success';
+      
+      // ノート作成（スクレイピング手法の識別情報とページのメタデータ付き）
+      note = createNote(
+        row,
+        renderScrapeResult(scrapeResult),
+        success ? scrapeResult.resources : [],
+        success ? scrapeResult.method : 'failed',
+        // ページのタイトルはPocketのタイトルが空かURLの場合に使う
+        success ? { ...scrapeResult.metadata, title: scrapeResult.title } : null
+      );
+    } else {
+      note = createNote(row, null);
+    }
+    
+  } catch (error) {
+    // 進捗バー表示中はエラーログを抑制（統計で後で表示）
+    success = false;
+    
+    // エラーでも基本的なノートは作成
+    try {
+      note = createNote(row, null);
+    } catch (noteError) {
+      // エラーメッセージを抑制（進捗バーを中断しない）
+      note = null;
+    }
+  }
+  
+  return { note, success, scrapeResult, attempts };
+}
+
+// 失敗レポートに追加する列（元のCSV列の後ろに並べる）
+const FAILURE_REPORT_COLUMNS = [
+  'record_index', 'http_status', 'error_class', 'error_code', 'error_message',
+  'attempted_methods', 'final_url', 'failed_at'
+];
+
+// 失敗したレコードのレポートエントリを作成
+function createFailureEntry(row, index, processResult = {}, error = null) {
+  const { scrapeResult = null, attempts = [] } = processResult;
+  const last = scrapeResult || {};
+
+  return {
+    index,
+    // 入力ファイル上の行番号（ZIPはパートのファイル名も）。絞り込みや重複の統合で行を除いても元の位置を指す
+    line: row.inputLine || null,
+    file: row.inputFile || null,
+    url: row.url,
+    row: { ...row },
+    status: last.status || 'failed',
+    httpStatus: last.httpStatus || null,
+    errorClass: last.errorClass || classifyScrapeError(error),
+    errorCode: last.errorCode || (error && error.code) || null,
+    errorMessage: last.errorMessage || (error && error.message) || null,
+    finalUrl: last.finalUrl || row.url,
+    attempts: attempts.map(attempt => ({
+      method: attempt.method,
+      status: attempt.status,
+      httpStatus: attempt.httpStatus,
+      errorClass: attempt.errorClass,
+      errorMessage: attempt.errorMessage,
+      retries: attempt.retries || 0,
+      durationMs: attempt.durationMs
+    })),
+    failedAt: new Date().toISOString()
+  };
+}
+
+// 失敗レポートのパスを出力ENEXから決定
+function getFailureReportPaths(outputPath) {
+  const base = getOutputBase(outputPath);
+  return {
+    json: `${base}.failures.json`,
+    csv: `${base}.failures.csv`
+  };
+}
+
+// CSVフィールドをエスケープ
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 失敗レポートをJSONとCSVで出力
+function writeFailureReport(outputPath, failures) {
+  const paths = getFailureReportPaths(outputPath);
+
+  // 旧バージョンのチェックポイントにはURL文字列のみが保存されている
+  const entries = failures.map(failure => (
+    typeof failure === 'string' ? { url: failure, row: { url: failure }, attempts: [] } : failure
+  ));
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    output: outputPath,
+    count: entries.length,
+    failures: entries
+  };
+  fs.writeFileSync(paths.json, JSON.stringify(report, null, 2));
+
+  // 元のCSV列を保持し、そのまま再入力として使えるようにする
+  const rowColumns = [];
+  entries.forEach(entry => {
+    Object.keys(entry.row || {}).forEach(column => {
+      if (!rowColumns.includes(column) && !FAILURE_REPORT_COLUMNS.includes(column)) {
+        rowColumns.push(column);
+      }
+    });
+  });
+
+  const lines = [[...rowColumns, ...FAILURE_REPORT_COLUMNS].map(toCsvField).join(',')];
+  entries.forEach(entry => {
+    const row = entry.row || {};
+    const values = [
+      ...rowColumns.map(column => row[column]),
+      entry.index,
+      entry.httpStatus,
+      entry.errorClass,
+      entry.errorCode,
+      entry.errorMessage,
+      (entry.attempts || []).map(attempt => attempt.method).join('|'),
+      entry.finalUrl,
+      entry.failedAt
+    ];
+    lines.push(values.map(toCsvField).join(','));
+  });
+  fs.writeFileSync(paths.csv, lines.join('\n') + '\n');
+
+  return paths;
+}
+
+// 前回の失敗レポートが残っていれば削除
+function removeFailureReport(outputPath) {
+  const paths = getFailureReportPaths(outputPath);
+  [paths.json, paths.csv].forEach(reportPath => {
+    try {
+      if (fs.existsSync(reportPath)) {
+        fs.unlinkSync(reportPath);
+      }
+    } catch (error) {
+      console.error('Failed to remove failure report:', error.message);
+    }
+  });
+}
+
+// ENML検証で隔離したノートのレポートのパス
+function getQuarantineReportPath(outputPath) {
+  return `${getOutputBase(outputPath)}.quarantine.json`;
+}
+
+// 隔離したノートのレポートを出力（隔離がなければ前回のレポートを削除）
+function writeQuarantineReport(outputPath, quarantined) {
+  const reportPath = getQuarantineReportPath(outputPath);
+  if (quarantined.length === 0) {
+    if (fs.existsSync(reportPath)) {
+      fs.unlinkSync(reportPath);
+    }
+    return null;
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    output: outputPath,
+    count: quarantined.length,
+    notes: quarantined
+  };
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+// 失敗レポート（JSONまたはCSV）を読み込み
+async function loadFailureReport(reportPath) {
+  if (!fs.existsSync(reportPath)) {
+    throw new Error(`Failure report not found: ${reportPath}`);
+  }
+
+  // JSONレポート
+  if (!/\.csv$/i.test(reportPath)) {
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    const failures = Array.isArray(report) ? report : (report.failures || []);
+    return failures.map((failure, i) => (
+      typeof failure === 'string'
+        ? { index: i, url: failure, row: { url: failure } }
+        : failure
+    ));
+  }
+
+  // CSVレポート（手作業で絞り込んだものも読めるように列から復元）
+  const entries = [];
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(reportPath)
+      .pipe(csv())
+      .on('data', (record) => {
+        const row = {};
+        Object.keys(record).forEach(column => {
+          if (!FAILURE_REPORT_COLUMNS.includes(column)) {
+            row[column] = record[column];
+          }
+        });
+        const index = parseInt(record.record_index);
+        entries.push({
+          index: isNaN(index) ? entries.length : index,
+          url: row.url,
+          row
+        });
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return entries;
+}
+
+// 既存のENEXファイルからノートを読み込み
+async function readEnexNotes(enexPath) {
+  const xml = fs.readFileSync(enexPath, 'utf8');
+  const data = await parseStringPromise(xml);
+  if (!data || !data['en-export']) {
+    throw new Error(`Not an ENEX file: ${enexPath}`);
+  }
+  return data['en-export'].note || [];
+}
+
+// ノートのsource-urlを取得（パース済み・新規作成どちらの形式にも対応）
+function getNoteSourceUrl(note) {
+  const attributes = [].concat(note['note-attributes'] || [])[0] || {};
+  const sourceUrl = [].concat(attributes['source-url'] || [])[0];
+  return sourceUrl || null;
+}
+
+// 再スクレイピングで改善したノートで既存のプレースホルダーノートを置き換え
+function mergeRetriedNotes(existingNotes, retried) {
+  const notes = [...existingNotes];
+  const replacedPositions = new Set();
+  let replaced = 0;
+  let appended = 0;
+
+  retried.forEach(({ row, note }) => {
+    if (!note) return;
+
+    const position = notes.findIndex((existing, i) => (
+      !replacedPositions.has(i) && getNoteSourceUrl(existing) === row.url
+    ));
+
+    if (position >= 0) {
+      notes[position] = note;
+      replacedPositions.add(position);
+      replaced++;
+    } else {
+      notes.push(note);
+      replacedPositions.add(notes.length - 1);
+      appended++;
+    }
+  });
+
+  return { notes, replaced, appended };
+}
+
+// CSVの1行目から列名を取得（検出用なので引用符を外すだけの簡易的な分割）
+function readCsvColumns(text) {
+  const header = text.split(/\r?\n/)[0] || '';
+  return header.split(',').map(column => column.trim().replace(/^"|"$/g, '').trim().toLowerCase());
+}
+
+// 列名の大文字小文字を区別せずに値を取得
+function getColumnValue(record, name) {
+  const key = Object.keys(record).find(column => column.trim().toLowerCase() === name);
+  return key === undefined ? '' : String(record[key] || '').trim();
+}
+
+// 変換後の行の項目（PocketのCSVの列）
+const INPUT_FIELDS = ['title', 'url', 'time_added', 'tags', 'status', 'time_read', 'favorite'];
+
+// --mapの指定（例: url=link,title=name）を { url: 'link', title: 'name' } に変換
+function parseColumnMap(spec) {
+  const columnMap = {};
+  if (!spec) return columnMap;
+  spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid --map entry: ${entry} (expected field=column)`);
+    }
+    const field = match[1].trim();
+    if (!INPUT_FIELDS.includes(field)) {
+      throw new Error(`Unknown --map field: ${field} (expected ${INPUT_FIELDS.join(', ')})`);
+    }
+    columnMap[field] = match[2].trim();
+  });
+  return columnMap;
+}
+
+// 列名を対応表に従って項目名に置き換え（元の列は残す）
+function applyColumnMap(record, columnMap) {
+  const mapped = { ...record };
+  Object.entries(columnMap).forEach(([field, column]) => {
+    const value = getColumnValue(record, column.toLowerCase());
+    Object.keys(mapped)
+      .filter(key => key.trim().toLowerCase() === field)
+      .forEach(key => delete mapped[key]);
+    mapped[field] = value;
+  });
+  return mapped;
+}
+
+// 行の入力元の位置（行番号とZIP内のファイル名）を記録（レポートには書き出さない）
+function setInputLocation(row, line, file = null) {
+  Object.defineProperty(row, 'inputLine', { value: line, enumerable: false, configurable: true });
+  if (file) {
+    Object.defineProperty(row, 'inputFile', { value: file, enumerable: false, configurable: true });
+  }
+  return row;
+}
+
+// エラーメッセージ用の位置の表記
+function describeInputLocation(row) {
+  if (!row.inputLine) return 'unknown line';
+  return row.inputFile ? `${row.inputFile} line ${row.inputLine}` : `line ${row.inputLine}`;
+}
+
+// 日時（UNIX秒またはISO形式）をPocketと同じUNIX秒の文字列に変換
+function toUnixSeconds(value) {
+  if (!value) return '';
+  if (/^\d+$/.test(value)) return value;
+  const time = Date.parse(value);
+  return isNaN(time) ? '' : String(Math.floor(time / 1000));
+}
+
+// タグの一覧（JSON配列またはカンマ区切り）をPocketと同じカンマ区切りに変換
+// Evernoteのタグは大文字小文字を区別しないため、大文字小文字だけが異なるタグは最初の表記にまとめる
+function joinTags(...lists) {
+  const tags = [];
+  lists.forEach(list => {
+    let values = list;
+    if (typeof list === 'string') {
+      try {
+        values = /^\s*\[/.test(list) ? JSON.parse(list) : list.split(',');
+      } catch (error) {
+        values = list.split(',');
+      }
+    }
+    [].concat(values || []).forEach(tag => {
+      const name = String(tag).trim();
+      if (name && !tags.some(existing => existing.toLowerCase() === name.toLowerCase())) tags.push(name);
+    });
+  });
+  return tags.join(',');
+}
+
+// Instapaperの既定フォルダ（タグにしない）
+const INSTAPAPER_SYSTEM_FOLDERS = ['unread', 'archive', 'starred'];
+
+// Instapaper CSV（URL,Title,Selection,Folder,Timestamp[,Tags]）
+function normalizeInstapaperRow(record) {
+  const folder = getColumnValue(record, 'folder');
+  const isCustomFolder = folder && !INSTAPAPER_SYSTEM_FOLDERS.includes(folder.toLowerCase());
+  return {
+    title: getColumnValue(record, 'title'),
+    url: getColumnValue(record, 'url'),
+    time_added: toUnixSeconds(getColumnValue(record, 'timestamp')),
+    tags: joinTags(getColumnValue(record, 'tags'), isCustomFolder ? [folder] : []),
+    status: folder.toLowerCase() === 'archive' ? 'archive' : 'unread'
+  };
+}
+
+// Raindrop.io CSV（id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite）
+function normalizeRaindropRow(record) {
+  const folder = getColumnValue(record, 'folder');
+  return {
+    title: getColumnValue(record, 'title'),
+    url: getColumnValue(record, 'url'),
+    time_added: toUnixSeconds(getColumnValue(record, 'created')),
+    tags: joinTags(getColumnValue(record, 'tags'), folder && folder !== 'Unsorted' ? [folder] : []),
+    status: 'unread',
+    favorite: getColumnValue(record, 'favorite')
+  };
+}
+
+// ブラウザのブックマーク（Netscape Bookmark File形式のHTML）
+function parseNetscapeBookmarks(html) {
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const rows = [];
+
+  $('a[href]').each((i, element) => {
+    const $link = $(element);
+    const url = ($link.attr('href') || '').trim();
+    if (!/^https?:\/\//i.test(url)) return;
+
+    // 入れ子のフォルダ名をタグにする（ブックマークバー自体は除く）
+    const folders = [];
+    $link.parents('dl').each((j, list) => {
+      const $heading = $(list).prevAll('h3').first();
+      if ($heading.length > 0 && !/^true$/i.test($heading.attr('personal_toolbar_folder') || '')) {
+        folders.unshift($heading.text().trim());
+      }
+    });
+
+    rows.push(setInputLocation({
+      title: $link.text().trim(),
+      url,
+      time_added: toUnixSeconds($link.attr('add_date') || ''),
+      tags: joinTags($link.attr('tags') || '', folders),
+      status: 'unread'
+    }, element.sourceCodeLocation && element.sourceCodeLocation.startLine));
+  });
+
+  return rows;
+}
+
+// Pocketの旧形式のHTMLエクスポート（ril_export.html）。見出しUnread/Read Archiveの下にリンクが並ぶ
+function parsePocketHtml(html) {
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const rows = [];
+
+  $('a[href]').each((i, element) => {
+    const $link = $(element);
+    const heading = $link.closest('ul, ol').prevAll('h1').first().text().trim();
+    rows.push(setInputLocation({
+      title: $link.text().trim(),
+      url: ($link.attr('href') || '').trim(),
+      time_added: $link.attr('time_added') || '',
+      tags: $link.attr('tags') || '',
+      status: /archive/i.test(heading) ? 'archive' : 'unread'
+    }, element.sourceCodeLocation && element.sourceCodeLocation.startLine));
+  });
+
+  return rows;
+}
+
+// ZIPファイルの中身を読み込む（無圧縮とDeflateのみ対応）
+function readZipEntries(buffer) {
+  // 末尾の中央ディレクトリ終端レコードを探す
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP file (end of central directory not found)');
+  }
+
+  const entries = [];
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP file (invalid central directory)');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error(`ZIP64 archives are not supported (${name})`);
+    }
+
+    // データはローカルヘッダーの後ろ（ローカルヘッダーの拡張フィールド長は中央ディレクトリと異なる場合がある）
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+    entries.push({ name, data: method === 8 ? zlib.inflateRawSync(raw) : raw });
+  }
+  return entries;
+}
+
+// Pocketの新形式のZIPエクスポート（part_000000.csv, part_000001.csv, ...）を番号順に取り出す
+function getPocketZipParts(buffer) {
+  const parts = readZipEntries(buffer)
+    .map(entry => ({ ...entry, part: (path.basename(entry.name).match(/^part_(\d+)\.csv$/i) || [])[1] }))
+    .filter(entry => entry.part !== undefined)
+    .sort((a, b) => parseInt(a.part) - parseInt(b.part));
+  if (parts.length === 0) {
+    throw new Error('No part_*.csv files found in the Pocket ZIP export');
+  }
+  return parts;
+}
+
+// 入力アダプター（検出順）。いずれもPocketのCSVと同じ { title, url, time_added, tags, status } の行を返す
+const INPUT_ADAPTERS = [
+  {
+    name: 'pocket-zip',
+    detect: (text) => text.startsWith('PK\u0003\u0004'),
+    read: async (filePath, onRecord) => {
+      // 複数のCSVを1つの連続した行として読み込む
+      for (const part of getPocketZipParts(fs.readFileSync(filePath))) {
+        await readCsvStream(Readable.from([part.data]), (record, line) => onRecord(record, line, part.name));
+      }
+    },
+    // 新形式のCSVはタグを|で区切っている
+    normalize: (row) => ({ ...row, tags: joinTags((row.tags || '').split('|')) })
+  },
+  {
+    name: 'pocket-html',
+    detect: (text) => /<title>\s*Pocket Export\s*<\/title>/i.test(text) || /<a\s[^>]*time_added=/i.test(text),
+    parse: parsePocketHtml
+  },
+  {
+    name: 'bookmarks',
+    detect: (text) => /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) || /<dt>\s*<a\s[^>]*href=/i.test(text),
+    parse: parseNetscapeBookmarks
+  },
+  {
+    name: 'instapaper',
+    detect: (text, columns) => ['url', 'title', 'selection', 'folder', 'timestamp'].every(column => columns.includes(column)),
+    normalize: normalizeInstapaperRow
+  },
+  {
+    name: 'raindrop',
+    detect: (text, columns) => ['url', 'title', 'created', 'tags'].every(column => columns.includes(column)) &&
+      (columns.includes('excerpt') || columns.includes('cover')),
+    normalize: normalizeRaindropRow
+  },
+  {
+    // 他の形式に当てはまらずurl列があるCSVはPocket形式として扱う（--mapで列を指定可能）
+    name: 'pocket',
+    detect: (text, columns) => columns.includes('url'),
+    normalize: (row) => row
+  }
+];
+
+const INPUT_FORMATS = ['auto', ...INPUT_ADAPTERS.map(adapter => adapter.name)];
+
+// ファイルの先頭から入力形式を判定
+function detectInputFormat(filePath, columnMap = {}) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(65536);
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const text = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+  const columns = readCsvColumns(text);
+  Object.entries(columnMap).forEach(([field, column]) => {
+    if (columns.includes(column.toLowerCase())) columns.push(field);
+  });
+  const adapter = INPUT_ADAPTERS.find(candidate => candidate.detect(text, columns));
+  if (!adapter) {
+    throw new Error(`Unrecognized input format: ${filePath} (use --input-format ${INPUT_FORMATS.slice(1).join('|')}, or --map url=<column> for other CSV files)`);
+  }
+  return adapter.name;
+}
+
+// CSVのストリームを1行ずつ読み込む（引用符内の改行も数えて各行の開始行番号を渡す）
+function readCsvStream(stream, onRecord) {
+  let line = 2;
+  return new Promise((resolve, reject) => {
+    stream
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '') }))
+      .on('data', (record) => {
+        onRecord(record, line);
+        line += 1 + Object.values(record).reduce((count, value) => count + (String(value).match(/\n/g) || []).length, 0);
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
+
+// 入力ファイルを読み込み、形式に関わらず同じ形の行に変換
+// acceptがfalseを返した行は読み飛ばし、limitは残した行の数に適用
+async function loadInputRows(filePath, { format = 'auto', limit = Infinity, columnMap = {}, accept = null } = {}) {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format: ${format} (expected ${INPUT_FORMATS.join(', ')})`);
+  }
+  const name = format === 'auto' ? detectInputFormat(filePath, columnMap) : format;
+  const adapter = INPUT_ADAPTERS.find(candidate => candidate.name === name);
+
+  const rows = [];
+  const addRow = (row) => {
+    if (rows.length >= limit) return;
+    if (!accept || accept(row)) rows.push(row);
+  };
+
+  if (adapter.parse) {
+    adapter.parse(fs.readFileSync(filePath, 'utf8')).forEach(addRow);
+    return { format: name, rows };
+  }
+
+  const onRecord = (record, line, file = null) => {
+    // 空行は無視
+    if (Object.values(record).every(value => !String(value).trim())) return;
+    addRow(setInputLocation(adapter.normalize(applyColumnMap(record, columnMap)), line, file));
+  };
+  if (adapter.read) {
+    await adapter.read(filePath, onRecord);
+  } else {
+    await readCsvStream(fs.createReadStream(filePath), onRecord);
+  }
+  return { format: name, rows };
+}
+
+// 不正な行の扱い
+const INVALID_ROW_POLICIES = ['skip', 'fix', 'abort'];
+
+const INPUT_STATUSES = ['unread', 'archive'];
+
+// Pocketや他のツールのステータスの表記（0/1、read、archivedなど）
+const INPUT_STATUS_SYNONYMS = {
+  '0': 'unread',
+  unread: 'unread',
+  '1': 'archive',
+  read: 'archive',
+  archived: 'archive',
+  archive: 'archive'
+};
+
+// ステータスをunread/archiveに変換（不明な値はnull）
+function normalizeInputStatus(status) {
+  return INPUT_STATUS_SYNONYMS[String(status ?? '').trim().toLowerCase()] || null;
+}
+
+// 行の問題点を検出（fixは修正後の値、修正できない場合はundefined）
+function checkInputRow(row, now = Date.now()) {
+  const problems = [];
+
+  const url = String(row.url || '').trim();
+  if (!url) {
+    problems.push({ field: 'url', message: 'missing url' });
+  } else if (!/^https?:\/\/[^\s/]+/i.test(url)) {
+    // スキームのないドメイン（example.com/path）はhttpsを補う
+    problems.push({
+      field: 'url',
+      message: `url "${url}" is not an http(s) URL`,
+      fix: /^[\w-]+(\.[\w-]+)+(?::\d+)?(?:[/?#]|$)/.test(url) ? `https://${url}` : undefined
+    });
+  } else if (url !== row.url) {
+    problems.push({ field: 'url', message: 'url has surrounding whitespace', fix: url });
+  }
+
+  const timeAdded = String(row.time_added || '').trim();
+  if (!/^\d+$/.test(timeAdded)) {
+    // 日付として読める値は変換し、読めない値は現在時刻にする
+    problems.push({
+      field: 'time_added',
+      message: timeAdded ? `time_added "${timeAdded}" is not a UNIX timestamp` : 'missing time_added',
+      fix: toUnixSeconds(timeAdded) || String(Math.floor(now / 1000))
+    });
+  }
+
+  // time_readは任意（0は未読）
+  const timeRead = String(row.time_read ?? '').trim();
+  if (timeRead && !/^\d+$/.test(timeRead)) {
+    problems.push({
+      field: 'time_read',
+      message: `time_read "${timeRead}" is not a UNIX timestamp`,
+      fix: toUnixSeconds(timeRead)
+    });
+  }
+
+  if (row.status && !normalizeInputStatus(row.status)) {
+    problems.push({ field: 'status', message: `unknown status "${row.status}"`, fix: 'unread' });
+  }
+
+  return problems;
+}
+
+// 行を1件ずつ検証し、policyに従って不正な行をスキップ・修正する検証器（abortはfinishで中断）
+function createInputValidator({ policy = 'fix', now = Date.now() } = {}) {
+  if (!INVALID_ROW_POLICIES.includes(policy)) {
+    throw new Error(`Unknown invalid row policy: ${policy} (expected ${INVALID_ROW_POLICIES.join(', ')})`);
+  }
+
+  const invalid = [];
+  let index = 0;
+
+  const accept = (row) => {
+    // 別の表記のステータスは不正な値ではないため、そのまま変換する
+    if (normalizeInputStatus(row.status)) {
+      row.status = normalizeInputStatus(row.status);
+    }
+    const problems = checkInputRow(row, now);
+    const rowIndex = index++;
+    if (problems.length === 0) return true;
+
+    const fixable = problems.every(problem => problem.fix !== undefined);
+    const action = policy === 'fix' && fixable ? 'fixed' : (policy === 'abort' ? 'aborted' : 'skipped');
+    invalid.push({
+      index: rowIndex,
+      line: row.inputLine || null,
+      file: row.inputFile || null,
+      location: describeInputLocation(row),
+      url: row.url || '',
+      errors: problems.map(problem => problem.message),
+      action
+    });
+
+    if (action !== 'fixed') return false;
+    problems.forEach(problem => { row[problem.field] = problem.fix; });
+    return true;
+  };
+
+  const finish = () => {
+    if (policy === 'abort' && invalid.length > 0) {
+      const details = invalid.slice(0, 10).map(entry => `  ${entry.location}: ${entry.errors.join('; ')}`);
+      if (invalid.length > 10) details.push(`  ... and ${invalid.length - 10} more`);
+      throw new Error(`${invalid.length} invalid input row(s):\n${details.join('\n')}`);
+    }
+  };
+
+  return { accept, invalid, finish };
+}
+
+// 入力行をまとめて検証
+function validateInputRows(rows, validatorOptions = {}) {
+  const validator = createInputValidator(validatorOptions);
+  const valid = rows.filter(validator.accept);
+  validator.finish();
+  return { rows: valid, invalid: validator.invalid };
+}
+
+// カンマ区切りの指定を小文字の一覧に変換
+function parseListOption(value) {
+  return String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// 日付の指定（2023-01-01など）をUNIX秒に変換
+function parseDateOption(value, optionName) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${optionName} date: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+// ホスト名がドメインの一覧のいずれかに一致するか（サブドメインも一致）
+function matchesDomain(url, domains) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return false;
+  }
+  return domains.some(domain => {
+    const name = domain.replace(/^www\./, '');
+    return host === name || host.endsWith(`.${name}`);
+  });
+}
+
+// 絞り込み条件（すべて満たす行だけを残す）。removedに条件ごとの除外数を数える
+function createRowFilter(filterOptions = {}) {
+  const statuses = parseListOption(filterOptions.status);
+  const tags = parseListOption(filterOptions.tag);
+  const excludedTags = parseListOption(filterOptions.excludeTag);
+  const addedAfter = parseDateOption(filterOptions.addedAfter, '--added-after');
+  const addedBefore = parseDateOption(filterOptions.addedBefore, '--added-before');
+  const domains = parseListOption(filterOptions.domain);
+  const excludedDomains = parseListOption(filterOptions.excludeDomain);
+
+  const rowTags = row => parseListOption(row.tags);
+  const rowTime = row => parseInt(row.time_added);
+
+  // 判定の順序で条件を並べ、最初に外れた条件の除外数に数える
+  const filters = [
+    statuses.length > 0 && { name: '--status', test: row => statuses.includes(String(row.status || '').toLowerCase()) },
+    tags.length > 0 && { name: '--tag', test: row => rowTags(row).some(tag => tags.includes(tag)) },
+    excludedTags.length > 0 && { name: '--exclude-tag', test: row => !rowTags(row).some(tag => excludedTags.includes(tag)) },
+    addedAfter !== null && { name: '--added-after', test: row => rowTime(row) >= addedAfter },
+    addedBefore !== null && { name: '--added-before', test: row => rowTime(row) < addedBefore },
+    domains.length > 0 && { name: '--domain', test: row => matchesDomain(row.url, domains) },
+    excludedDomains.length > 0 && { name: '--exclude-domain', test: row => !matchesDomain(row.url, excludedDomains) }
+  ].filter(Boolean);
+
+  const removed = {};
+  filters.forEach(filter => { removed[filter.name] = 0; });
+
+  const accept = (row) => {
+    const failed = filters.find(filter => !filter.test(row));
+    if (!failed) return true;
+    removed[failed.name]++;
+    return false;
+  };
+
+  return { accept, removed, active: filters.length > 0 };
+}
+
+// 記事の同一性に関係しないトラッキング用パラメーター
+const TRACKING_PARAMETER_PATTERN = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url)$/i;
+
+// URLを正規化（トラッキング用パラメーター・AMP版・フラグメントを除去）
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (error) {
+    return url;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+
+  // GoogleとAMP ProjectのAMPキャッシュは元のURLに戻す
+  const cachedPath = parsed.hostname.endsWith('.cdn.ampproject.org')
+    ? parsed.pathname.match(/^\/[cv]\/s\/(.+)$/)
+    : (/^(?:www\.)?google\.[a-z.]+$/.test(parsed.hostname) ? parsed.pathname.match(/^\/amp\/s\/(.+)$/) : null);
+  if (cachedPath) {
+    return canonicalizeUrl(`https://${cachedPath[1]}${parsed.search}`);
+  }
+
+  // amp.で始まるホストや/ampで終わるパスは通常のURL（amp.devや/tags/ampなど）と区別できないため変換しない
+  parsed.pathname = parsed.pathname.replace(/\.amp\.html$/, '.html');
+  if (!parsed.hash.startsWith('#!')) parsed.hash = '';
+
+  // 変更がない場合はクエリの書式（エンコード）を保つ
+  const removed = [...parsed.searchParams.entries()].filter(([name, value]) => (
+    TRACKING_PARAMETER_PATTERN.test(name) || name === 'amp' || name === 'usqp' || (name === 'outputType' && value === 'amp')
+  ));
+  if (removed.length > 0) {
+    removed.forEach(([name]) => parsed.searchParams.delete(name));
+    parsed.search = parsed.searchParams.toString();
+  }
+  return parsed.href;
+}
+
+// 重複判定のキー（スキーム・www・末尾のスラッシュの違いを無視）
+function getDedupeKey(url) {
+  const canonical = canonicalizeUrl(url);
+  try {
+    const parsed = new URL(canonical);
+    const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+    return `${parsed.host.replace(/^www\./, '')}${pathname}${parsed.search}${parsed.hash}`;
+  } catch (error) {
+    return String(url || '').trim();
+  }
+}
+
+// 同じ記事の行を最初の行に統合（正規化したURLは重複判定にのみ使い、row.urlは元のまま）（タグは和集合、time_addedは最も古い値、time_readは最も新しい値、既読が1件でもあればarchive、お気に入りが1件でもあればお気に入り）
+function dedupeRows(rows) {
+  const kept = new Map();
+  const result = [];
+  let merged = 0;
+
+  rows.forEach(row => {
+    const key = getDedupeKey(row.url);
+    const existing = kept.get(key);
+    if (!existing) {
+      kept.set(key, row);
+      result.push(row);
+      return;
+    }
+
+    merged++;
+    existing.tags = joinTags(existing.tags || '', row.tags || '');
+    if (parseInt(row.time_added) < parseInt(existing.time_added)) {
+      existing.time_added = row.time_added;
+    }
+    if (!existing.title && row.title) {
+      existing.title = row.title;
+    }
+    if (row.status === 'archive') {
+      existing.status = 'archive';
+    }
+    if (getTimeRead(row) > (getTimeRead(existing) || 0)) {
+      existing.time_read = row.time_read;
+    }
+    if (isFavorite(row.favorite)) {
+      existing.favorite = row.favorite;
+    }
+  });
+
+  return { rows: result, merged };
+}
+
+// Pocketのステータスの対応先の既定値
+const DEFAULT_STATUS_TAGS = { unread: 'pocket:unread', archive: 'pocket:archive' };
+const DEFAULT_STATUS_NOTEBOOKS = { unread: 'Pocket Unread', archive: 'Pocket Archive' };
+
+// ステータスの対応表（例: unread=To Read,archive=Archive）を解析（値なしの指定は既定値）
+function parseStatusMap(spec, defaults, optionName) {
+  if (spec === true || spec === undefined || spec === '') return { ...defaults };
+  const statusMap = {};
+  String(spec).split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid ${optionName} entry: ${entry} (expected status=name)`);
+    }
+    const status = match[1].trim().toLowerCase();
+    if (!INPUT_STATUSES.includes(status)) {
+      throw new Error(`Unknown status in ${optionName}: ${status} (expected ${INPUT_STATUSES.join(', ')})`);
+    }
+    statusMap[status] = match[2].trim();
+  });
+  return statusMap;
+}
+
+// ステータスに対応するタグを各行のタグに追加
+function applyStatusTags(rows, statusTags) {
+  rows.forEach(row => {
+    const tag = statusTags[row.status];
+    if (tag) {
+      row.tags = joinTags(row.tags || '', [tag]);
     }
-  };
+  });
+  return rows;
 }
 
-// XML無効文字を除去
-function removeInvalidXmlChars(text) {
-  if (!text) return text;
-  // XML 1.0で無効な文字を除去: 制御文字など
-  return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+// お気に入りのタグの既定値
+const DEFAULT_FAVORITE_TAG = 'pocket:favorite';
+
+// お気に入りの行にタグを追加
+function applyFavoriteTag(rows, tag) {
+  rows.forEach(row => {
+    if (isFavorite(row.favorite)) {
+      row.tags = joinTags(row.tags || '', [tag]);
+    }
+  });
+  return rows;
 }
 
-function escapeHtml(text) {
-  if (!text) return text;
-  // まずXML無効文字を除去
-  text = removeInvalidXmlChars(text);
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+// Evernoteのタグ名の最大長
+const EVERNOTE_TAG_MAX_LENGTH = 100;
+
+// "/pattern/flags"形式の文字列を正規表現に変換（それ以外は大文字小文字を区別しない完全一致）
+// test()はg/yフラグがあるとlastIndexを引き継いで次のタグの判定がずれるため、両フラグは外す
+function parseTagPattern(pattern, filePath) {
+  const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    return match
+      ? new RegExp(match[1], match[2].replace(/[gy]/g, ''))
+      : new RegExp(`^${String(pattern).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  } catch (error) {
+    throw new Error(`Invalid pattern ${pattern} in ${filePath}: ${error.message}`);
+  }
 }
 
-function createNote(row, scrapedContent = null) {
-  const title = escapeHtml(row.title || row.url);
-  const url = escapeHtml(row.url);
-  const created = formatDate(row.time_added);
-  const tags = row.tags ? row.tags.split(',').filter(tag => tag.trim()) : [];
-  
-  let contentHtml = '';
-  
-  if (scrapedContent) {
-    // スクレイピング成功時 - XML無効文字を除去
-    const cleanedContent = removeInvalidXmlChars(scrapedContent);
-    contentHtml = `
-<h1>${title}</h1>
-<div>
-<a href="${url}">Original Article</a>
-</div>
-<hr/>
-<div>
-${cleanedContent}
-</div>
-<hr/>
-<div>
-<small>
-URL: ${url}<br/>
-Status: ${escapeHtml(row.status)}<br/>
-Scraped: ${new Date().toISOString().split('T')[0]}
-</small>
-</div>`;
-  } else {
-    // スクレイピングなし/失敗時
-    contentHtml = `
-<div>
-<a href="${url}">${title}</a>
-</div>
-<div>
-<br/>
-</div>
-<div>
-URL: ${url}
-</div>
-<div>
-Status: ${escapeHtml(row.status)}
-</div>`;
+// タグ変換ルールのJSONファイルを読み込み
+function loadTagRules(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load tag rules from ${filePath}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Tag rules in ${filePath} must be an object`);
   }
-  
-  const noteContent = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
-<en-note>
-${contentHtml}
-</en-note>`;
 
-  const note = {
-    title: title,
-    content: noteContent,
-    created: created,
-    updated: created,
-    'note-attributes': [{
-      author: 'Pocket2Evernote',
-      source: 'web.clip',
-      'source-url': url
-    }]
+  const caseMode = config.case || 'preserve';
+  if (!['preserve', 'lower'].includes(caseMode)) {
+    throw new Error(`Invalid case in ${filePath}: ${caseMode} (expected preserve or lower)`);
+  }
+  if (config.aliases !== undefined && (typeof config.aliases !== 'object' || Array.isArray(config.aliases))) {
+    throw new Error(`aliases in ${filePath} must be an object mapping tags to new names`);
+  }
+  ['rename', 'remove'].forEach(key => {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new Error(`${key} in ${filePath} must be an array`);
+    }
+  });
+
+  const aliases = new Map();
+  Object.entries(config.aliases || {}).forEach(([from, to]) => {
+    aliases.set(from.trim().toLowerCase(), String(to));
+  });
+
+  const rename = (config.rename || []).map(rule => {
+    if (!rule || typeof rule.pattern !== 'string' || typeof rule.replace !== 'string') {
+      throw new Error(`Each rename rule in ${filePath} needs a pattern and a replace string`);
+    }
+    try {
+      return { pattern: new RegExp(rule.pattern, rule.flags || ''), replace: rule.replace };
+    } catch (error) {
+      throw new Error(`Invalid pattern ${rule.pattern} in ${filePath}: ${error.message}`);
+    }
+  });
+
+  return {
+    trim: config.trim !== false,
+    caseMode,
+    aliases,
+    rename,
+    remove: (config.remove || []).map(pattern => parseTagPattern(pattern, filePath)),
+    prefix: config.prefix ? String(config.prefix) : '',
+    domainTag: config.domainTag === true ? '' : (typeof config.domainTag === 'string' ? config.domainTag : null),
+    statusTag: config.statusTag === true ? {} : (config.statusTag && typeof config.statusTag === 'object' ? config.statusTag : null)
   };
+}
 
-  if (tags.length > 0) {
-    note.tag = tags;
+// タグ変換ルールを行のタグに適用
+// 順序: 分割・空白除去 → 別名 → 正規表現での置換 → 大文字小文字 → 削除 → ドメイン・ステータスのタグ追加 → 接頭辞
+// Evernoteのタグは大文字小文字を区別しないため、最後に大文字小文字だけが異なるタグを1つにまとめる
+function applyTagRules(row, rules) {
+  let tags = String(row.tags || '').split(',');
+  if (rules.trim) {
+    tags = tags.map(tag => tag.replace(/\s+/g, ' ').trim());
   }
+  tags = tags.filter(Boolean)
+    .map(tag => (rules.aliases.has(tag.trim().toLowerCase()) ? rules.aliases.get(tag.trim().toLowerCase()) : tag))
+    .map(tag => rules.rename.reduce((renamed, rule) => renamed.replace(rule.pattern, rule.replace), tag))
+    .map(tag => (rules.caseMode === 'lower' ? tag.toLowerCase() : tag))
+    .filter(tag => !rules.remove.some(pattern => pattern.test(tag)));
 
-  return note;
+  if (rules.domainTag !== null) {
+    try {
+      tags.push(`${rules.domainTag}${new URL(row.url).hostname.toLowerCase().replace(/^www\./, '')}`);
+    } catch (error) {
+      // URLが不正な行はドメインのタグを付けない
+    }
+  }
+  if (rules.statusTag && row.status) {
+    tags.push(rules.statusTag[row.status] || row.status);
+  }
+
+  const seen = new Set();
+  row.tags = tags
+    .map(tag => `${tag.startsWith(rules.prefix) ? '' : rules.prefix}${tag}`)
+    // Evernoteのタグ名にはカンマを使えず、長さにも上限がある
+    .map(tag => tag.replace(/,/g, ' ').trim().slice(0, EVERNOTE_TAG_MAX_LENGTH).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .join(',');
+  return row;
 }
 
-// 個別レコード処理（並列処理用）
-async function processRecord(row, globalIndex, checkpoint, options) {
-  let scrapedContent = null;
-  let note = null;
-  let success = true;
-  
-  try {
-    if (options.scrape) {
-      let scrapingMethod = 'lightweight';
-      
-      // 1段階目: 軽量スクレイピング
-      scrapedContent = await scrapeContent(row.url);
-      
-      // 最終的な成功/失敗を判定
-      const isScrapingSuccessful = scrapedContent && 
-        !scrapedContent.includes('Failed to scrape') && 
-        !scrapedContent.includes('Content could not be extracted');
-      
-      // 軽量スクレイピングが失敗した場合
-      if (!isScrapingSuccessful) {
-        // 進捗バー表示中はエラーログを抑制（統計で後で表示）
-        success = false;
-        
-        // 2段階目: ヘッドレスブラウザフォールバック
-        if (options.fallbackBrowser) {
-          scrapedContent = await scrapeWithPuppeteer(row.url);
-          scrapingMethod = 'browser';
-          
-          // ブラウザスクレイピング結果をチェック
-          const isBrowserSuccessful = scrapedContent && 
-            !scrapedContent.includes('Failed to scrape') && 
-            !scrapedContent.includes('Content could not be extracted');
-          
-          if (isBrowserSuccessful) {
-            success = true; // ブラウザで成功
-          }
-        }
-      } else {
-        success = true; // 軽量スクレイピングで成功
-      }
-      
-      // スクレイピング手法の識別情報を追加
-      if (scrapedContent && !scrapedContent.includes('Failed to scrape') && !scrapedContent.includes('Content could not be extracted')) {
-        scrapedContent = addScrapingMethodInfo(scrapedContent, scrapingMethod);
-      } else {
-        scrapedContent = addScrapingMethodInfo(scrapedContent, 'failed');
-        success = false;
-      }
-    }
-    
-    // ノート作成
-    note = createNote(row, scrapedContent);
-    
-  } catch (error) {
-    // 進捗バー表示中はエラーログを抑制（統計で後で表示）
-    success = false;
-    
-    // エラーでも基本的なノートは作成
-    try {
-      note = createNote(row, null);
-    } catch (noteError) {
-      // エラーメッセージを抑制（進捗バーを中断しない）
-      note = null;
+// 不正な行のレポートのパス
+function getInvalidRowsReportPath(outputPath) {
+  return `${getOutputBase(outputPath)}.invalid-rows.json`;
+}
+
+// 不正な行のレポートを書き込み（なければ前回のレポートを削除）
+function writeInvalidRowsReport(outputPath, invalid) {
+  const reportPath = getInvalidRowsReportPath(outputPath);
+  if (invalid.length === 0) {
+    if (fs.existsSync(reportPath)) {
+      fs.unlinkSync(reportPath);
     }
+    return null;
   }
-  
-  return { note, success };
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    output: outputPath,
+    count: invalid.length,
+    rows: invalid
+  };
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
 }
 
 async function convertCsvToEnex() {
   const limit = parseInt(options.limit || 999999);
   const batchSize = parseInt(options.batchSize || 10);
+  const format = options.format || 'enex';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  // MarkdownとHTMLは1件ごとにファイルを書くため、既存ノートとの結合や最後の名前変更が不要
+  const folderOutput = FOLDER_OUTPUT_FORMATS.includes(format);
+  if (options.retryFailed && format === 'jex') {
+    throw new Error('--retry-failed is not supported with --format jex');
+  }
+  // スクレイピングしない再実行は同じリンクのみのノートで置き換え、失敗レポートだけを削除してしまう
+  if (options.retryFailed && !options.scrape) {
+    throw new Error('--retry-failed requires --scrape');
+  }
+  // ステータスごとのノートブック（ENEXのみ）とタグ
+  const statusNotebooks = options.statusNotebooks
+    ? parseStatusMap(options.statusNotebooks, DEFAULT_STATUS_NOTEBOOKS, '--status-notebooks')
+    : null;
+  if (statusNotebooks && format !== 'enex') {
+    throw new Error('--status-notebooks is only supported with --format enex');
+  }
+  if (statusNotebooks && options.retryFailed) {
+    throw new Error('--retry-failed is not supported with --status-notebooks');
+  }
+  const statusTags = options.statusTags ? parseStatusMap(options.statusTags, DEFAULT_STATUS_TAGS, '--status-tags') : null;
+  const favoriteTag = options.favoriteTag === true ? DEFAULT_FAVORITE_TAG : (options.favoriteTag || '').trim();
+  if (options.updated && !UPDATED_SOURCES.includes(options.updated)) {
+    throw new Error(`Unknown --updated source: ${options.updated} (expected ${UPDATED_SOURCES.join(', ')})`);
+  }
+  // 日付の誤りはノート作成中ではなく開始前に検出
+  parseDateOption(options.reminderTime, '--reminder-time');
   
   // チェックポイント管理を初期化
   const checkpoint = new CheckpointManager(options.output, options);
   
+  // ドメイン別レート制限（固定のバッチ間待機の代わり）
+  const rateLimiter = new DomainRateLimiter({
+    concurrency: options.domainConcurrency,
+    delayMs: options.domainDelay,
+    overrides: options.domainLimits ? loadDomainLimits(options.domainLimits) : {}
+  });
+  if (options.scrape) {
+    const overrideCount = Object.keys(rateLimiter.overrides).length;
+    console.log(`Rate limit per host: ${rateLimiter.concurrency} concurrent, ${rateLimiter.delayMs}ms between requests` +
+      (overrideCount > 0 ? ` (${overrideCount} domain overrides)` : ''));
+  }
+  
   // レジューム機能のチェック
   let rows = [];
   let startIndex = 0;
   
-  if (options.resume && checkpoint.hasCheckpoint()) {
+  // 失敗分の再実行モード（前回の失敗レポートのレコードのみ処理）
+  const retryFailed = Boolean(options.retryFailed);
+  let retryEntries = [];
+  let existingNotes = [];
+  let tagRules = null;
+  const retried = [];
+  
+  if (retryFailed) {
+    // 本処理のチェックポイントを上書きしないよう保存を無効化
+    checkpoint.interval = Infinity;
+  } else if (options.resume && checkpoint.hasCheckpoint()) {
     const savedProgress = checkpoint.loadCheckpoint();
     if (savedProgress) {
       startIndex = savedProgress.lastProcessedIndex + 1;
@@ -919,30 +4455,154 @@ async function convertCsvToEnex() {
     }
   }
 
-  // CSVを読み込み
-  console.log('Loading CSV file...');
-  let count = 0;
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(options.input)
-      .pipe(csv())
-      .on('data', (row) => {
-        if (count < limit) {
-          rows.push(row);
-          count++;
-        }
-      })
-      .on('end', resolve)
-      .on('error', reject);
-  });
+  if (retryFailed) {
+    // 失敗レポートを読み込み
+    const reportPath = typeof options.retryFailed === 'string'
+      ? options.retryFailed
+      : getFailureReportPaths(options.output).json;
+    console.log(`Loading failure report ${reportPath}...`);
+    retryEntries = (await loadFailureReport(reportPath)).slice(0, limit);
+    // 再実行でも失敗したときに元の入力の位置をレポートに残す
+    rows = retryEntries.map(entry => setInputLocation(entry.row, entry.line || null, entry.file || null));
+    console.log(`Loaded ${rows.length} failed records to retry`);
+    
+    // 置き換え先の既存ENEXを先に読み込む（存在しない場合は処理前に中断）
+    // フォルダ出力は同じURLのファイルを上書きするため読み込み不要
+    if (!folderOutput) {
+      console.log(`Loading existing ENEX file ${options.output}...`);
+      existingNotes = await readEnexNotes(options.output);
+      console.log(`Loaded ${existingNotes.length} existing notes`);
+    }
+  } else {
+    // 入力ファイルを読み込み（Pocket以外のエクスポートも同じ形の行に変換）
+    console.log('Loading input file...');
+    // 不正な行の検証（--on-invalid）と絞り込みを読み込みながら行い、--limitは残った行に適用
+    const validator = createInputValidator({ policy: options.onInvalid || 'fix' });
+    const rowFilter = createRowFilter(options);
+    // 絞り込みは整理後のタグで判定し、--tagなどが整理後のタグに一致するようにする
+    tagRules = options.tagRules ? loadTagRules(options.tagRules) : null;
+    if (tagRules) {
+      console.log(`Applying tag rules from ${options.tagRules}`);
+    }
+    const input = await loadInputRows(options.input, {
+      format: options.inputFormat || 'auto',
+      limit,
+      columnMap: parseColumnMap(options.map),
+      accept: row => validator.accept(row) && rowFilter.accept(tagRules ? applyTagRules({ ...row }, tagRules) : row)
+    });
+    validator.finish();
+    rows = input.rows;
+    console.log(`Loaded ${rows.length} records from ${input.format} export`);
+
+    if (validator.invalid.length > 0) {
+      const fixedCount = validator.invalid.filter(entry => entry.action === 'fixed').length;
+      console.log(`Warning: ${validator.invalid.length} invalid row(s) (${fixedCount} fixed, ${validator.invalid.length - fixedCount} skipped):`);
+      validator.invalid.slice(0, 10).forEach(entry => {
+        console.log(`  ${entry.location}: ${entry.errors.join('; ')} (${entry.action})`);
+      });
+      if (validator.invalid.length > 10) {
+        console.log(`  ... and ${validator.invalid.length - 10} more`);
+      }
+    }
+    if (rowFilter.active) {
+      const removedTotal = Object.values(rowFilter.removed).reduce((sum, count) => sum + count, 0);
+      console.log(`Filters removed ${removedTotal} row(s):`);
+      Object.entries(rowFilter.removed).forEach(([name, count]) => {
+        console.log(`  ${name}: ${count}`);
+      });
+    }
 
-  console.log(`Loaded ${rows.length} records from CSV`);
+    // 同じ記事の重複を1件に統合（--no-dedupeで無効）
+    if (options.dedupe !== false) {
+      const deduped = dedupeRows(rows);
+      rows = deduped.rows;
+      if (deduped.merged > 0) {
+        console.log(`Merged ${deduped.merged} duplicate row(s) with the same URL into ${rows.length} records`);
+      }
+    }
+    try {
+      const invalidRowsPath = writeInvalidRowsReport(options.output, validator.invalid);
+      if (invalidRowsPath) {
+        console.log(`Invalid row report: ${invalidRowsPath}`);
+      }
+    } catch (error) {
+      console.error('Failed to write invalid row report:', error.message);
+    }
+  }
   
+  if (statusTags) {
+    applyStatusTags(rows, statusTags);
+  }
+  if (favoriteTag) {
+    applyFavoriteTag(rows, favoriteTag);
+  }
+  // タグの整理は重複の統合とステータス・お気に入りのタグ追加の後に行い、追加したタグにも接頭辞などを適用する
+  if (tagRules) {
+    rows.forEach(row => applyTagRules(row, tagRules));
+  }
+
+  // スクレイピング後の重複判定用に書き込み済みのURLのキーを保持（再実行モードは既存ノートを置き換えるため判定しない）
+  const dedupeUrls = options.dedupe !== false && !retryFailed;
+  checkpoint.progress.dedupe = checkpoint.progress.dedupe || { canonicalKeys: [], duplicates: [] };
+  const seenUrlKeys = new Set(dedupeUrls ? [
+    ...rows.slice(0, startIndex).map(row => getDedupeKey(row.url)),
+    ...checkpoint.progress.dedupe.canonicalKeys
+  ] : []);
+
   // レジューム時は既に処理済みの部分をスキップ
   if (startIndex > 0) {
     rows = rows.slice(startIndex);
     console.log(`Skipping first ${startIndex} records (already processed)`);
   }
 
+  // 出力ENEXをストリーミングで書き込み（再実行モードは既存ノートと結合するため最後に書き込む）
+  let enexWriter = null;
+  if (folderOutput) {
+    // 1件ごとにファイルを書くため、再開時もそのまま続きを書き込む
+    const FolderWriter = format === 'html' ? HtmlArchiveWriter : MarkdownWriter;
+    enexWriter = new FolderWriter(options.output, { attachmentsDir: options.attachmentsDir })
+      .open(startIndex > 0 ? checkpoint.progress.notesWritten || 0 : 0);
+    console.log(`Writing ${format === 'html' ? 'HTML' : 'Markdown'} files to ${enexWriter.filePath}`);
+    const savedNotes = checkpoint.progress.processedNotes || [];
+    savedNotes.forEach(note => enexWriter.writeNote(note));
+    checkpoint.progress.processedNotes = [];
+    checkpoint.attachWriter(enexWriter);
+  } else if (statusNotebooks) {
+    enexWriter = new NotebookEnexWriter(options.output, statusNotebooks);
+    if (startIndex > 0 && checkpoint.progress.writerState) {
+      enexWriter.open(checkpoint.progress.writerState);
+      console.log(`Continuing ${enexWriter.writers.size} notebook file(s) after ${enexWriter.noteCount} notes`);
+    } else {
+      enexWriter.open();
+    }
+    Object.entries(statusNotebooks).forEach(([status, notebook]) => {
+      console.log(`Writing ${status} items to ${enexWriter.getTargetPath(status)} (notebook "${notebook}")`);
+    });
+    checkpoint.progress.processedNotes = [];
+    checkpoint.attachWriter(enexWriter);
+  } else if (!retryFailed) {
+    enexWriter = format === 'jex'
+      ? new JexWriter(getPartialEnexPath(options.output), { seed: path.resolve(options.output) })
+      : new EnexWriter(getPartialEnexPath(options.output));
+    if (startIndex > 0 && checkpoint.progress.enexBytes > 0) {
+      if (!fs.existsSync(enexWriter.filePath)) {
+        throw new Error(`Cannot resume: partial ${format.toUpperCase()} file ${enexWriter.filePath} not found`);
+      }
+      enexWriter.open(checkpoint.progress.enexBytes, checkpoint.progress.notesWritten);
+      console.log(`Continuing ${enexWriter.filePath} after ${enexWriter.noteCount} notes`);
+    } else {
+      enexWriter.open();
+      // 旧バージョンのチェックポイントはノートをJSONに保持している
+      const savedNotes = checkpoint.progress.processedNotes || [];
+      if (savedNotes.length > 0) {
+        savedNotes.forEach(note => enexWriter.writeNote(note));
+        console.log(`Including ${savedNotes.length} notes from checkpoint`);
+      }
+    }
+    checkpoint.progress.processedNotes = [];
+    checkpoint.attachWriter(enexWriter);
+  }
+
   // 進捗バー初期化
   let progressBar = null;
   const totalToProcess = rows.length;
@@ -965,88 +4625,89 @@ async function convertCsvToEnex() {
   checkpoint.progress.totalCount = startIndex + rows.length;
   checkpoint.progress.processedCount = startIndex;
 
-  // 真の並列処理でバッチ処理
-  const results = [];
-  
-  for (let batchStart = 0; batchStart < rows.length; batchStart += batchSize) {
-    const batchEnd = Math.min(batchStart + batchSize, rows.length);
-    const batch = rows.slice(batchStart, batchEnd);
+  // スライディングウィンドウ方式で並列処理（結果は元のCSV順で反映）
+  // 1件分の結果をノート・統計・チェックポイントに反映
+  const recordOutcome = ({ value, error }, position) => {
+    const globalIndex = startIndex + position;
+    const row = rows[position];
+    // 再実行時は元のCSV上のレコード番号を維持
+    const recordIndex = retryFailed ? retryEntries[globalIndex].index : globalIndex;
     
-    // バッチ処理開始（進捗バーは継続表示）
+    if (error) {
+      // 処理エラーを抑制（進捗バーを中断しない）し、基本ノートを作成
+      const failure = createFailureEntry(row, recordIndex, {}, error);
+      let note = null;
+      try {
+        note = createNote(row, null);
+      } catch (noteError) {
+        // フォールバックノート作成エラーを抑制
+      }
+      if (dedupeUrls) {
+        seenUrlKeys.add(getDedupeKey(row.url));
+      }
+      checkpoint.updateProgress(globalIndex + 1, checkpoint.progress.totalCount, globalIndex, note, failure);
+      return;
+    }
     
-    // バッチ内並列処理：Promise.allで同時実行
-    const batchPromises = batch.map(async (row, batchIndex) => {
-      const globalIndex = startIndex + batchStart + batchIndex;
-      
-      return {
-        originalIndex: globalIndex,
-        result: await processRecord(row, globalIndex, checkpoint, options)
-      };
-    });
+    const { success, scrapeResult } = value;
+    let note = value.note;
     
-    try {
-      // 並列実行して結果を取得
-      const batchResults = await Promise.all(batchPromises);
-      
-      // CSV順序を維持：originalIndexでソート
-      batchResults.sort((a, b) => a.originalIndex - b.originalIndex);
-      
-      // 結果を順序通りに追加
-      for (const { originalIndex, result } of batchResults) {
-        const { note, success } = result;
-        
-        if (note) {
-          results.push(note);
-        }
-        
-        // チェックポイント更新（順序通り）
-        checkpoint.updateProgress(
-          originalIndex + 1, 
-          checkpoint.progress.totalCount, 
-          originalIndex, 
-          note,
-          success ? null : `record_${originalIndex}`
-        );
-        
-        // 個別進捗更新は行わない（バッチ処理のため）
+    // 先に書き込んだノートと同じ記事（rel=canonicalで判明）なら書き込まない
+    if (dedupeUrls) {
+      const keys = [getDedupeKey(row.url)];
+      const canonicalUrl = scrapeResult ? scrapeResult.canonicalUrl : null;
+      if (canonicalUrl) {
+        keys.push(getDedupeKey(canonicalUrl));
       }
-      
-    } catch (error) {
-      // バッチ処理エラーを抑制（進捗バーを中断しない）
-      // バッチ失敗時も基本ノートを作成
-      for (let i = 0; i < batch.length; i++) {
-        const globalIndex = startIndex + batchStart + i;
-        const row = batch[i];
-        
-        try {
-          const note = createNote(row, null);
-          results.push(note);
-          checkpoint.updateProgress(globalIndex + 1, checkpoint.progress.totalCount, globalIndex, note, row.url);
-          
-        } catch (noteError) {
-          // フォールバックノート作成エラーを抑制
-          checkpoint.updateProgress(globalIndex + 1, checkpoint.progress.totalCount, globalIndex, null, row.url);
+      if (keys.some(key => seenUrlKeys.has(key))) {
+        checkpoint.progress.dedupe.duplicates.push({ index: recordIndex, url: row.url, canonicalUrl });
+        note = null;
+      } else {
+        keys.forEach(key => seenUrlKeys.add(key));
+        if (keys.length > 1 && keys[1] !== keys[0]) {
+          checkpoint.progress.dedupe.canonicalKeys.push(keys[1]);
         }
       }
     }
     
-    // バッチ完了後に進捗バー更新
-    if (progressBar) {
-      const currentProgress = Math.min(batchStart + batchSize, rows.length);
-      progressBar.update(currentProgress);
+    if (retryFailed && success && !folderOutput) {
+      retried.push({ row, note });
     }
     
-    // バッチ間のレート制限（サーバー負荷軽減）
-    if (batchStart + batchSize < rows.length) {
-      const delayMs = Math.max(1000, batchSize * 100); // batch-sizeに応じた遅延
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-    }
+    // スクレイピング統計を更新
+    checkpoint.recordScrapeResult(scrapeResult);
+    
+    // チェックポイント更新（順序通り）
+    checkpoint.updateProgress(
+      globalIndex + 1, 
+      checkpoint.progress.totalCount, 
+      globalIndex, 
+      note,
+      success ? null : createFailureEntry(row, recordIndex, value)
+    );
     
-    // バッチ完了後のメモリクリーンアップ
-    if (global.gc) {
+    // 一定件数ごとのメモリクリーンアップ
+    if (global.gc && (position + 1) % batchSize === 0) {
       global.gc();
     }
-  }
+  };
+  
+  await runWorkerPool(rows, batchSize, async (row, position) => {
+    if (options.scrape) {
+      await rateLimiter.start(row.url);
+    }
+    return processRecord(row, startIndex + position, checkpoint, options);
+  }, {
+    // スクレイピング時は同じホストへのアクセスをレート制限（ホストの枠はワーカーの枠より先に確保し、間隔は開始時に確認）
+    acquire: options.scrape ? row => rateLimiter.acquire(row.url) : null,
+    onResult: recordOutcome,
+    // 完了した順に進捗バーを更新
+    onComplete: () => {
+      if (progressBar) {
+        progressBar.increment();
+      }
+    }
+  });
 
   // 最終進捗バー完了
   if (progressBar) {
@@ -1059,88 +4720,108 @@ async function convertCsvToEnex() {
   checkpoint.showStats();
   
   // 失敗したURLの表示
-  if (checkpoint.progress.failedUrls.length > 0) {
-    console.log(`\nWarning: Failed to scrape ${checkpoint.progress.failedUrls.length} URL(s):`);
-    checkpoint.progress.failedUrls.slice(0, 10).forEach(url => console.log(`  - ${url}`));
-    if (checkpoint.progress.failedUrls.length > 10) {
-      console.log(`  ... and ${checkpoint.progress.failedUrls.length - 10} more`);
+  const failures = checkpoint.progress.failedUrls;
+  if (failures.length > 0) {
+    console.log(`\nWarning: Failed to scrape ${failures.length} URL(s):`);
+    failures.slice(0, 10).forEach(failure => {
+      if (typeof failure === 'string') {
+        console.log(`  - ${failure}`);
+      } else {
+        console.log(`  - ${failure.url} (${failure.errorClass}${failure.httpStatus ? ` ${failure.httpStatus}` : ''})`);
+      }
+    });
+    if (failures.length > 10) {
+      console.log(`  ... and ${failures.length - 10} more`);
     }
+    
+    // 失敗レポートを出力（再実行やトリアージ用）
+    try {
+      const reportPaths = writeFailureReport(options.output, failures);
+      console.log(`Failure report: ${reportPaths.csv}, ${reportPaths.json}`);
+    } catch (error) {
+      console.error('Failed to write failure report:', error.message);
+    }
+  } else {
+    removeFailureReport(options.output);
   }
 
-  // 最終ENEXファイル生成
-  try {
-    console.log(`\nGenerating final ENEX file with ${results.length} notes...`);
-    
-    // レジューム時は既存のノートも含める
-    let allNotes = results;
-    if (options.resume && checkpoint.progress.processedNotes.length > 0) {
-      allNotes = [...checkpoint.progress.processedNotes, ...results];
-      console.log(`Including ${checkpoint.progress.processedNotes.length} notes from checkpoint`);
+  // rel=canonicalで重複と判明したレコードの表示
+  const duplicates = checkpoint.progress.dedupe.duplicates;
+  if (duplicates.length > 0) {
+    console.log(`\n${duplicates.length} record(s) were skipped because their canonical URL matched an earlier note:`);
+    duplicates.slice(0, 10).forEach(entry => {
+      console.log(`  - ${entry.url} (canonical: ${entry.canonicalUrl})`);
+    });
+    if (duplicates.length > 10) {
+      console.log(`  ... and ${duplicates.length - 10} more`);
     }
-    
-    const enexData = createEnexStructure(allNotes);
-    
-    const builder = new Builder({
-      xmldec: { version: '1.0', encoding: 'UTF-8' },
-      renderOpts: {
-        pretty: true,
-        indent: '  '
-      }
+  }
+
+  // ENMLを修復できず本文を隔離したノートの表示
+  const quarantined = (checkpoint.progress.enmlStats || { quarantined: [] }).quarantined;
+  if (quarantined.length > 0) {
+    console.log(`\nWarning: ${quarantined.length} note(s) had invalid ENML and were saved as links only:`);
+    quarantined.slice(0, 10).forEach(entry => {
+      console.log(`  - ${entry.url} (${entry.errors[entry.errors.length - 1]})`);
     });
-    
-    console.log('Building XML structure...');
-    let xml;
+    if (quarantined.length > 10) {
+      console.log(`  ... and ${quarantined.length - 10} more`);
+    }
+  }
+  // 再実行時は一部のレコードしか処理しないため、本処理のレポートを消さない
+  if (quarantined.length > 0 || !retryFailed) {
     try {
-      xml = builder.buildObject(enexData);
-    } catch (xmlError) {
-      console.error('Error building XML:', xmlError.message);
-      
-      // 問題のあるノートを特定して除外
-      const validNotes = [];
-      for (let i = 0; i < allNotes.length; i++) {
-        try {
-          const testData = createEnexStructure([allNotes[i]]);
-          builder.buildObject(testData);
-          validNotes.push(allNotes[i]);
-        } catch (noteError) {
-          console.error(`Skipping problematic note at index ${i}:`, allNotes[i].title);
-          console.error('Error: XML parsing failed (invalid characters detected)');
-        }
-      }
-      
-      if (validNotes.length === 0) {
-        throw new Error('No valid notes could be processed');
+      const quarantinePath = writeQuarantineReport(options.output, quarantined);
+      if (quarantinePath) {
+        console.log(`Quarantine report: ${quarantinePath}`);
       }
-      
-      console.log(`Proceeding with ${validNotes.length} valid notes out of ${allNotes.length}`);
-      const cleanEnexData = createEnexStructure(validNotes);
-      xml = builder.buildObject(cleanEnexData);
+    } catch (error) {
+      console.error('Failed to write quarantine report:', error.message);
+    }
+  }
+
+  // 最終ENEXファイル生成
+  try {
+    if (retryFailed && !folderOutput) {
+      // 再実行時は成功したノートのみ既存ENEXのプレースホルダーと置き換え
+      const merged = mergeRetriedNotes(existingNotes, retried);
+      console.log(`Replaced ${merged.replaced} placeholder notes (${merged.appended} appended) in ${existingNotes.length} existing notes`);
+      enexWriter = new EnexWriter(getPartialEnexPath(options.output)).open();
+      merged.notes.forEach(note => enexWriter.writeNote(note));
     }
     
-    console.log('Processing CDATA sections...');
-    xml = xml.replace(/<content>(.+?)<\/content>/gs, (match, p1) => {
-      const decodedContent = p1
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"');
-      return `<content>\n      <![CDATA[${decodedContent}]]>\n    </content>`;
+    // 変換できなかったノートを表示
+    enexWriter.skippedNotes.forEach(({ title, error }) => {
+      console.error(`Skipping problematic note: ${title}`);
+      console.error(format === 'enex' ? 'Error: XML parsing failed (invalid characters detected)' : `Error: ${error}`);
     });
+    if (enexWriter.noteCount === 0 && enexWriter.skippedNotes.length > 0) {
+      throw new Error('No valid notes could be processed');
+    }
     
-    console.log('Adding DOCTYPE declaration...');
-    xml = xml.replace(
-      '<?xml version="1.0" encoding="UTF-8"?>',
-      '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">'
-    );
-    
-    console.log('Writing final ENEX file...');
-    fs.writeFileSync(options.output, xml);
+    if (folderOutput) {
+      console.log(`\nWrote ${enexWriter.noteCount} notes to ${enexWriter.filePath}`);
+      enexWriter.close();
+    } else {
+      console.log(`\nFinalizing ${format.toUpperCase()} file with ${enexWriter.noteCount} notes...`);
+      enexWriter.close();
+      if (enexWriter.finalize) {
+        enexWriter.finalize().forEach(({ filePath, noteCount }) => {
+          console.log(`  ${filePath}: ${noteCount} notes`);
+        });
+      } else {
+        fs.renameSync(enexWriter.filePath, options.output);
+      }
+    }
     
-    // 成功時はチェックポイントファイルをクリーンアップ
-    checkpoint.cleanup();
+    // 成功時はチェックポイントファイルをクリーンアップ（再実行時は本処理のものを残す）
+    if (!retryFailed) {
+      checkpoint.cleanup();
+    }
     
     const scrapingMsg = options.scrape ? ' with scraping' : '';
-    console.log(`\n✅ Successfully converted ${checkpoint.progress.processedCount} entries to ${options.output}${scrapingMsg}`);
+    const outputName = statusNotebooks ? 'one ENEX file per notebook' : options.output;
+    console.log(`\n✅ Successfully converted ${checkpoint.progress.processedCount} entries to ${outputName}${scrapingMsg}`);
     console.log(`📊 Success rate: ${((checkpoint.progress.processedCount - checkpoint.progress.failedUrls.length) / checkpoint.progress.processedCount * 100).toFixed(1)}%`);
     
     // ブラウザクリーンアップ
@@ -1170,10 +4851,12 @@ async function convertCsvToEnex() {
   } catch (error) {
     console.error('\n❌ ENEX generation failed:', error.message);
     console.error('Stack trace:', error.stack);
-    console.log('\n💾 Progress has been saved. Use --resume to continue from checkpoint.');
     
     // 最終チェックポイントを保存
-    checkpoint.saveCheckpoint();
+    if (!retryFailed) {
+      console.log('\n💾 Progress has been saved. Use --resume to continue from checkpoint.');
+      checkpoint.saveCheckpoint();
+    }
     
     // エラー時もブラウザクリーンアップ
     await browserManager.cleanup();
@@ -1230,5 +4913,64 @@ module.exports = {
   convertCsvToEnex,
   CheckpointManager,
   processRecord,
-  isBinaryUrl
+  isBinaryUrl,
+  sanitizeHtmlToEnml,
+  extractMainContent,
+  extractPageMetadata,
+  renderMetadataHeader,
+  embedImages,
+  createScrapeResult,
+  classifyScrapeError,
+  renderScrapeResult,
+  createResource,
+  getImageDimensions,
+  getAttachmentFileName,
+  getAttachmentMimeType,
+  extractPdfText,
+  createFailureEntry,
+  writeFailureReport,
+  getFailureReportPaths,
+  loadFailureReport,
+  readEnexNotes,
+  mergeRetriedNotes,
+  withRetry,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  DomainRateLimiter,
+  loadDomainLimits,
+  runWorkerPool,
+  EnexWriter,
+  serializeNote,
+  toCdataSection,
+  validateEnml,
+  getQuarantineReportPath,
+  writeQuarantineReport,
+  MarkdownWriter,
+  enmlToMarkdown,
+  HtmlArchiveWriter,
+  enmlToHtml,
+  JexWriter,
+  createTarEntry,
+  detectInputFormat,
+  loadInputRows,
+  parseColumnMap,
+  validateInputRows,
+  createRowFilter,
+  canonicalizeUrl,
+  getDedupeKey,
+  dedupeRows,
+  parseStatusMap,
+  applyStatusTags,
+  NotebookEnexWriter,
+  applyReminder,
+  getNoteDates,
+  getPocketApplicationData,
+  cleanPageTitle,
+  getNoteTitles,
+  applyFavoriteTag,
+  loadTagRules,
+  applyTagRules,
+  getInvalidRowsReportPath,
+  writeInvalidRowsReport
 };
\ No newline at end of file
@@ -0,0 +1,218 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createNote,
+  createResource,
+  enmlToHtml,
+  HtmlArchiveWriter,
+  JexWriter,
+  createTarEntry
+} = require('../index.js');
+
+function createRow(i, overrides = {}) {
+  return {
+    title: `Article ${i}`,
+    url: `https://example.com/${i}`,
+    time_added: String(1507018057 + i * 86400),
+    tags: 'reading,tech',
+    status: 'unread',
+    ...overrides
+  };
+}
+
+// tarの中身を{ 名前: 内容 }として読み込む
+function readTar(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const entries = {};
+  let offset = 0;
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    const size = parseInt(header.toString('utf8', 124, 136), 8);
+    entries[name] = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+// Joplinのアイテムファイルからプロパティを取得
+function readJoplinProperties(text) {
+  const properties = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(/^([a-z_]+): (.*)$/);
+    if (match) properties[match[1]] = match[2];
+  });
+  return properties;
+}
+
+describe('HTML Archive and Joplin Export Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-output-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('enmlToHtml', () => {
+    test('should replace Evernote elements with plain HTML', () => {
+      const mediaLinks = new Map([
+        ['aaa', { path: 'attachments/aaa.png', mime: 'image/png' }],
+        ['bbb', { path: 'attachments/bbb-doc.pdf', mime: 'application/pdf' }]
+      ]);
+
+      const html = enmlToHtml(
+        '<?xml version="1.0"?><en-note><p>A &amp; B</p><en-media hash="aaa" type="image/png"/>' +
+        '<en-media hash="bbb" type="application/pdf"/><en-media hash="ccc" type="image/png"/>' +
+        '<en-todo checked="true"/>done<en-crypt hint="x">secret</en-crypt></en-note>',
+        mediaLinks
+      );
+
+      expect(html).toBe(
+        '<p>A &amp; B</p><img src="attachments/aaa.png" alt=""/>' +
+        '<a href="attachments/bbb-doc.pdf">bbb-doc.pdf</a>' +
+        '<input type="checkbox" disabled="disabled" checked="checked"/>done'
+      );
+    });
+  });
+
+  describe('HtmlArchiveWriter', () => {
+    test('should write standalone pages with metadata and attachments', () => {
+      const archivePath = path.join(tmpDir, 'archive');
+      const media = createResource(Buffer.from('png data'), 'image/png', 'https://example.com/a.png');
+      const writer = new HtmlArchiveWriter(archivePath).open();
+
+      writer.writeNote(createNote(createRow(1, { title: 'Tom & Jerry' }), `<p>Body</p><en-media hash="${media.hash}" type="image/png"/>`, [media], 'lightweight'));
+      writer.close();
+
+      const html = fs.readFileSync(path.join(archivePath, 'Tom & Jerry.html'), 'utf8');
+      expect(html).toContain('<title>Tom &amp; Jerry</title>');
+      expect(html).toContain('<meta name="source-url" content="https://example.com/1"/>');
+      expect(html).toContain('<meta name="pocket-tags" content="reading,tech"/>');
+      expect(html).toContain('<p>Body</p>');
+      expect(html).toContain(`<img src="attachments/${media.hash}.png" alt=""/>`);
+      expect(html).not.toContain('en-note');
+      expect(fs.readFileSync(path.join(archivePath, 'attachments', `${media.hash}.png`), 'utf8')).toBe('png data');
+    });
+
+    test('should list every page in index.html, newest first', () => {
+      const archivePath = path.join(tmpDir, 'archive');
+      const first = new HtmlArchiveWriter(archivePath).open();
+      first.writeNote(createNote(createRow(1)));
+      first.close();
+
+      // 再開後に書いたページも前回のページと一緒に一覧にする
+      const resumed = new HtmlArchiveWriter(archivePath).open(1);
+      resumed.writeNote(createNote(createRow(2, { tags: '', status: 'archive' })));
+      resumed.close();
+
+      const index = fs.readFileSync(path.join(archivePath, 'index.html'), 'utf8');
+      expect(index).toContain('<p class="meta">2 items</p>');
+      expect(index.indexOf('Article 2')).toBeLessThan(index.indexOf('Article 1'));
+      expect(index).toContain('<tr><td><a href="Article%201.html">Article 1</a></td><td>reading, tech</td><td>2017-10-04</td><td>unread</td></tr>');
+      expect(index).toContain('<td>archive</td>');
+      expect(resumed.noteCount).toBe(2);
+    });
+
+    test('should overwrite the page of the same URL', () => {
+      const archivePath = path.join(tmpDir, 'archive');
+      const writer = new HtmlArchiveWriter(archivePath).open();
+
+      writer.writeNote(createNote(createRow(1)));
+      writer.writeNote(createNote(createRow(1), '<p>Scraped later</p>', [], 'browser'));
+      writer.writeNote(createNote(createRow(2, { title: 'Article 1' })));
+      writer.close();
+
+      const pages = fs.readdirSync(archivePath).filter(file => file.endsWith('.html') && file !== 'index.html');
+      expect(pages).toHaveLength(2);
+      expect(fs.readFileSync(path.join(archivePath, 'Article 1.html'), 'utf8')).toContain('Scraped later');
+    });
+  });
+
+  describe('createTarEntry', () => {
+    test('should create a padded ustar entry with a valid checksum', () => {
+      const entry = createTarEntry('item.md', 'hello', 0);
+
+      expect(entry.length).toBe(1024);
+      expect(entry.toString('utf8', 257, 262)).toBe('ustar');
+      expect(parseInt(entry.toString('utf8', 124, 136), 8)).toBe(5);
+
+      const header = Buffer.from(entry.subarray(0, 512));
+      const stored = parseInt(header.toString('utf8', 148, 156), 8);
+      header.fill(' ', 148, 156);
+      expect(header.reduce((sum, byte) => sum + byte, 0)).toBe(stored);
+    });
+  });
+
+  describe('JexWriter', () => {
+    test('should write notes, a notebook, tags and resources as Joplin items', () => {
+      const jexPath = path.join(tmpDir, 'output.jex');
+      const media = createResource(Buffer.from('png data'), 'image/png', 'https://example.com/a.png');
+      const writer = new JexWriter(jexPath).open();
+
+      writer.writeNote(createNote(createRow(1), `<p>Body</p><en-media hash="${media.hash}" type="image/png"/>`, [media], 'lightweight', { author: 'Jane\n Doe' }));
+      writer.writeNote(createNote(createRow(2)));
+      writer.close();
+
+      const entries = readTar(jexPath);
+      const items = Object.entries(entries)
+        .filter(([name]) => name.endsWith('.md'))
+        .map(([name, data]) => ({ name, text: data.toString('utf8'), properties: readJoplinProperties(data.toString('utf8')) }));
+      const ofType = type => items.filter(item => item.properties.type_ === String(type));
+
+      const [folder] = ofType(2);
+      expect(folder.text.startsWith('Pocket\n\n')).toBe(true);
+
+      const notes = ofType(1);
+      expect(notes).toHaveLength(2);
+      expect(notes[0].text.startsWith('Article 1\n\n')).toBe(true);
+      expect(notes[0].text).toContain(`![](:/${media.hash})`);
+      expect(notes[1].properties.author).toBe('');
+      expect(notes[0].properties).toMatchObject({
+        parent_id: folder.properties.id,
+        source_url: 'https://example.com/1',
+        author: 'Jane Doe',
+        created_time: '2017-10-04T08:07:37.000Z',
+        markup_language: '1'
+      });
+
+      // タグは1回だけ書き、ノートとの関連付けはノートごと
+      expect(ofType(5).map(tag => tag.text.split('\n')[0]).sort()).toEqual(['reading', 'tech']);
+      expect(ofType(6)).toHaveLength(4);
+
+      const [resource] = ofType(4);
+      expect(resource.properties).toMatchObject({ id: media.hash, mime: 'image/png', file_extension: 'png' });
+      expect(entries[`resources/${media.hash}.png`].toString('utf8')).toBe('png data');
+      expect(writer.noteCount).toBe(2);
+      expect(writer.bytesWritten).toBe(fs.statSync(jexPath).size);
+    });
+
+    test('should resume by truncating items written after the checkpoint', () => {
+      const jexPath = path.join(tmpDir, 'output.jex');
+      const first = new JexWriter(jexPath).open();
+      first.writeNote(createNote(createRow(1, { tags: '' })));
+      const savedBytes = first.bytesWritten;
+      first.writeNote(createNote(createRow(2, { tags: '' })));
+      fs.closeSync(first.fd);
+
+      const resumed = new JexWriter(jexPath).open(savedBytes, 1);
+      resumed.writeNote(createNote(createRow(3, { tags: '' })));
+      resumed.close();
+
+      const titles = Object.values(readTar(jexPath))
+        .map(data => data.toString('utf8'))
+        .filter(text => text.includes('type_: 1'))
+        .map(text => text.split('\n')[0]);
+      expect(titles).toEqual(['Article 1', 'Article 3']);
+      expect(resumed.noteCount).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  scrapeContent,
+  processRecord,
+  getAttachmentFileName,
+  getAttachmentMimeType,
+  extractPdfText
+} = require('../index.js');
+
+// テキストを1行含む最小限のPDF
+function createPdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('Binary Attachment Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAttachmentFileName', () => {
+    test('should prefer Content-Disposition filename', () => {
+      const headers = { 'content-disposition': 'attachment; filename="Quarterly Report.pdf"' };
+      expect(getAttachmentFileName('https://example.com/download?id=1', headers)).toBe('Quarterly Report.pdf');
+    });
+
+    test('should decode RFC 5987 filenames', () => {
+      const headers = { 'content-disposition': "attachment; filename*=UTF-8''%E8%B3%87%E6%96%99.pdf" };
+      expect(getAttachmentFileName('https://example.com/download', headers)).toBe('資料.pdf');
+    });
+
+    test('should fall back to the URL path', () => {
+      expect(getAttachmentFileName('https://example.com/files/Slides%20Deck.pptx')).toBe('Slides Deck.pptx');
+    });
+  });
+
+  describe('getAttachmentMimeType', () => {
+    test('should use a specific Content-Type', () => {
+      expect(getAttachmentMimeType('file.bin', 'application/pdf; charset=binary')).toBe('application/pdf');
+    });
+
+    test('should infer MIME type from extension for generic Content-Type', () => {
+      expect(getAttachmentMimeType('deck.pptx', 'application/octet-stream'))
+        .toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+      expect(getAttachmentMimeType('unknown.xyz', '')).toBe('application/octet-stream');
+    });
+
+    test('should ignore a malformed Content-Type', () => {
+      expect(getAttachmentMimeType('paper.pdf', 'application/pdf"/><en-media hash="x')).toBe('application/pdf');
+      expect(getAttachmentMimeType('unknown.xyz', 'text')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('extractPdfText', () => {
+    test('should extract text from a PDF', async () => {
+      const text = await extractPdfText(createPdf('Hello searchable PDF'));
+      expect(text).toBe('Hello searchable PDF');
+    });
+
+    test('should return empty string for invalid PDF data', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const text = await extractPdfText(Buffer.from('not a pdf'));
+      expect(text).toBe('');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('scrapeContent in attachment mode', () => {
+    test('should attach PDF bookmarks as resources', async () => {
+      const pdf = createPdf('Attached document');
+      axios.get.mockResolvedValue({ data: pdf, headers: { 'content-type': 'application/pdf' } });
+
+      const { content, resources } = await scrapeContent('https://example.com/paper.pdf', { attachFiles: true });
+      const hash = crypto.createHash('md5').update(pdf).digest('hex');
+
+      expect(resources).toHaveLength(1);
+      expect(resources[0].hash).toBe(hash);
+      expect(resources[0].resource.mime).toBe('application/pdf');
+      expect(resources[0].resource['resource-attributes'][0]['file-name']).toBe('paper.pdf');
+      expect(resources[0].resource['resource-attributes'][0]['source-url']).toBe('https://example.com/paper.pdf');
+      expect(content).toContain(`<en-media hash="${hash}" type="application/pdf"/>`);
+      expect(content).not.toContain('Attached document');
+    });
+
+    test('should add PDF text when extraction is enabled', async () => {
+      axios.get.mockResolvedValue({ data: createPdf('Searchable body text'), headers: { 'content-type': 'application/pdf' } });
+
+      const { content } = await scrapeContent('https://example.com/paper.pdf', { attachFiles: true, extractPdfText: true });
+
+      expect(content).toContain('<p>Searchable body text</p>');
+    });
+
+    test('should attach files detected by Content-Type', async () => {
+      const data = Buffer.from('PK\u0003\u0004 fake slide deck');
+      axios.get.mockResolvedValue({
+        data,
+        headers: {
+          'content-type': 'application/octet-stream',
+          'content-disposition': 'attachment; filename="deck.pptx"'
+        }
+      });
+
+      const { content, resources } = await scrapeContent('https://example.com/download?id=42', { attachFiles: true });
+
+      expect(resources).toHaveLength(1);
+      expect(resources[0].resource['resource-attributes'][0]['file-name']).toBe('deck.pptx');
+      expect(resources[0].mime).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+      expect(content).toContain('<en-media hash=');
+    });
+
+    test('should fall back to a link when the download fails', async () => {
+      axios.get.mockRejectedValue(new Error('maxContentLength size of 20971520 exceeded'));
+
+      const { content, resources } = await scrapeContent('https://example.com/huge.pdf', { attachFiles: true });
+
+      expect(resources).toHaveLength(0);
+      expect(content).toContain('PDF document: <a href="https://example.com/huge.pdf">huge.pdf</a>');
+    });
+
+    test('should limit the page download to the attachment size', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('PK\u0003\u0004'), headers: { 'content-type': 'application/zip' } });
+
+      await scrapeContent('https://example.com/download?id=1', { attachFiles: true });
+      await scrapeContent('https://example.com/download?id=2');
+
+      expect(axios.get.mock.calls[0][1].maxContentLength).toBe(20 * 1024 * 1024);
+      expect(axios.get.mock.calls[1][1].maxContentLength).toBeUndefined();
+    });
+
+    test('should link a file larger than the attachment size instead of failing', async () => {
+      axios.get.mockRejectedValue(new Error('maxContentLength size of 20971520 exceeded'));
+
+      const result = await scrapeContent('https://example.com/download?id=1&format=zip', { attachFiles: true });
+
+      expect(result.status).toBe('success');
+      expect(result.resources).toHaveLength(0);
+      expect(result.content).toContain('File: <a href="https://example.com/download?id=1&amp;format=zip">download</a>');
+      expect(result.content).not.toContain('Content-Type');
+    });
+
+    test('should escape the Content-Type of linked files', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('data'), headers: { 'content-type': 'application/x-<b>' } });
+
+      const { content } = await scrapeContent('https://example.com/download');
+
+      expect(content).toContain('<small>Content-Type: application/x-&lt;b&gt;</small>');
+    });
+
+    test('should only link binaries when attachment mode is disabled', async () => {
+      const { content } = await scrapeContent('https://example.com/paper.pdf');
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(content).toContain('PDF document:');
+      expect(content).not.toContain('<en-media');
+    });
+  });
+
+  describe('processRecord with attachments', () => {
+    test('should attach the file to the note', async () => {
+      axios.get.mockResolvedValue({ data: createPdf('Paper'), headers: { 'content-type': 'application/pdf' } });
+      const row = { title: 'Paper', url: 'https://example.com/paper.pdf', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: true, attachFiles: true });
+
+      expect(result.success).toBe(true);
+      expect(result.note.resource).toHaveLength(1);
+      expect(result.note.resource[0].mime).toBe('application/pdf');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const axios = require('axios');
+const puppeteer = require('puppeteer');
+const {
+  scrapeContent,
+  processRecord,
+  CheckpointManager,
+  withRetry,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay
+} = require('../index.js');
+
+const articleHtml = `
+  <html><body><article>
+    <p>This article eventually loads after the server recovers from a temporary overload.</p>
+  </article></body></html>
+`;
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function codeError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const fastPolicy = { retries: 2, baseDelayMs: 1, maxDelayMs: 10 };
+
+describe('Retry Policy Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isRetryableError', () => {
+    test('should retry transient HTTP statuses', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(504))).toBe(true);
+    });
+
+    test('should not retry permanent HTTP statuses', () => {
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(httpError(410))).toBe(false);
+      expect(isRetryableError(httpError(403))).toBe(false);
+    });
+
+    test('should retry timeouts and connection resets', () => {
+      expect(isRetryableError(codeError('ECONNABORTED', 'timeout of 7000ms exceeded'))).toBe(true);
+      expect(isRetryableError(codeError('ECONNRESET'))).toBe(true);
+    });
+
+    test('should only retry temporary DNS failures', () => {
+      expect(isRetryableError(codeError('EAI_AGAIN'))).toBe(true);
+      expect(isRetryableError(codeError('ENOTFOUND'))).toBe(false);
+    });
+
+    test('should not retry unknown errors', () => {
+      expect(isRetryableError(new Error('Something odd'))).toBe(false);
+      expect(isRetryableError(null)).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should parse seconds', () => {
+      expect(parseRetryAfter('5')).toBe(5000);
+    });
+
+    test('should parse HTTP dates', () => {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:03 GMT', now)).toBe(3000);
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now)).toBe(0);
+    });
+
+    test('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const policy = { retries: 5, baseDelayMs: 1000, maxDelayMs: 30000 };
+
+    test('should back off exponentially with jitter', () => {
+      const randomSpy = jest.spyOn(Math, 'random');
+      randomSpy.mockReturnValue(0);
+      expect(getRetryDelay(0, httpError(503), policy)).toBe(500);
+      expect(getRetryDelay(2, httpError(503), policy)).toBe(2000);
+      randomSpy.mockReturnValue(0.999999);
+      expect(getRetryDelay(2, httpError(503), policy)).toBe(4000);
+      randomSpy.mockRestore();
+    });
+
+    test('should cap the delay', () => {
+      const delay = getRetryDelay(10, httpError(503), policy);
+      expect(delay).toBeGreaterThanOrEqual(15000);
+      expect(delay).toBeLessThanOrEqual(30000);
+    });
+
+    test('should honor Retry-After', () => {
+      expect(getRetryDelay(0, httpError(429, { 'retry-after': '7' }), policy)).toBe(7000);
+    });
+
+    test('should give up when Retry-After exceeds the maximum delay', () => {
+      expect(getRetryDelay(0, httpError(429, { 'retry-after': '3600' }), policy)).toBeNull();
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry transient errors until success', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(codeError('ECONNRESET'))
+        .mockResolvedValue('ok');
+      const onRetry = jest.fn();
+
+      await expect(withRetry(operation, fastPolicy, onRetry)).resolves.toBe('ok');
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry.mock.calls[1][1]).toBe(2);
+    });
+
+    test('should not retry permanent errors', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(404));
+
+      await expect(withRetry(operation, fastPolicy)).rejects.toThrow('status code 404');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop after the configured number of retries', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(operation, fastPolicy)).rejects.toThrow('status code 503');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry without a policy', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(operation)).rejects.toThrow();
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('scrapeContent with retries', () => {
+    test('should recover from a temporary overload', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(503, { 'retry-after': '0' }))
+        .mockResolvedValue({
+          status: 200,
+          data: Buffer.from(articleHtml, 'utf8'),
+          headers: { 'content-type': 'text/html; charset=utf-8' }
+        });
+
+      const result = await scrapeContent('https://example.com/busy', { retry: fastPolicy });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(result.status).toBe('success');
+      expect(result.retries).toBe(1);
+      expect(result.retryWaitMs).toBe(0);
+    });
+
+    test('should fail without retrying on 404', async () => {
+      axios.get.mockRejectedValue(httpError(404));
+
+      const result = await scrapeContent('https://example.com/missing', { retry: fastPolicy });
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe('failed');
+      expect(result.httpStatus).toBe(404);
+      expect(result.retries).toBe(0);
+    });
+  });
+
+  describe('processRecord with permanent errors', () => {
+    test('should skip browser fallback for 410 Gone', async () => {
+      axios.get.mockRejectedValue(httpError(410));
+      const row = { title: 'Gone', url: 'https://example.com/gone', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: true, fallbackBrowser: true });
+
+      expect(puppeteer.launch).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.attempts).toHaveLength(1);
+    });
+  });
+
+  describe('retry statistics', () => {
+    test('should count retries and recovered records', () => {
+      const checkpoint = new CheckpointManager('test-output.enex');
+
+      checkpoint.recordScrapeResult({ status: 'success', method: 'lightweight', retries: 2 });
+      checkpoint.recordScrapeResult({ status: 'failed', method: 'lightweight', errorClass: 'http', retries: 1 });
+      checkpoint.recordScrapeResult({ status: 'success', method: 'lightweight', retries: 0 });
+
+      expect(checkpoint.progress.scrapeStats.retries).toBe(3);
+      expect(checkpoint.progress.scrapeStats.recoveredByRetry).toBe(1);
+    });
+
+    test('should show retries in statistics', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const checkpoint = new CheckpointManager('test-output.enex');
+      checkpoint.progress.processedCount = 1;
+      checkpoint.recordScrapeResult({ status: 'success', method: 'lightweight', retries: 2 });
+
+      checkpoint.showStats();
+
+      expect(consoleSpy).toHaveBeenCalledWith('  Retries: 2 (1 records recovered)');
+      consoleSpy.mockRestore();
+    });
+  });
+});
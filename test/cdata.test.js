@@ -0,0 +1,97 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStringPromise } = require('xml2js');
+const { createNote, serializeNote, toCdataSection, EnexWriter, readEnexNotes } = require('../index.js');
+
+const row = { title: 'Tom & Jerry <3', url: 'https://example.com/?a=1&b=2', time_added: '1507018057', tags: '', status: 'unread' };
+
+// ノート1件分のXMLをパースしてcontentを取り出す
+async function parseContent(noteXml) {
+  const data = await parseStringPromise(`<en-export>${noteXml}</en-export>`);
+  return data['en-export'].note[0].content[0];
+}
+
+describe('ENEX CDATA Serialization Tests', () => {
+  describe('toCdataSection', () => {
+    test('should wrap text in a CDATA section', () => {
+      expect(toCdataSection('<p>a & b</p>')).toBe('<![CDATA[<p>a & b</p>]]>');
+    });
+
+    test('should split every CDATA terminator', () => {
+      expect(toCdataSection('a]]>b]]>c')).toBe('<![CDATA[a]]]]><![CDATA[>b]]]]><![CDATA[>c]]>');
+    });
+  });
+
+  describe('serializeNote round trip', () => {
+    test('should preserve content containing CDATA terminators', async () => {
+      const note = createNote(row, '<p>if (a[b[0]]>1) { return; }</p><pre><code>x]]>y]]>z</code></pre>');
+
+      const xml = serializeNote(note);
+
+      expect(await parseContent(xml)).toBe(note.content);
+    });
+
+    test('should not decode entities inside ENML', async () => {
+      const note = createNote(row, '<p>&lt;script&gt; is text, &amp;amp; too, and &quot;quotes&quot;</p>');
+
+      const content = await parseContent(serializeNote(note));
+
+      expect(content).toBe(note.content);
+      expect(content).toContain('&lt;script&gt; is text, &amp;amp; too');
+      expect(content).not.toContain('<script>');
+    });
+
+    test('should produce well-formed ENML inside the content', async () => {
+      const note = createNote(row, '<p>Tom &amp; Jerry &lt;3 ]]&gt; done</p>');
+
+      const content = await parseContent(serializeNote(note));
+      const enml = await parseStringPromise(content);
+
+      expect(enml['en-note']).toBeDefined();
+    });
+
+    test('should keep titles and attributes escaped as text', async () => {
+      const note = createNote(row);
+      const data = await parseStringPromise(`<en-export>${serializeNote(note)}</en-export>`);
+      const parsed = data['en-export'].note[0];
+
+      expect(parsed.title[0]).toBe('Tom & Jerry <3');
+      expect(parsed['note-attributes'][0]['source-url'][0]).toBe('https://example.com/?a=1&b=2');
+    });
+
+    test('should serialize notes read back from an ENEX file', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdata-'));
+      const firstPath = path.join(tmpDir, 'first.enex');
+      const secondPath = path.join(tmpDir, 'second.enex');
+      const note = createNote(row, '<p>a]]>b &amp; c</p>');
+
+      try {
+        const first = new EnexWriter(firstPath).open();
+        first.writeNote(note);
+        first.close();
+
+        // 読み込んだノートを書き直しても内容が変わらない
+        const second = new EnexWriter(secondPath).open();
+        (await readEnexNotes(firstPath)).forEach(parsedNote => second.writeNote(parsedNote));
+        second.close();
+
+        const notes = await readEnexNotes(secondPath);
+        expect(notes[0].content[0]).toBe(note.content);
+        expect(notes[0].title[0]).toBe('Tom & Jerry <3');
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should serialize notes without content', () => {
+      const xml = serializeNote({ title: 'Empty' });
+      expect(xml).toContain('<title>Empty</title>');
+      expect(xml).not.toContain('CDATA');
+    });
+  });
+});
@@ -239,6 +239,44 @@ describe('CheckpointManager Tests', () => {
 
       consoleSpy.mockRestore();
     });
+
+    test('should aggregate structured scrape results', () => {
+      checkpointManager.recordScrapeResult({ status: 'success', method: 'lightweight', bytesDownloaded: 1000, contentBytes: 400, durationMs: 200 });
+      checkpointManager.recordScrapeResult({ status: 'success', method: 'browser', bytesDownloaded: 3000, contentBytes: 600, durationMs: 2200 });
+      checkpointManager.recordScrapeResult({ status: 'failed', method: 'lightweight', errorClass: 'timeout', bytesDownloaded: 0, durationMs: 7000 });
+      checkpointManager.recordScrapeResult(null);
+
+      const stats = checkpointManager.progress.scrapeStats;
+      expect(stats.methods).toEqual({ lightweight: 1, browser: 1, failed: 1 });
+      expect(stats.errors).toEqual({ timeout: 1 });
+      expect(stats.bytesDownloaded).toBe(4000);
+      expect(stats.contentBytes).toBe(1000);
+      expect(stats.totalDurationMs).toBe(9400);
+    });
+
+    test('should show scraping method and error breakdown', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      checkpointManager.progress.processedCount = 2;
+      checkpointManager.progress.totalCount = 2;
+      checkpointManager.recordScrapeResult({ status: 'success', method: 'lightweight', durationMs: 1000 });
+      checkpointManager.recordScrapeResult({ status: 'no_content', method: 'lightweight', errorClass: 'extraction', durationMs: 1000 });
+
+      checkpointManager.showStats();
+
+      expect(consoleSpy).toHaveBeenCalledWith('  Scraping methods: lightweight=1, failed=1');
+      expect(consoleSpy).toHaveBeenCalledWith('  Error classes: extraction=1');
+      expect(consoleSpy).toHaveBeenCalledWith('  Average scrape time: 1.00 sec');
+
+      consoleSpy.mockRestore();
+    });
+
+    test('should record results from checkpoints without statistics', () => {
+      delete checkpointManager.progress.scrapeStats;
+
+      checkpointManager.recordScrapeResult({ status: 'success', method: 'lightweight' });
+
+      expect(checkpointManager.progress.scrapeStats.methods).toEqual({ lightweight: 1 });
+    });
   });
 
   describe('Edge Cases', () => {
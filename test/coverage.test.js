@@ -100,8 +100,10 @@ describe('Coverage Tests', () => {
       });
 
       const result = await scrapeContent('https://example.com/valid');
-      expect(result).toContain('test article');
-      expect(result).toContain('<p>');
+      expect(result.status).toBe('success');
+      expect(result.method).toBe('lightweight');
+      expect(result.content).toContain('test article');
+      expect(result.content).toContain('<p>');
     });
 
     test('should handle content extraction failure', async () => {
@@ -113,15 +115,17 @@ describe('Coverage Tests', () => {
       });
 
       const result = await scrapeContent('https://example.com/short');
-      expect(result).toContain('Content could not be extracted');
+      expect(result.status).toBe('no_content');
+      expect(result.errorClass).toBe('extraction');
+      expect(result.errorMessage).toContain('Content could not be extracted');
     });
 
     test('should handle axios error', async () => {
       axios.get.mockRejectedValue(new Error('Network timeout'));
 
       const result = await scrapeContent('https://example.com/timeout');
-      expect(result).toContain('Failed to scrape content');
-      expect(result).toContain('Network timeout');
+      expect(result.status).toBe('failed');
+      expect(result.errorMessage).toContain('Network timeout');
     });
 
     test('should handle various content selectors', async () => {
@@ -151,12 +155,12 @@ describe('Coverage Tests', () => {
 
       const result = await scrapeContent('https://example.com/complex');
       
-      expect(result).toContain('main article content');
-      expect(result).not.toContain('bad script');
-      expect(result).not.toContain('bad style');
-      expect(result).not.toContain('nav content');
-      expect(result).not.toContain('sidebar');
-      expect(result).not.toContain('advertisement');
+      expect(result.content).toContain('main article content');
+      expect(result.content).not.toContain('bad script');
+      expect(result.content).not.toContain('bad style');
+      expect(result.content).not.toContain('nav content');
+      expect(result.content).not.toContain('sidebar');
+      expect(result.content).not.toContain('advertisement');
     });
 
     test('should handle fallback content selection', async () => {
@@ -178,7 +182,7 @@ describe('Coverage Tests', () => {
       });
 
       const result = await scrapeContent('https://example.com/fallback');
-      expect(result).toContain('fallback mechanism');
+      expect(result.content).toContain('fallback mechanism');
     });
   });
 
@@ -205,9 +209,9 @@ describe('Coverage Tests', () => {
       const result = await scrapeContent('https://example.com/paragraphs');
       
       // ENML形式の段落タグが生成されることを確認
-      expect(result).toContain('<p>');
-      expect(result).toContain('</p>');
-      expect(result).toContain('First paragraph');
+      expect(result.content).toContain('<p>');
+      expect(result.content).toContain('</p>');
+      expect(result.content).toContain('First paragraph');
     });
 
     test('should handle special characters in content', async () => {
@@ -230,9 +234,9 @@ describe('Coverage Tests', () => {
       const result = await scrapeContent('https://example.com/special');
       
       // 特殊文字が適切にエスケープされることを確認
-      expect(result).toContain('&amp;');
-      expect(result).toContain('&lt;');
-      expect(result).toContain('&gt;');
+      expect(result.content).toContain('&amp;');
+      expect(result.content).toContain('&lt;');
+      expect(result.content).toContain('&gt;');
     });
   });
 });
\ No newline at end of file
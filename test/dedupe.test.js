@@ -0,0 +1,122 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const axios = require('axios');
+const { canonicalizeUrl, getDedupeKey, dedupeRows, extractMainContent, scrapeContent } = require('../index.js');
+
+function createRow(url, overrides = {}) {
+  return { title: 'Article', url, time_added: '1507018057', tags: '', status: 'unread', ...overrides };
+}
+
+describe('URL Deduplication Tests', () => {
+  describe('canonicalizeUrl', () => {
+    test('should strip tracking parameters and fragments', () => {
+      expect(canonicalizeUrl('https://Example.com/post?utm_source=pocket_mylist&utm_medium=web&id=5&fbclid=abc#comments'))
+        .toBe('https://example.com/post?id=5');
+      expect(canonicalizeUrl('https://example.com/app#!/page/1')).toBe('https://example.com/app#!/page/1');
+    });
+
+    test('should keep other queries untouched', () => {
+      expect(canonicalizeUrl('https://example.com/search?q=a+b&x=%7E')).toBe('https://example.com/search?q=a+b&x=%7E');
+    });
+
+    test('should unwrap AMP variants', () => {
+      expect(canonicalizeUrl('https://www.google.com/amp/s/example.com/news/story.amp.html')).toBe('https://example.com/news/story.html');
+      expect(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/post')).toBe('https://example.com/post');
+      expect(canonicalizeUrl('https://example.com/post?amp=1')).toBe('https://example.com/post');
+      expect(canonicalizeUrl('https://example.com/post?amp')).toBe('https://example.com/post');
+      expect(canonicalizeUrl('https://example.com/post?outputType=amp')).toBe('https://example.com/post');
+    });
+
+    test('should not treat amp hosts and paths as AMP versions', () => {
+      expect(canonicalizeUrl('https://amp.dev/documentation/guides')).toBe('https://amp.dev/documentation/guides');
+      expect(canonicalizeUrl('https://example.com/tags/amp')).toBe('https://example.com/tags/amp');
+      expect(getDedupeKey('https://example.com/a/amp')).not.toBe(getDedupeKey('https://example.com/a'));
+    });
+
+    test('should leave invalid and non-web URLs alone', () => {
+      expect(canonicalizeUrl('not a url')).toBe('not a url');
+      expect(canonicalizeUrl('mailto:a@example.com?utm_source=x')).toBe('mailto:a@example.com?utm_source=x');
+    });
+  });
+
+  describe('getDedupeKey', () => {
+    test('should ignore scheme, www, default ports and trailing slashes', () => {
+      const key = getDedupeKey('https://example.com/post');
+
+      expect(getDedupeKey('http://www.example.com/post/')).toBe(key);
+      expect(getDedupeKey('https://example.com:443/post?utm_campaign=x')).toBe(key);
+      expect(getDedupeKey('https://example.com/post?page=2')).not.toBe(key);
+      expect(getDedupeKey('https://example.com/')).toBe(getDedupeKey('http://example.com'));
+    });
+  });
+
+  describe('dedupeRows', () => {
+    test('should merge duplicates into the first row', () => {
+      const { rows, merged } = dedupeRows([
+        createRow('https://example.com/post?utm_source=twitter', { time_added: '1600000000', tags: 'news' }),
+        createRow('https://example.com/other'),
+        createRow('http://www.example.com/post/', { title: 'Copy', time_added: '1500000000', tags: 'news,tech', status: 'archive' }),
+        createRow('https://example.com/post?amp=1', { tags: 'Later' })
+      ]);
+
+      expect(merged).toBe(2);
+      // URLは最初の行の元のまま（正規化したURLは重複判定にのみ使う）
+      expect(rows).toEqual([
+        { title: 'Article', url: 'https://example.com/post?utm_source=twitter', time_added: '1500000000', tags: 'news,tech,Later', status: 'archive' },
+        createRow('https://example.com/other')
+      ]);
+    });
+
+    test('should fill a missing title from a duplicate', () => {
+      const { rows } = dedupeRows([
+        createRow('https://example.com/a', { title: '' }),
+        createRow('https://example.com/a/', { title: 'Named' })
+      ]);
+
+      expect(rows[0].title).toBe('Named');
+    });
+
+    test('should keep rows whose paths end in amp apart', () => {
+      const { rows, merged } = dedupeRows([
+        createRow('https://example.com/tags/amp'),
+        createRow('https://example.com/tags'),
+        createRow('https://amp.dev/documentation/guides'),
+        createRow('https://dev/documentation/guides')
+      ]);
+
+      expect(merged).toBe(0);
+      expect(rows.map(row => row.url)).toEqual([
+        'https://example.com/tags/amp',
+        'https://example.com/tags',
+        'https://amp.dev/documentation/guides',
+        'https://dev/documentation/guides'
+      ]);
+    });
+  });
+
+  describe('rel=canonical', () => {
+    const page = `<html><head><link rel="canonical" href="/articles/1"></head><body>
+      <article><p>${'The article body is long enough to be extracted as the main content, with commas, '.repeat(4)}</p></article>
+    </body></html>`;
+
+    test('should return the canonical link from the page', () => {
+      expect(extractMainContent(page).canonicalUrl).toBe('/articles/1');
+      expect(extractMainContent('<html><body><p>x</p></body></html>').canonicalUrl).toBeNull();
+    });
+
+    test('should resolve the canonical link against the final URL', async () => {
+      axios.get.mockResolvedValue({
+        data: Buffer.from(page),
+        headers: { 'content-type': 'text/html' },
+        request: { res: { responseUrl: 'https://example.com/go/1' } }
+      });
+
+      const result = await scrapeContent('https://short.link/abc');
+
+      expect(result.canonicalUrl).toBe('https://example.com/articles/1');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStringPromise } = require('xml2js');
+const { createNote, EnexWriter, CheckpointManager } = require('../index.js');
+
+function createRow(i) {
+  return { title: `Note ${i}`, url: `https://example.com/${i}`, time_added: '1507018057', tags: 'a,b', status: 'unread' };
+}
+
+async function readNotes(filePath) {
+  const data = await parseStringPromise(fs.readFileSync(filePath, 'utf8'));
+  return data['en-export'].note || [];
+}
+
+describe('Streaming ENEX Writer Tests', () => {
+  let tmpDir;
+  let enexPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enex-writer-'));
+    enexPath = path.join(tmpDir, 'output.enex');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should write a complete ENEX document note by note', async () => {
+    const writer = new EnexWriter(enexPath).open();
+    writer.writeNote(createNote(createRow(1), '<p>First body</p>'));
+    writer.writeNote(createNote(createRow(2)));
+    writer.close();
+
+    const xml = fs.readFileSync(enexPath, 'utf8');
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">')).toBe(true);
+    expect(xml.trim().endsWith('</en-export>')).toBe(true);
+    expect(xml).toContain('<![CDATA[');
+
+    const data = await parseStringPromise(xml);
+    expect(data['en-export'].$.application).toBe('Evernote');
+    const notes = data['en-export'].note;
+    expect(notes).toHaveLength(2);
+    expect(notes[0].title[0]).toBe('Note 1');
+    expect(notes[0].content[0]).toContain('<p>First body</p>');
+    expect(notes[0].tag).toEqual(['a', 'b']);
+    expect(writer.noteCount).toBe(2);
+    expect(writer.bytesWritten).toBe(Buffer.byteLength(xml));
+  });
+
+  test('should write an empty export', async () => {
+    const writer = new EnexWriter(enexPath).open();
+    writer.close();
+
+    expect(await readNotes(enexPath)).toEqual([]);
+  });
+
+  test('should skip notes that cannot be serialized', async () => {
+    const writer = new EnexWriter(enexPath).open();
+    const badNote = { ...createNote(createRow(1)), title: 'Bad \u0001 title' };
+
+    expect(writer.writeNote(badNote)).toBe(false);
+    expect(writer.writeNote(createNote(createRow(2)))).toBe(true);
+    writer.close();
+
+    expect(writer.skippedNotes).toHaveLength(1);
+    expect(await readNotes(enexPath)).toHaveLength(1);
+  });
+
+  test('should snapshot a valid ENEX while writing continues', async () => {
+    const snapshotPath = path.join(tmpDir, 'snapshot.enex');
+    const writer = new EnexWriter(enexPath).open();
+    writer.writeNote(createNote(createRow(1)));
+    writer.snapshot(snapshotPath);
+    writer.writeNote(createNote(createRow(2)));
+    writer.close();
+
+    expect(await readNotes(snapshotPath)).toHaveLength(1);
+    expect(await readNotes(enexPath)).toHaveLength(2);
+  });
+
+  test('should close the file when a write fails', () => {
+    const closeSpy = jest.spyOn(fs, 'closeSync');
+    const writeSpy = jest.spyOn(fs, 'writeSync').mockImplementation(() => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    try {
+      expect(() => new EnexWriter(enexPath).open()).toThrow('ENOSPC');
+      expect(closeSpy).toHaveBeenCalledTimes(1);
+
+      writeSpy.mockRestore();
+      const writer = new EnexWriter(enexPath).open();
+      jest.spyOn(fs, 'writeSync').mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+      expect(() => writer.close()).toThrow('ENOSPC');
+      expect(closeSpy).toHaveBeenCalledTimes(2);
+      expect(writer.fd).toBeNull();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should resume by truncating notes written after the checkpoint', async () => {
+    const first = new EnexWriter(enexPath).open();
+    first.writeNote(createNote(createRow(1)));
+    first.writeNote(createNote(createRow(2)));
+    const savedBytes = first.bytesWritten;
+    // チェックポイント保存後に書かれたノート（再開時に再処理される）
+    first.writeNote(createNote(createRow(3)));
+    fs.closeSync(first.fd);
+
+    const resumed = new EnexWriter(enexPath).open(savedBytes, 2);
+    resumed.writeNote(createNote(createRow(3)));
+    resumed.writeNote(createNote(createRow(4)));
+    resumed.close();
+
+    const notes = await readNotes(enexPath);
+    expect(notes.map(note => note.title[0])).toEqual(['Note 1', 'Note 2', 'Note 3', 'Note 4']);
+    expect(resumed.noteCount).toBe(4);
+  });
+
+  describe('CheckpointManager with writer', () => {
+    test('should stream notes instead of keeping them in memory', async () => {
+      const writer = new EnexWriter(`${enexPath}.partial`).open();
+      const checkpoint = new CheckpointManager(enexPath, { checkpointInterval: 2 });
+      checkpoint.attachWriter(writer);
+
+      checkpoint.updateProgress(1, 3, 0, createNote(createRow(1)));
+      checkpoint.updateProgress(2, 3, 1, createNote(createRow(2)));
+
+      expect(checkpoint.progress.processedNotes).toEqual([]);
+      expect(checkpoint.progress.notesWritten).toBe(2);
+      expect(checkpoint.progress.enexBytes).toBe(writer.bytesWritten);
+
+      // 間隔ごとにチェックポイントと中間ENEXを保存
+      const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'output.checkpoint.json'), 'utf8'));
+      expect(saved.enexBytes).toBe(writer.bytesWritten);
+      expect(await readNotes(path.join(tmpDir, 'output.checkpoint_2.enex'))).toHaveLength(2);
+      writer.close();
+    });
+
+    test('should not copy the ENEX again when no notes were written since the last snapshot', async () => {
+      const writer = new EnexWriter(`${enexPath}.partial`).open();
+      const checkpoint = new CheckpointManager(enexPath, { checkpointInterval: 1 });
+      checkpoint.attachWriter(writer);
+
+      checkpoint.updateProgress(1, 3, 0, createNote(createRow(1)));
+      checkpoint.updateProgress(2, 3, 1, null, { url: 'https://example.com/2' });
+      checkpoint.updateProgress(3, 3, 2, createNote(createRow(3)));
+      writer.close();
+
+      expect(fs.existsSync(path.join(tmpDir, 'output.checkpoint_1.enex'))).toBe(true);
+      expect(fs.existsSync(path.join(tmpDir, 'output.checkpoint_2.enex'))).toBe(false);
+      expect(await readNotes(path.join(tmpDir, 'output.checkpoint_3.enex'))).toHaveLength(2);
+    });
+
+    test('should write intermediate ENEX from stored notes without a writer', async () => {
+      const checkpoint = new CheckpointManager(enexPath);
+      checkpoint.progress.processedCount = 1;
+      checkpoint.progress.processedNotes = [createNote(createRow(1))];
+
+      checkpoint.saveIntermediateEnex();
+
+      expect(await readNotes(path.join(tmpDir, 'output.checkpoint_1.enex'))).toHaveLength(1);
+    });
+  });
+});
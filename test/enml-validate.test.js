@@ -0,0 +1,166 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStringPromise } = require('xml2js');
+const {
+  validateEnml,
+  createNote,
+  createResource,
+  CheckpointManager,
+  getQuarantineReportPath,
+  writeQuarantineReport
+} = require('../index.js');
+
+const row = { title: 'Validated', url: 'https://example.com/post', time_added: '1507018057', tags: '', status: 'unread' };
+
+describe('ENML Validation Tests', () => {
+  describe('validateEnml', () => {
+    test('should leave valid ENML unchanged', () => {
+      const enml = '<en-note><p align="center">Tom &amp; Jerry&nbsp;<a href="https://example.com">link</a></p><br/></en-note>';
+
+      const result = validateEnml(enml);
+
+      expect(result).toEqual({ valid: true, repaired: false, errors: [], enml });
+    });
+
+    test('should remove forbidden attributes and unsafe links', () => {
+      const result = validateEnml('<en-note><p id="a" class="b" onclick="run()" data-x="1">text</p><a href="javascript:alert(1)">x</a></en-note>');
+
+      expect(result.valid).toBe(true);
+      expect(result.repaired).toBe(true);
+      expect(result.enml).toBe('<en-note><p>text</p><a>x</a></en-note>');
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'Attribute id is forbidden on <p>',
+        'Attribute class is forbidden on <p>',
+        'Attribute onclick is forbidden on <p>',
+        'Attribute data-x is not allowed on <p>',
+        'Unsafe link javascript:alert(1)'
+      ]));
+    });
+
+    test('should remove img and unwrap unknown elements', () => {
+      const result = validateEnml('<en-note><section><p>a<img src="https://example.com/a.png"/></p></section><script>bad()</script></en-note>');
+
+      expect(result.enml).toBe('<en-note><p>a</p></en-note>');
+      expect(result.errors).toContain('Element <img> is not allowed');
+    });
+
+    test('should repair nesting rules', () => {
+      const result = validateEnml(
+        '<en-note><li>orphan</li><ul>stray<li>a</li></ul><table><td>cell</td></table>' +
+        '<a href="https://a.com">x<a href="https://b.com">y</a></a><p>a<div>b</div></p><span><div>c</div></span></en-note>'
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.enml).toBe(
+        '<en-note><div>orphan</div><ul><li>stray</li><li>a</li></ul><table><tr><td>cell</td></tr></table>' +
+        '<a href="https://a.com">xy</a><div>a<div>b</div></div><span>c</span></en-note>'
+      );
+      expect(result.errors).toEqual(expect.arrayContaining([
+        '<li> must be inside <ul> or <ol>',
+        'Nested <a> elements are not allowed',
+        'Block element <div> is not allowed inside <p>'
+      ]));
+    });
+
+    test('should remove en-media without a matching resource', () => {
+      const enml = '<en-note><en-media hash="abc" type="image/png"/><en-media type="image/png"/></en-note>';
+
+      expect(validateEnml(enml, { resourceHashes: ['abc'] }).enml).toBe('<en-note><en-media hash="abc" type="image/png"/></en-note>');
+      expect(validateEnml(enml, { resourceHashes: [] }).enml).toBe('<en-note/>');
+    });
+
+    test('should repair malformed XML', async () => {
+      const result = validateEnml('<en-note><p>a & b<b>bold</p></en-note>');
+
+      expect(result.valid).toBe(true);
+      expect(result.errors[0]).toMatch(/^Malformed XML/);
+      await expect(parseStringPromise(result.enml)).resolves.toBeDefined();
+    });
+
+    test('should report ENML it cannot repair', () => {
+      const enml = '<en-note><p>&bogus;</p></en-note>';
+
+      const result = validateEnml(enml);
+
+      expect(result.valid).toBe(false);
+      expect(result.repaired).toBe(false);
+      expect(result.enml).toBe(enml);
+    });
+  });
+
+  describe('createNote', () => {
+    test('should repair scraped content before writing', () => {
+      const note = createNote(row, '<p class="lead" onclick="x()">Body<img src="https://example.com/a.png"/></p>');
+
+      expect(note.content).toContain('<p>Body</p>');
+      expect(note.content).not.toContain('class=');
+      expect(note.content).not.toContain('<img');
+      expect(note.enmlReport).toMatchObject({ repaired: true, quarantined: false, url: row.url });
+    });
+
+    test('should quarantine content that cannot be repaired', () => {
+      const media = createResource(Buffer.from('image'), 'image/png', 'https://example.com/a.png');
+      const note = createNote(row, '<p>&bogus; entity</p>', [media]);
+
+      expect(note.content).not.toContain('&bogus;');
+      expect(note.content).toContain(`<a href="${row.url}">Validated</a>`);
+      expect(note.resource).toBeUndefined();
+      expect(note.enmlReport.quarantined).toBe(true);
+      expect(note.enmlReport.errors[0]).toMatch(/^Malformed XML/);
+    });
+
+    test('should not write the report into the note XML', () => {
+      const note = createNote(row, '<p>Body</p>');
+
+      expect(Object.keys(note)).not.toContain('enmlReport');
+      expect(note.enmlReport).toMatchObject({ repaired: false, quarantined: false });
+    });
+  });
+
+  describe('quarantine report', () => {
+    let tmpDir;
+    let outputPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enml-validate-'));
+      outputPath = path.join(tmpDir, 'output.enex');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should count repaired and quarantined notes', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const checkpoint = new CheckpointManager(outputPath);
+
+      checkpoint.updateProgress(1, 3, 0, createNote(row, '<p id="x">Fixed</p>'));
+      checkpoint.updateProgress(2, 3, 1, createNote(row, '<p>&bogus;</p>'));
+      checkpoint.updateProgress(3, 3, 2, createNote(row, '<p>Fine</p>'));
+      checkpoint.showStats();
+
+      const stats = checkpoint.progress.enmlStats;
+      expect(stats.repaired).toBe(1);
+      expect(stats.quarantined).toHaveLength(1);
+      expect(stats.quarantined[0]).toMatchObject({ index: 1, url: row.url, title: row.title });
+      expect(consoleSpy).toHaveBeenCalledWith('  ENML repaired: 1, quarantined: 1');
+      consoleSpy.mockRestore();
+    });
+
+    test('should write and remove the quarantine report', () => {
+      const reportPath = getQuarantineReportPath(outputPath);
+      expect(reportPath).toBe(path.join(tmpDir, 'output.quarantine.json'));
+
+      expect(writeQuarantineReport(outputPath, [{ index: 0, url: row.url, errors: ['Malformed XML'] }])).toBe(reportPath);
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).count).toBe(1);
+
+      expect(writeQuarantineReport(outputPath, [])).toBeNull();
+      expect(fs.existsSync(reportPath)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const { extractMainContent } = require('../index.js');
+
+describe('Main Content Extraction Tests', () => {
+  const articleParagraphs = `
+    <p>First paragraph of the real article, with commas, and enough text to count as content.</p>
+    <p>Second paragraph of the real article, also long enough to be scored as real text.</p>
+    <p>Third paragraph continues the story, with more words, commas, and detail for scoring.</p>
+  `;
+
+  test('should prefer the densest article over a generic content wrapper', () => {
+    const html = `
+      <html><body>
+        <div class="content">
+          <div class="promo-links">
+            <a href="/a">Link one in the boilerplate area</a>
+            <a href="/b">Another link in the boilerplate area</a>
+          </div>
+          <div id="story" class="post-body">${articleParagraphs}</div>
+        </div>
+      </body></html>
+    `;
+
+    const { html: content, report } = extractMainContent(html);
+
+    expect(report.winner).toBe('div#story.post-body');
+    expect(report.fallback).toBe(false);
+    expect(report.paragraphCount).toBe(3);
+    expect(content).toContain('First paragraph of the real article');
+    expect(content).not.toContain('boilerplate area');
+  });
+
+  test('should not depend on selector order', () => {
+    const html = `
+      <html><body>
+        <article><div class="content"><p>Short teaser text only.</p></div></article>
+        <div class="entry">${articleParagraphs}</div>
+      </body></html>
+    `;
+
+    const { report } = extractMainContent(html);
+
+    expect(report.winner).toBe('div.entry');
+  });
+
+  test('should penalize link-heavy candidates', () => {
+    const html = `
+      <html><body>
+        <div class="links">
+          <p><a href="/1">A paragraph that is entirely made of a link, which is long enough.</a></p>
+          <p><a href="/2">Another paragraph made of a link, which is also long enough, too.</a></p>
+        </div>
+        <div class="text"><p>Real prose that readers care about, with some commas, and plenty of words.</p></div>
+      </body></html>
+    `;
+
+    const { report } = extractMainContent(html);
+
+    expect(report.winner).toBe('div.text');
+    const linkCandidate = report.topCandidates.find(candidate => candidate.element === 'div.links');
+    expect(linkCandidate.linkDensity).toBeGreaterThan(0.9);
+    expect(linkCandidate.score).toBeLessThan(report.score);
+  });
+
+  test('should merge sibling paragraphs that belong to the article', () => {
+    const html = `
+      <html><body>
+        <div id="wrapper">
+          <div class="article-body">${articleParagraphs}</div>
+          <p>A trailing paragraph that belongs to the article but sits outside the container.</p>
+          <p><a href="/next">Next article link that is long enough to be considered here</a></p>
+        </div>
+      </body></html>
+    `;
+
+    const { html: content, report } = extractMainContent(html);
+
+    expect(report.siblingsMerged).toBe(1);
+    expect(content).toContain('A trailing paragraph');
+    expect(content).not.toContain('Next article link');
+  });
+
+  test('should drop boilerplate regions before scoring', () => {
+    const html = `
+      <html><body>
+        <nav><p>Navigation menu text that is long enough to be a paragraph candidate.</p></nav>
+        <div class="comments"><p>Comment text that is long enough to be a paragraph candidate too.</p></div>
+        <main>${articleParagraphs}</main>
+      </body></html>
+    `;
+
+    const { html: content, report } = extractMainContent(html);
+
+    expect(report.winner).toBe('main');
+    expect(content).not.toContain('Navigation menu');
+    expect(content).not.toContain('Comment text');
+  });
+
+  test('should fall back to body when no candidate is found', () => {
+    const { html: content, report } = extractMainContent('<html><body><p>Too short</p></body></html>');
+
+    expect(report.fallback).toBe(true);
+    expect(report.winner).toBe('body');
+    expect(report.candidatesConsidered).toBe(0);
+    expect(content).toContain('Too short');
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+  processRecord,
+  createFailureEntry,
+  loadInputRows,
+  writeFailureReport,
+  getFailureReportPaths
+} = require('../index.js');
+
+describe('Failure Report Tests', () => {
+  let tmpDir;
+  let outputPath;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'failure-report-'));
+    outputPath = path.join(tmpDir, 'output.enex');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getFailureReportPaths', () => {
+    test('should place reports next to the output ENEX', () => {
+      expect(getFailureReportPaths('/data/out.enex')).toEqual({
+        json: '/data/out.failures.json',
+        csv: '/data/out.failures.csv'
+      });
+    });
+
+    test('should not overwrite outputs without .enex extension', () => {
+      expect(getFailureReportPaths('/data/out').json).toBe('/data/out.failures.json');
+    });
+  });
+
+  describe('createFailureEntry', () => {
+    test('should record status, error class and attempted tiers', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValue(error);
+      const row = { title: 'Gone', url: 'https://example.com/gone', time_added: '1507018057', tags: 'a,b', status: 'unread' };
+
+      const result = await processRecord(row, 4, {}, { scrape: true });
+      const entry = createFailureEntry(row, 4, result);
+
+      expect(entry.index).toBe(4);
+      expect(entry.line).toBeNull();
+      expect(entry.url).toBe('https://example.com/gone');
+      expect(entry.row).toEqual(row);
+      expect(entry.httpStatus).toBe(404);
+      expect(entry.errorClass).toBe('http');
+      expect(entry.errorMessage).toBe('Request failed with status code 404');
+      expect(entry.attempts).toHaveLength(1);
+      expect(entry.attempts[0]).toMatchObject({ method: 'lightweight', status: 'failed', httpStatus: 404 });
+    });
+
+    test('should report the line in the input file after rows are dropped', async () => {
+      const inputPath = path.join(tmpDir, 'input.csv');
+      fs.writeFileSync(inputPath, [
+        'title,url,time_added,tags,status',
+        'Skipped,https://example.com/skipped,1507018057,,unread',
+        'Kept,https://example.com/kept,1507018057,,unread'
+      ].join('\n'));
+      const { rows } = await loadInputRows(inputPath, { accept: row => row.title !== 'Skipped' });
+
+      const entry = createFailureEntry(rows[0], 0, {}, new Error('failed'));
+
+      expect(entry.index).toBe(0);
+      expect(entry.line).toBe(3);
+      expect(entry.file).toBeNull();
+      expect(entry.row).not.toHaveProperty('inputLine');
+    });
+
+    test('should classify errors without a scrape result', () => {
+      const error = new Error('getaddrinfo ENOTFOUND example.invalid');
+      error.code = 'ENOTFOUND';
+      const entry = createFailureEntry({ url: 'https://example.invalid/' }, 0, {}, error);
+
+      expect(entry.errorClass).toBe('dns');
+      expect(entry.errorCode).toBe('ENOTFOUND');
+      expect(entry.attempts).toEqual([]);
+    });
+  });
+
+  describe('writeFailureReport', () => {
+    const failures = [
+      {
+        index: 2,
+        line: 4,
+        url: 'https://example.com/slow',
+        row: { title: 'Slow, "quoted"', url: 'https://example.com/slow', time_added: '1507018057', tags: 'x', status: 'unread' },
+        status: 'failed',
+        httpStatus: null,
+        errorClass: 'timeout',
+        errorCode: 'ECONNABORTED',
+        errorMessage: 'timeout of 7000ms exceeded',
+        finalUrl: 'https://example.com/slow',
+        attempts: [{ method: 'lightweight', status: 'failed' }, { method: 'browser', status: 'failed' }],
+        failedAt: '2024-01-01T00:00:00.000Z'
+      },
+      {
+        index: 5,
+        line: 7,
+        url: 'https://example.com/empty',
+        row: { title: 'Empty', url: 'https://example.com/empty', time_added: '1507018058', tags: '', status: 'archive' },
+        status: 'no_content',
+        httpStatus: 200,
+        errorClass: 'extraction',
+        errorCode: null,
+        errorMessage: null,
+        finalUrl: 'https://example.com/empty',
+        attempts: [{ method: 'lightweight', status: 'no_content' }],
+        failedAt: '2024-01-01T00:00:01.000Z'
+      }
+    ];
+
+    test('should write a JSON report with every failure', () => {
+      const paths = writeFailureReport(outputPath, failures);
+      const report = JSON.parse(fs.readFileSync(paths.json, 'utf8'));
+
+      expect(report.count).toBe(2);
+      expect(report.output).toBe(outputPath);
+      expect(report.failures[1].errorClass).toBe('extraction');
+      expect(report.failures[0].row.title).toBe('Slow, "quoted"');
+    });
+
+    test('should write a CSV report keeping the original columns', () => {
+      const paths = writeFailureReport(outputPath, failures);
+      const lines = fs.readFileSync(paths.csv, 'utf8').trim().split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toBe('title,url,time_added,tags,status,record_index,http_status,error_class,error_code,error_message,attempted_methods,final_url,failed_at');
+      expect(lines[1]).toContain('"Slow, ""quoted"""');
+      expect(lines[1]).toContain(',2,,timeout,ECONNABORTED,timeout of 7000ms exceeded,lightweight|browser,');
+      expect(lines[2]).toContain(',5,200,extraction,,,lightweight,');
+    });
+
+    test('should accept URL strings from old checkpoints', () => {
+      const paths = writeFailureReport(outputPath, ['https://example.com/legacy']);
+      const report = JSON.parse(fs.readFileSync(paths.json, 'utf8'));
+
+      expect(report.failures[0].url).toBe('https://example.com/legacy');
+      expect(fs.readFileSync(paths.csv, 'utf8')).toContain('https://example.com/legacy');
+    });
+  });
+});
@@ -4,7 +4,8 @@ const {
   escapeHtml,
   createNote,
   createEnexStructure,
-  addScrapingMethodInfo
+  addScrapingMethodInfo,
+  serializeNote
 } = require('../index.js');
 
 describe('Unit Tests', () => {
@@ -123,7 +124,9 @@ describe('Unit Tests', () => {
       };
       
       const result = createNote(specialRow);
-      expect(result.title).toBe('Article with &lt;HTML&gt; &amp; &quot;quotes&quot;');
+      // タイトルはXMLとして書き込むときに1回だけエスケープされる
+      expect(result.title).toBe('Article with <HTML> & "quotes"');
+      expect(serializeNote(result)).toContain('<title>Article with &lt;HTML&gt; &amp; "quotes"</title>');
       expect(result.content).toContain('&lt;HTML&gt; &amp; &quot;quotes&quot;');
     });
 
@@ -233,7 +236,8 @@ describe('Integration Tests', () => {
       
       // XML構造が正しく生成されることを確認
       expect(enexData['en-export'].note).toHaveLength(1);
-      expect(enexData['en-export'].note[0].title).toBe('Article with &lt;HTML&gt; &amp; &quot;quotes&quot;');
+      expect(enexData['en-export'].note[0].title).toBe('Article with <HTML> & "quotes"');
+      expect(serializeNote(note)).toContain('<title>Article with &lt;HTML&gt; &amp; "quotes"</title>');
       expect(enexData['en-export'].note[0].content).toContain('[Scraped via HTTP]');
     });
   });
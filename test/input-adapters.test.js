@@ -0,0 +1,229 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { detectInputFormat, loadInputRows } = require('../index.js');
+
+const POCKET_CSV = [
+  'title,url,time_added,tags,status',
+  'Pocket Article,https://example.com/pocket,1507018057,reading|tech,unread'
+].join('\n');
+
+const INSTAPAPER_CSV = [
+  'URL,Title,Selection,Folder,Timestamp,Tags',
+  'https://example.com/a,"Article A",,Unread,1507018057,"[""reading"",""tech""]"',
+  'https://example.com/b,"Article B","quoted text",Archive,1507018058,[]',
+  'https://example.com/c,"Article C",,Recipes,1507018059,'
+].join('\n');
+
+const RAINDROP_CSV = [
+  'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite',
+  '1,Raindrop One,,An excerpt,https://example.com/r1,Unsorted,"news, tech",2017-10-03T08:07:37.000Z,,,false',
+  '2,Raindrop Two,,,https://example.com/r2,Work,,2017-10-04T08:07:37.000Z,,,true'
+].join('\n');
+
+const BOOKMARKS_HTML = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1507018000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/bar" ADD_DATE="1507018057">On the bar</A>
+        <DT><H3 ADD_DATE="1507018000">Dev</H3>
+        <DL><p>
+            <DT><A HREF="https://example.com/dev" ADD_DATE="1507018058" TAGS="js,node">Dev &amp; Ops</A>
+            <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://example.com/top">Top level</A>
+</DL><p>
+`;
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html>
+<head><meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+<title>Pocket Export</title></head>
+<body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://example.com/unread" time_added="1507018057" tags="reading,tech">Unread &amp; New</a></li>
+</ul>
+
+<h1>Read Archive</h1>
+<ul>
+<li><a href="https://example.com/read" time_added="1507018058" tags="">Already Read</a></li>
+</ul>
+</body>
+</html>
+`;
+
+// ZIPファイルを作成（deflate: trueのエントリは圧縮して格納）
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, content, deflate }) => {
+    const data = Buffer.from(content);
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, stored);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('Input Adapter Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-adapters-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeInput(name, content) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  describe('detectInputFormat', () => {
+    test('should detect each export from its contents', () => {
+      // 拡張子ではなく中身で判定する
+      expect(detectInputFormat(writeInput('a.txt', POCKET_CSV))).toBe('pocket');
+      expect(detectInputFormat(writeInput('b.txt', `\uFEFF${INSTAPAPER_CSV}`))).toBe('instapaper');
+      expect(detectInputFormat(writeInput('c.txt', RAINDROP_CSV))).toBe('raindrop');
+      expect(detectInputFormat(writeInput('d.txt', BOOKMARKS_HTML))).toBe('bookmarks');
+      expect(detectInputFormat(writeInput('e.txt', POCKET_HTML))).toBe('pocket-html');
+      expect(detectInputFormat(writeInput('f.bin', createZip([{ name: 'part_000000.csv', content: POCKET_CSV }])))).toBe('pocket-zip');
+    });
+
+    test('should reject unknown files', () => {
+      const filePath = writeInput('unknown.csv', 'name,email\nfoo,foo@example.com\n');
+
+      expect(() => detectInputFormat(filePath)).toThrow(/Unrecognized input format/);
+    });
+  });
+
+  describe('loadInputRows', () => {
+    test('should keep Pocket rows unchanged', async () => {
+      const { format, rows } = await loadInputRows(writeInput('pocket.csv', POCKET_CSV));
+
+      expect(format).toBe('pocket');
+      expect(rows).toEqual([{
+        title: 'Pocket Article',
+        url: 'https://example.com/pocket',
+        time_added: '1507018057',
+        tags: 'reading|tech',
+        status: 'unread'
+      }]);
+    });
+
+    test('should normalize Instapaper rows', async () => {
+      const { format, rows } = await loadInputRows(writeInput('instapaper.csv', INSTAPAPER_CSV));
+
+      expect(format).toBe('instapaper');
+      expect(rows).toEqual([
+        { title: 'Article A', url: 'https://example.com/a', time_added: '1507018057', tags: 'reading,tech', status: 'unread' },
+        { title: 'Article B', url: 'https://example.com/b', time_added: '1507018058', tags: '', status: 'archive' },
+        { title: 'Article C', url: 'https://example.com/c', time_added: '1507018059', tags: 'Recipes', status: 'unread' }
+      ]);
+    });
+
+    test('should normalize Raindrop rows', async () => {
+      const { rows } = await loadInputRows(writeInput('raindrop.csv', RAINDROP_CSV));
+
+      expect(rows).toEqual([
+        { title: 'Raindrop One', url: 'https://example.com/r1', time_added: '1507018057', tags: 'news,tech', status: 'unread', favorite: 'false' },
+        { title: 'Raindrop Two', url: 'https://example.com/r2', time_added: '1507104457', tags: 'Work', status: 'unread', favorite: 'true' }
+      ]);
+    });
+
+    test('should read bookmarks with their folders as tags', async () => {
+      const { format, rows } = await loadInputRows(writeInput('bookmarks.html', BOOKMARKS_HTML));
+
+      expect(format).toBe('bookmarks');
+      expect(rows).toEqual([
+        { title: 'On the bar', url: 'https://example.com/bar', time_added: '1507018057', tags: '', status: 'unread' },
+        { title: 'Dev & Ops', url: 'https://example.com/dev', time_added: '1507018058', tags: 'js,node,Dev', status: 'unread' },
+        { title: 'Top level', url: 'https://example.com/top', time_added: '', tags: '', status: 'unread' }
+      ]);
+    });
+
+    test('should map Pocket HTML sections to status', async () => {
+      const { format, rows } = await loadInputRows(writeInput('ril_export.html', POCKET_HTML));
+
+      expect(format).toBe('pocket-html');
+      expect(rows).toEqual([
+        { title: 'Unread & New', url: 'https://example.com/unread', time_added: '1507018057', tags: 'reading,tech', status: 'unread' },
+        { title: 'Already Read', url: 'https://example.com/read', time_added: '1507018058', tags: '', status: 'archive' }
+      ]);
+    });
+
+    test('should merge the CSV parts of a Pocket ZIP export in order', async () => {
+      const header = 'title,url,time_added,cursor,tags,status';
+      const zipPath = path.join(tmpDir, 'pocket.zip');
+      fs.writeFileSync(zipPath, createZip([
+        { name: 'export/part_000010.csv', content: `${header}\nThird,https://example.com/3,3,c,,archive\n`, deflate: true },
+        { name: 'export/', content: '' },
+        { name: 'export/part_000002.csv', content: `${header}\nSecond,https://example.com/2,2,b,,unread\n`, deflate: true },
+        { name: 'export/annotations/part_000000.json', content: '[]' },
+        { name: 'export/part_000000.csv', content: `${header}\nFirst,https://example.com/1,1,a,x|y,unread\n` }
+      ]));
+
+      const { format, rows } = await loadInputRows(zipPath);
+
+      expect(format).toBe('pocket-zip');
+      expect(rows.map(row => row.title)).toEqual(['First', 'Second', 'Third']);
+      expect(rows[0].tags).toBe('x,y');
+      expect(rows[2]).toMatchObject({ url: 'https://example.com/3', status: 'archive' });
+
+      const limited = await loadInputRows(zipPath, { limit: 2 });
+      expect(limited.rows.map(row => row.title)).toEqual(['First', 'Second']);
+    });
+
+    test('should reject ZIP files without Pocket CSV parts', async () => {
+      const zipPath = path.join(tmpDir, 'other.zip');
+      fs.writeFileSync(zipPath, createZip([{ name: 'readme.txt', content: 'hello' }]));
+
+      await expect(loadInputRows(zipPath)).rejects.toThrow('No part_*.csv files found');
+    });
+
+    test('should honor the limit and an explicit format', async () => {
+      const filePath = writeInput('export.csv', INSTAPAPER_CSV);
+
+      const { rows } = await loadInputRows(filePath, { format: 'instapaper', limit: 2 });
+
+      expect(rows.map(row => row.url)).toEqual(['https://example.com/a', 'https://example.com/b']);
+      await expect(loadInputRows(filePath, { format: 'delicious' })).rejects.toThrow('Unknown input format: delicious');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRowFilter, loadInputRows } = require('../index.js');
+
+// 2022-12-31, 2023-06-01, 2024-01-01（UTC）
+const DEC_2022 = String(Date.UTC(2022, 11, 31) / 1000);
+const JUN_2023 = String(Date.UTC(2023, 5, 1) / 1000);
+const JAN_2024 = String(Date.UTC(2024, 0, 1) / 1000);
+
+const rows = [
+  { title: 'A', url: 'https://www.example.com/a', time_added: JUN_2023, tags: 'Research,ml', status: 'unread' },
+  { title: 'B', url: 'https://blog.example.com/b', time_added: DEC_2022, tags: 'research', status: 'archive' },
+  { title: 'C', url: 'https://news.site.org/c', time_added: JUN_2023, tags: 'news', status: 'unread' },
+  { title: 'D', url: 'https://example.net/d', time_added: JAN_2024, tags: 'research,draft', status: 'unread' },
+  { title: 'E', url: 'https://notexample.com/e', time_added: JUN_2023, tags: '', status: 'unread' }
+];
+
+function apply(filterOptions) {
+  const filter = createRowFilter(filterOptions);
+  return { titles: rows.filter(filter.accept).map(row => row.title), removed: filter.removed, active: filter.active };
+}
+
+describe('Input Filter Tests', () => {
+  test('should keep every row without filters', () => {
+    const result = apply({});
+
+    expect(result.titles).toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect(result.active).toBe(false);
+  });
+
+  test('should filter by status', () => {
+    expect(apply({ status: 'unread' }).titles).toEqual(['A', 'C', 'D', 'E']);
+    expect(apply({ status: 'archive,unread' }).titles).toHaveLength(5);
+  });
+
+  test('should filter by tags, ignoring case', () => {
+    expect(apply({ tag: 'research' }).titles).toEqual(['A', 'B', 'D']);
+    expect(apply({ tag: 'research', excludeTag: 'Draft' }).titles).toEqual(['A', 'B']);
+  });
+
+  test('should filter by date added', () => {
+    // 2023年に追加した項目
+    expect(apply({ addedAfter: '2023-01-01', addedBefore: '2024-01-01' }).titles).toEqual(['A', 'C', 'E']);
+    expect(apply({ addedAfter: '2024-01-01' }).titles).toEqual(['D']);
+    expect(() => createRowFilter({ addedAfter: 'someday' })).toThrow('Invalid --added-after date: someday');
+  });
+
+  test('should match domains including subdomains', () => {
+    expect(apply({ domain: 'example.com' }).titles).toEqual(['A', 'B']);
+    expect(apply({ excludeDomain: 'example.com, site.org' }).titles).toEqual(['D', 'E']);
+  });
+
+  test('should count rows removed by the first failing filter', () => {
+    const result = apply({ status: 'unread', tag: 'research', excludeDomain: 'example.net' });
+
+    expect(result.titles).toEqual(['A']);
+    expect(result.removed).toEqual({ '--status': 1, '--tag': 2, '--exclude-domain': 1 });
+  });
+
+  test('should apply the limit to the rows that pass the filter', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-filters-'));
+    try {
+      const filePath = path.join(tmpDir, 'pocket.csv');
+      fs.writeFileSync(filePath, ['title,url,time_added,tags,status', ...rows.map(row => [
+        row.title, row.url, row.time_added, `"${row.tags}"`, row.status
+      ].join(','))].join('\n'));
+      const filter = createRowFilter({ status: 'unread' });
+
+      const result = await loadInputRows(filePath, { limit: 2, accept: filter.accept });
+
+      expect(result.rows.map(row => row.title)).toEqual(['A', 'C']);
+      expect(filter.removed['--status']).toBe(1);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadInputRows,
+  parseColumnMap,
+  validateInputRows,
+  getInvalidRowsReportPath,
+  writeInvalidRowsReport
+} = require('../index.js');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+describe('Input Validation Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-validation-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeInput(name, content) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  describe('parseColumnMap', () => {
+    test('should parse field=column pairs', () => {
+      expect(parseColumnMap('url=link, title = name,time_added=Saved At')).toEqual({
+        url: 'link',
+        title: 'name',
+        time_added: 'Saved At'
+      });
+      expect(parseColumnMap(undefined)).toEqual({});
+    });
+
+    test('should reject malformed entries and unknown fields', () => {
+      expect(() => parseColumnMap('url')).toThrow('Invalid --map entry: url');
+      expect(() => parseColumnMap('author=by')).toThrow('Unknown --map field: author');
+    });
+  });
+
+  describe('column map', () => {
+    test('should read a custom CSV through the column map', async () => {
+      const filePath = writeInput('links.csv', 'Name,Link,Saved\nFirst,https://example.com/1,1507018057\n');
+
+      const { format, rows } = await loadInputRows(filePath, { columnMap: parseColumnMap('url=link,title=name,time_added=saved') });
+
+      expect(format).toBe('pocket');
+      expect(rows[0]).toMatchObject({ title: 'First', url: 'https://example.com/1', time_added: '1507018057' });
+    });
+
+    test('should override a column of a detected export', async () => {
+      const filePath = writeInput('instapaper.csv', 'URL,Title,Selection,Folder,Timestamp,Original\nhttps://example.com/short,A,,Unread,1507018057,https://example.com/long\n');
+
+      const { format, rows } = await loadInputRows(filePath, { columnMap: { url: 'original' } });
+
+      expect(format).toBe('instapaper');
+      expect(rows[0].url).toBe('https://example.com/long');
+    });
+  });
+
+  describe('line numbers', () => {
+    test('should record the line each CSV row starts on', async () => {
+      const filePath = writeInput('pocket.csv', [
+        'title,url,time_added,tags,status',
+        'One,https://example.com/1,1507018057,,unread',
+        '"Two',
+        'lines",https://example.com/2,1507018057,,unread',
+        '',
+        'Three,https://example.com/3,1507018057,,unread'
+      ].join('\n'));
+
+      const { rows } = await loadInputRows(filePath);
+
+      expect(rows.map(row => row.inputLine)).toEqual([2, 3, 6]);
+      // 行番号はレポートに書き出す項目に含めない
+      expect(Object.keys(rows[0])).toEqual(['title', 'url', 'time_added', 'tags', 'status']);
+    });
+
+    test('should record the line of each link in HTML exports', async () => {
+      const filePath = writeInput('ril_export.html', '<title>Pocket Export</title>\n<h1>Unread</h1>\n<ul>\n<li><a href="https://example.com/1" time_added="1">One</a></li>\n\n<li><a href="https://example.com/2" time_added="2">Two</a></li>\n</ul>\n');
+
+      const { rows } = await loadInputRows(filePath);
+
+      expect(rows.map(row => row.inputLine)).toEqual([4, 6]);
+    });
+  });
+
+  describe('validateInputRows', () => {
+    async function loadRows() {
+      const filePath = writeInput('pocket.csv', [
+        'title,url,time_added,tags,status',
+        'Good,https://example.com/good,1507018057,,unread',
+        'No URL,,1507018057,,unread',
+        'Bad date,https://example.com/date,yesterday,,archive',
+        'ISO date,example.com/iso,2017-10-03T08:07:37Z,,read',
+        'Not a link,mailto:someone@example.com,1507018057,,unread'
+      ].join('\n'));
+      return (await loadInputRows(filePath)).rows;
+    }
+
+    test('should fix what it can and skip the rest', async () => {
+      const { rows, invalid } = validateInputRows(await loadRows(), { policy: 'fix', now: NOW });
+
+      expect(rows.map(row => row.title)).toEqual(['Good', 'Bad date', 'ISO date']);
+      expect(rows[1].time_added).toBe(String(NOW / 1000));
+      expect(rows[2]).toMatchObject({ url: 'https://example.com/iso', time_added: '1507018057', status: 'archive' });
+
+      expect(invalid).toEqual([
+        expect.objectContaining({ line: 3, location: 'line 3', errors: ['missing url'], action: 'skipped' }),
+        expect.objectContaining({ line: 4, errors: ['time_added "yesterday" is not a UNIX timestamp'], action: 'fixed' }),
+        expect.objectContaining({
+          line: 5,
+          errors: [
+            'url "example.com/iso" is not an http(s) URL',
+            'time_added "2017-10-03T08:07:37Z" is not a UNIX timestamp'
+          ],
+          action: 'fixed'
+        }),
+        expect.objectContaining({ line: 6, url: 'mailto:someone@example.com', action: 'skipped' })
+      ]);
+    });
+
+    test('should skip every invalid row', async () => {
+      const rows = await loadRows();
+
+      const result = validateInputRows(rows, { policy: 'skip' });
+
+      expect(result.rows.map(row => row.title)).toEqual(['Good']);
+      expect(result.invalid.every(entry => entry.action === 'skipped')).toBe(true);
+      // スキップした行は変更しない
+      expect(rows[2].time_added).toBe('yesterday');
+    });
+
+    test('should abort with line numbers', async () => {
+      const rows = await loadRows();
+
+      expect(() => validateInputRows(rows, { policy: 'abort' })).toThrow(/^4 invalid input row\(s\):\n {2}line 3: missing url\n/);
+      expect(() => validateInputRows(rows, { policy: 'ignore' })).toThrow('Unknown invalid row policy: ignore');
+    });
+
+    test('should map status synonyms instead of treating them as invalid', () => {
+      const statuses = ['0', '1', 'read', 'archived', 'Archive', 'unread', 'someday'];
+      const createRows = () => statuses.map(status => ({ title: status, url: 'https://example.com/', time_added: '1507018057', tags: '', status }));
+
+      const { rows: valid, invalid } = validateInputRows(createRows(), { policy: 'fix' });
+
+      expect(valid.map(row => row.status)).toEqual(['unread', 'archive', 'archive', 'archive', 'archive', 'unread', 'unread']);
+      expect(invalid).toEqual([expect.objectContaining({ errors: ['unknown status "someday"'], action: 'fixed' })]);
+      // 別の表記はskipでも除外しない
+      expect(validateInputRows(createRows(), { policy: 'skip' }).rows.map(row => row.title)).toEqual(statuses.slice(0, 6));
+    });
+
+    test('should report the part file of ZIP rows', () => {
+      const row = { title: 'x', url: '', time_added: '1', tags: '', status: 'unread' };
+      Object.defineProperty(row, 'inputLine', { value: 7 });
+      Object.defineProperty(row, 'inputFile', { value: 'part_000001.csv' });
+
+      const { invalid } = validateInputRows([row]);
+
+      expect(invalid[0].location).toBe('part_000001.csv line 7');
+    });
+  });
+
+  describe('invalid row report', () => {
+    test('should write and remove the report', () => {
+      const outputPath = path.join(tmpDir, 'output.enex');
+      const reportPath = getInvalidRowsReportPath(outputPath);
+      expect(reportPath).toBe(path.join(tmpDir, 'output.invalid-rows.json'));
+
+      expect(writeInvalidRowsReport(outputPath, [{ index: 1, line: 3, errors: ['missing url'], action: 'skipped' }])).toBe(reportPath);
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).rows[0].line).toBe(3);
+
+      expect(writeInvalidRowsReport(outputPath, [])).toBeNull();
+      expect(fs.existsSync(reportPath)).toBe(false);
+    });
+  });
+});
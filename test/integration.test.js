@@ -10,7 +10,7 @@ const axios = require('axios');
 const fs = require('fs');
 
 // 関数を個別にテストするため、直接インポート
-const { escapeHtml, formatDate, createNote, createEnexStructure } = require('../index.js');
+const { escapeHtml, formatDate, createNote, createEnexStructure, serializeNote } = require('../index.js');
 
 describe('Integration Tests', () => {
   beforeEach(() => {
@@ -29,10 +29,9 @@ describe('Integration Tests', () => {
       
       const note = createNote(specialRow);
       
-      // HTMLエスケープが正しく適用されていることを確認
-      expect(note.title).toContain('&lt;script&gt;');
-      expect(note.title).toContain('&amp;');
-      expect(note.title).toContain('&quot;');
+      // タイトルはXMLとして書き込むときに1回だけエスケープされる
+      expect(note.title).toBe(specialRow.title);
+      expect(serializeNote(note)).toContain('<title>Article with &lt;script&gt;alert("XSS")&lt;/script&gt; &amp; special chars</title>');
       expect(note.content).toContain('&lt;script&gt;');
       expect(note.content).not.toContain('<script>alert');
     });
@@ -60,10 +59,13 @@ describe('Integration Tests', () => {
       
       expect(enexData['en-export'].note).toHaveLength(2);
       
-      // すべてのタイトルが適切にエスケープされていることを確認
+      // すべてのタイトルがXMLとして1回だけエスケープされることを確認
       notes.forEach((note, index) => {
-        expect(note.title).not.toContain('<script>');
-        expect(note.title).not.toContain('"value"');
+        expect(note.title).toBe(problematicRows[index].title);
+        const xml = serializeNote(note);
+        expect(xml.match(/<title>.*<\/title>/)[0]).not.toContain('&amp;');
+        expect(xml).not.toContain('&amp;lt;');
+        expect(xml).not.toContain('&amp;amp;');
         
         // 各ノートで異なるエスケープパターンをチェック
         if (index === 0) {
@@ -154,7 +156,8 @@ describe('Integration Tests', () => {
       expect(note.tag).toEqual(['complete', 'test', 'data', 'integrity']);
       expect(note.content).toContain('Complete Test Article');
       expect(note.content).toContain('https://example.com/complete');
-      expect(note.content).toContain('archived');
+      // ステータスは本文ではなくノートブックやタグで表す
+      expect(note.content).not.toContain('archived');
     });
 
     test('should handle edge case data values', () => {
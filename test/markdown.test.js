@@ -0,0 +1,191 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNote, createResource, enmlToMarkdown, MarkdownWriter, CheckpointManager } = require('../index.js');
+
+function createRow(overrides = {}) {
+  return {
+    title: 'Markdown: Test?',
+    url: 'https://example.com/article',
+    time_added: '1507018057',
+    tags: 'reading,tech',
+    status: 'unread',
+    ...overrides
+  };
+}
+
+describe('Markdown Output Tests', () => {
+  describe('enmlToMarkdown', () => {
+    test('should convert headings, paragraphs and inline formatting', () => {
+      const markdown = enmlToMarkdown('<h2>Intro</h2><p>Some <b>bold</b>, <em>em</em> and <code>code</code><br/>next line</p>');
+
+      expect(markdown).toBe('## Intro\n\nSome **bold**, *em* and `code`  \nnext line');
+    });
+
+    test('should convert links, lists and quotes', () => {
+      const markdown = enmlToMarkdown(
+        '<p><a href="https://example.com/a">A link</a></p>' +
+        '<ul><li>one</li><li>two<ul><li>nested</li></ul></li></ul>' +
+        '<ol start="3"><li>third</li></ol>' +
+        '<blockquote><p>quoted</p><p>more</p></blockquote>'
+      );
+
+      expect(markdown).toBe(
+        '[A link](https://example.com/a)\n\n' +
+        '- one\n- two\n  - nested\n\n' +
+        '3. third\n\n' +
+        '> quoted\n>\n> more'
+      );
+    });
+
+    test('should keep code blocks verbatim', () => {
+      const markdown = enmlToMarkdown('<pre><code>if (a &lt; b) {\n  return `x`;\n}</code></pre>');
+
+      expect(markdown).toBe('```\nif (a < b) {\n  return `x`;\n}\n```');
+    });
+
+    test('should convert tables', () => {
+      const markdown = enmlToMarkdown('<table><tr><th>Name</th><th>A|B</th></tr><tr><td>x</td><td>1<br/>2</td></tr></table>');
+
+      expect(markdown).toBe('| Name | A\\|B |\n| --- | --- |\n| x | 1<br>2 |');
+    });
+
+    test('should escape Markdown syntax in text', () => {
+      expect(enmlToMarkdown('<p># not a heading *or* [link]</p><p>- not a list</p>'))
+        .toBe('\\# not a heading \\*or\\* \\[link\\]\n\n\\- not a list');
+    });
+
+    test('should link embedded media to attachments', () => {
+      const mediaLinks = new Map([
+        ['aaa', { path: 'attachments/aaa.png', mime: 'image/png' }],
+        ['bbb', { path: 'attachments/bbb-report.pdf', mime: 'application/pdf' }]
+      ]);
+
+      const markdown = enmlToMarkdown('<p><en-media hash="aaa" type="image/png"/></p><en-media hash="bbb" type="application/pdf"/><en-media hash="ccc" type="image/png"/>', mediaLinks);
+
+      expect(markdown).toBe('![](attachments/aaa.png)\n\n[bbb-report.pdf](attachments/bbb-report.pdf)');
+    });
+  });
+
+  describe('MarkdownWriter', () => {
+    let tmpDir;
+    let vaultPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-'));
+      vaultPath = path.join(tmpDir, 'vault');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should write one file per note with front matter', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+
+      expect(writer.writeNote(createNote(createRow(), '<p>Article body</p>', [], 'lightweight'))).toBe(true);
+      writer.close();
+
+      const markdown = fs.readFileSync(path.join(vaultPath, 'Markdown Test.md'), 'utf8');
+      expect(markdown).toBe([
+        '---',
+        'title: "Markdown: Test?"',
+        'url: "https://example.com/article"',
+        'tags: ["reading","tech"]',
+        'status: "unread"',
+        'time_added: "2017-10-03T08:07:37.000Z"',
+        'scrape_method: "lightweight"',
+        '---',
+        '',
+        '# Markdown: Test?',
+        '',
+        'Article body',
+        ''
+      ].join('\n'));
+      expect(writer.noteCount).toBe(1);
+      expect(writer.bytesWritten).toBe(Buffer.byteLength(markdown));
+    });
+
+    test('should save embedded images in the attachments folder', () => {
+      const media = createResource(Buffer.from('png data'), 'image/png', 'https://example.com/a.png');
+      const writer = new MarkdownWriter(vaultPath, { attachmentsDir: 'files' }).open();
+
+      writer.writeNote(createNote(createRow(), `<p>Figure</p><en-media hash="${media.hash}" type="image/png"/>`, [media], 'browser'));
+
+      const attachment = path.join(vaultPath, 'files', `${media.hash}.png`);
+      expect(fs.readFileSync(attachment, 'utf8')).toBe('png data');
+      expect(fs.readFileSync(path.join(vaultPath, 'Markdown Test.md'), 'utf8')).toContain(`![](files/${media.hash}.png)`);
+    });
+
+    test('should add page metadata to the front matter', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+      const metadata = { author: 'Jane Doe', publishedAt: '2024-01-02T03:04:05.000Z', siteName: 'Example News', description: null, image: 'https://example.com/lead.png' };
+
+      writer.writeNote(createNote(createRow(), '<p>Body</p>', [], 'lightweight', metadata));
+
+      const markdown = fs.readFileSync(path.join(vaultPath, 'Markdown Test.md'), 'utf8');
+      expect(markdown).toContain('author: "Jane Doe"\npublished: "2024-01-02T03:04:05.000Z"\nsite_name: "Example News"\nimage: "https://example.com/lead.png"\n');
+      expect(markdown).not.toContain('description:');
+    });
+
+    test('should link to the article when nothing was scraped', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+
+      writer.writeNote(createNote(createRow({ tags: '' })));
+
+      const markdown = fs.readFileSync(path.join(vaultPath, 'Markdown Test.md'), 'utf8');
+      expect(markdown).toContain('tags: []');
+      expect(markdown).not.toContain('scrape_method');
+      expect(markdown).toContain('[Markdown: Test?](https://example.com/article)');
+    });
+
+    test('should keep different articles with the same title apart', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+
+      writer.writeNote(createNote(createRow()));
+      writer.writeNote(createNote(createRow({ url: 'https://example.com/other' })));
+      // 同じURLは同じファイルを上書き
+      writer.writeNote(createNote(createRow(), '<p>Updated</p>', [], 'lightweight'));
+
+      const files = fs.readdirSync(vaultPath).filter(file => file.endsWith('.md')).sort();
+      expect(files).toHaveLength(2);
+      expect(files[0]).toMatch(/^Markdown Test [0-9a-f]{8}\.md$/);
+      expect(files[1]).toBe('Markdown Test.md');
+      expect(fs.readFileSync(path.join(vaultPath, 'Markdown Test.md'), 'utf8')).toContain('Updated');
+    });
+
+    test('should convert notes read back from an ENEX file', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+      const note = createNote(createRow({ title: 'Tom & Jerry' }), '<p>Body</p>');
+      const parsed = {
+        title: [note.title],
+        content: [note.content],
+        tag: note.tag,
+        'note-attributes': [{ 'source-url': [note['note-attributes'][0]['source-url']] }]
+      };
+
+      writer.writeNote(parsed);
+
+      const markdown = fs.readFileSync(path.join(vaultPath, 'Tom & Jerry.md'), 'utf8');
+      expect(markdown).toContain('title: "Tom & Jerry"');
+      expect(markdown).toContain('tags: ["reading","tech"]');
+      expect(markdown).toContain('Body');
+    });
+
+    test('should not snapshot Markdown output at checkpoints', () => {
+      const writer = new MarkdownWriter(vaultPath).open();
+      const checkpoint = new CheckpointManager(vaultPath, { checkpointInterval: 1 });
+      checkpoint.attachWriter(writer);
+
+      checkpoint.updateProgress(1, 1, 0, createNote(createRow()));
+
+      expect(fs.existsSync(`${vaultPath}.checkpoint.json`)).toBe(true);
+      expect(fs.readdirSync(tmpDir).filter(file => file.endsWith('.enex'))).toEqual([]);
+      expect(checkpoint.progress.notesWritten).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  formatDate,
+  createNote,
+  serializeNote,
+  getNoteDates,
+  getPocketApplicationData,
+  applyFavoriteTag,
+  validateInputRows,
+  dedupeRows,
+  MarkdownWriter
+} = require('../index.js');
+
+function createRow(overrides = {}) {
+  return {
+    title: 'Dated',
+    url: 'https://example.com/dated',
+    time_added: '1507018057',
+    tags: '',
+    status: 'archive',
+    ...overrides
+  };
+}
+
+describe('Note Dates Tests', () => {
+  describe('formatDate', () => {
+    test('should format timestamps in UTC', () => {
+      expect(formatDate(1507018057)).toBe('20171003T080737Z');
+      expect(formatDate('0')).toBe('19700101T000000Z');
+      // 日付が変わる直前もUTCの日付になる
+      expect(formatDate(Date.UTC(2024, 11, 31, 23, 59, 59) / 1000)).toBe('20241231T235959Z');
+    });
+  });
+
+  describe('getNoteDates', () => {
+    const now = Date.UTC(2025, 5, 1, 12, 0, 0);
+
+    test('should use time_added for both dates by default', () => {
+      expect(getNoteDates(createRow({ time_read: '1507104457' }), true)).toEqual({
+        created: '20171003T080737Z',
+        updated: '20171003T080737Z'
+      });
+    });
+
+    test('should set updated to the time the item was read', () => {
+      expect(getNoteDates(createRow({ time_read: '1507104457' }), false, 'read').updated).toBe('20171004T080737Z');
+      // Pocketは未読の項目のtime_readを0にしている
+      expect(getNoteDates(createRow({ time_read: '0' }), false, 'read').updated).toBe('20171003T080737Z');
+    });
+
+    test('should set updated to the scrape time only for scraped notes', () => {
+      expect(getNoteDates(createRow(), true, 'scraped', now).updated).toBe('20250601T120000Z');
+      expect(getNoteDates(createRow(), false, 'scraped', now).updated).toBe('20171003T080737Z');
+    });
+  });
+
+  describe('time_read and favorite', () => {
+    test('should record them as application data in the ENEX note', () => {
+      const note = createNote(createRow({ time_read: '1507104457', favorite: '1' }));
+
+      expect(getPocketApplicationData(createRow({ time_read: '0', favorite: '0' }))).toEqual([]);
+      expect(note['note-attributes'][0]['application-data']).toEqual([
+        { $: { key: 'pocket-time-read' }, _: '20171004T080737Z' },
+        { $: { key: 'pocket-favorite' }, _: 'true' }
+      ]);
+      expect(serializeNote(note)).toContain('<application-data key="pocket-time-read">20171004T080737Z</application-data>');
+      expect(createNote(createRow())['note-attributes'][0]['application-data']).toBeUndefined();
+    });
+
+    test('should tag favorite items', () => {
+      const rows = applyFavoriteTag([createRow({ tags: 'a', favorite: 'true' }), createRow({ favorite: 'false' })], 'pocket:favorite');
+
+      expect(rows.map(row => row.tags)).toEqual(['a,pocket:favorite', '']);
+    });
+
+    test('should fix time_read values that are not UNIX timestamps', () => {
+      const { rows, invalid } = validateInputRows([
+        createRow({ time_read: '2017-10-04T08:07:37Z' }),
+        createRow({ time_read: 'someday' }),
+        createRow({ time_read: '' })
+      ], { policy: 'fix' });
+
+      expect(rows.map(row => row.time_read)).toEqual(['1507104457', '', '']);
+      expect(invalid.map(entry => entry.errors)).toEqual([
+        ['time_read "2017-10-04T08:07:37Z" is not a UNIX timestamp'],
+        ['time_read "someday" is not a UNIX timestamp']
+      ]);
+    });
+
+    test('should keep the latest time_read and any favorite when merging duplicates', () => {
+      const { rows } = dedupeRows([
+        createRow({ time_read: '1507104457' }),
+        createRow({ time_read: '1507190857', favorite: '1' }),
+        createRow({ time_read: '0' })
+      ]);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ time_read: '1507190857', favorite: '1' });
+    });
+
+    test('should write them to the Markdown front matter', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'note-dates-'));
+      try {
+        const writer = new MarkdownWriter(tmpDir).open();
+        writer.writeNote(createNote(createRow({ time_read: '1507104457', favorite: '1' })));
+
+        const markdown = fs.readFileSync(path.join(tmpDir, 'Dated.md'), 'utf8');
+        expect(markdown).toContain('time_read: "2017-10-04T08:07:37.000Z"\nfavorite: true\n');
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
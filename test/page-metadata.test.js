@@ -0,0 +1,133 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const cheerio = require('cheerio');
+const axios = require('axios');
+const { parseStringPromise } = require('xml2js');
+const { extractPageMetadata, renderMetadataHeader, createNote, serializeNote, scrapeContent } = require('../index.js');
+
+const row = { title: 'Article', url: 'https://example.com/post', time_added: '1507018057', tags: '', status: 'unread' };
+
+const ARTICLE_TEXT = '<p>' + 'This is a long paragraph of article text, with commas, for the scorer. '.repeat(5) + '</p>';
+
+describe('Page Metadata Tests', () => {
+  describe('extractPageMetadata', () => {
+    test('should read OpenGraph, Twitter Card and plain meta tags', () => {
+      const $ = cheerio.load(`<html><head>
+        <meta name="author" content="Jane  Doe">
+        <meta property="og:site_name" content="Example News">
+        <meta name="twitter:description" content="Twitter summary">
+        <meta name="description" content="Plain summary">
+        <meta name="twitter:image" content="/images/lead.jpg">
+        <meta property="article:published_time" content="2024-01-02T03:04:05+09:00">
+      </head><body></body></html>`);
+
+      expect(extractPageMetadata($)).toEqual({
+        author: 'Jane Doe',
+        publishedAt: '2024-01-01T18:04:05.000Z',
+        siteName: 'Example News',
+        description: 'Twitter summary',
+        image: '/images/lead.jpg'
+      });
+    });
+
+    test('should prefer the JSON-LD article', () => {
+      const jsonLd = {
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebPage', description: 'Page description' },
+          {
+            '@type': 'NewsArticle',
+            author: [{ '@type': 'Person', name: 'Ann' }, { '@type': 'Person', name: 'Bob' }],
+            datePublished: '2023-05-06',
+            publisher: { '@type': 'Organization', name: 'The Daily' },
+            description: 'Article description',
+            image: [{ '@type': 'ImageObject', url: 'https://cdn.example.com/a.jpg' }]
+          }
+        ]
+      };
+      const $ = cheerio.load(`<html><head>
+        <script type="application/ld+json">{ broken</script>
+        <script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+        <meta property="og:description" content="OpenGraph description">
+        <meta property="article:author" content="https://example.com/authors/ann">
+      </head></html>`);
+
+      expect(extractPageMetadata($)).toEqual({
+        author: 'Ann, Bob',
+        publishedAt: '2023-05-06T00:00:00.000Z',
+        siteName: 'The Daily',
+        description: 'Article description',
+        image: 'https://cdn.example.com/a.jpg'
+      });
+    });
+
+    test('should ignore author profile URLs and handles', () => {
+      const $ = cheerio.load('<meta property="article:author" content="https://facebook.com/jane"><meta name="twitter:creator" content="@jane"><meta name="date" content="not a date">');
+
+      expect(extractPageMetadata($)).toMatchObject({ author: null, publishedAt: null });
+    });
+  });
+
+  describe('scrapeContent', () => {
+    test('should return the metadata with an absolute image URL', async () => {
+      axios.get.mockResolvedValue({
+        data: Buffer.from(`<html><head><meta name="author" content="Jane Doe"><meta property="og:image" content="/lead.png"></head><body><article>${ARTICLE_TEXT}</article></body></html>`),
+        headers: { 'content-type': 'text/html' },
+        request: { res: { responseUrl: 'https://example.com/post' } }
+      });
+
+      const result = await scrapeContent('https://example.com/post');
+
+      expect(result.metadata).toMatchObject({ author: 'Jane Doe', image: 'https://example.com/lead.png' });
+    });
+  });
+
+  describe('createNote', () => {
+    const metadata = {
+      author: 'Tom & Jerry',
+      publishedAt: '2024-01-02T03:04:05.000Z',
+      siteName: 'Example News',
+      description: 'A <short> summary',
+      image: null
+    };
+
+    test('should render a header block with the byline and summary', () => {
+      expect(renderMetadataHeader(metadata)).toBe(
+        '<div>\n<small>By Tom &amp; Jerry | Example News | Published: 2024-01-02</small>\n</div>\n' +
+        '<div>\n<i>A &lt;short&gt; summary</i>\n</div>'
+      );
+      expect(renderMetadataHeader({ author: null, publishedAt: null, siteName: null, description: null })).toBe('');
+      expect(renderMetadataHeader(null)).toBe('');
+    });
+
+    test('should set the author and source application attributes', async () => {
+      const note = createNote(row, '<p>Body</p>', [], 'lightweight', metadata);
+
+      expect(note.content).toContain('<small>By Tom &amp; Jerry | Example News | Published: 2024-01-02</small>');
+      const data = await parseStringPromise(`<en-export>${serializeNote(note)}</en-export>`);
+      const attributes = data['en-export'].note[0]['note-attributes'][0];
+      expect(Object.keys(attributes)).toEqual(['author', 'source', 'source-url', 'source-application']);
+      // 作成者はXMLとして1回だけエスケープされる
+      expect(attributes.author[0]).toBe('Tom & Jerry');
+      expect(serializeNote(note)).toContain('<author>Tom &amp; Jerry</author>');
+      expect(attributes['source-application'][0]).toBe('Pocket2Evernote');
+    });
+
+    test('should drop characters that are not allowed in XML from the author', () => {
+      const note = createNote(row, '<p>Body</p>', [], 'lightweight', { ...metadata, author: 'Jane\u0000 Doe' });
+
+      expect(note['note-attributes'][0].author).toBe('Jane Doe');
+      expect(() => serializeNote(note)).not.toThrow();
+    });
+
+    test('should leave out the author when it is unknown', () => {
+      const attributes = createNote(row)['note-attributes'][0];
+
+      expect(attributes.author).toBeUndefined();
+      expect(attributes['source-application']).toBe('Pocket2Evernote');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanPageTitle, getNoteTitles, createNote, serializeNote, MarkdownWriter } = require('../index.js');
+
+function createRow(overrides = {}) {
+  return { title: '', url: 'https://www.example.com/post/', time_added: '1507018057', tags: '', status: 'unread', ...overrides };
+}
+
+describe('Page Title Tests', () => {
+  describe('cleanPageTitle', () => {
+    test('should strip the site name given by the page', () => {
+      expect(cleanPageTitle('How it works | Example News', 'Example News')).toBe('How it works');
+      expect(cleanPageTitle('Example News - How it works', 'example news')).toBe('How it works');
+      expect(cleanPageTitle('Part 1 - Part 2 | Example', 'Example')).toBe('Part 1 - Part 2');
+      expect(cleanPageTitle('Cats - Dogs', 'Example News')).toBe('Cats - Dogs');
+    });
+
+    test('should strip a short trailing segment when the site name is unknown', () => {
+      expect(cleanPageTitle('Understanding the event loop in depth – Jane\'s Blog')).toBe('Understanding the event loop in depth');
+      expect(cleanPageTitle('Node.js  streams\nexplained :: devnotes')).toBe('Node.js streams explained');
+      // 後半の方が長い場合は記事タイトルの一部とみなす
+      expect(cleanPageTitle('Go - A language for building simple, reliable software')).toBe('Go - A language for building simple, reliable software');
+      expect(cleanPageTitle('No separators here')).toBe('No separators here');
+    });
+  });
+
+  describe('getNoteTitles', () => {
+    const metadata = { title: 'Real Article Title | Example', siteName: 'Example' };
+
+    test('should use the page title when the Pocket title is missing or a URL', () => {
+      expect(getNoteTitles(createRow(), metadata)).toEqual({ title: 'Real Article Title', pocketTitle: null });
+      expect(getNoteTitles(createRow({ title: 'http://example.com/post' }), metadata).title).toBe('Real Article Title');
+      expect(getNoteTitles(createRow({ title: 'example.com/post' }), metadata))
+        .toEqual({ title: 'Real Article Title', pocketTitle: 'example.com/post' });
+    });
+
+    test('should keep a real Pocket title', () => {
+      expect(getNoteTitles(createRow({ title: 'My Title' }), metadata)).toEqual({ title: 'My Title', pocketTitle: null });
+      expect(getNoteTitles(createRow({ title: 'https://other.example.com/' }), null).title).toBe('https://other.example.com/');
+      expect(getNoteTitles(createRow(), { title: null }).title).toBe('https://www.example.com/post/');
+    });
+
+    test('should clamp page titles to the Evernote limit', () => {
+      const { title } = getNoteTitles(createRow(), { title: 'Long '.repeat(100) });
+
+      expect(title).toHaveLength(255);
+      expect(title.endsWith('Long…')).toBe(true);
+    });
+  });
+
+  describe('createNote', () => {
+    test('should title the note with the page title and keep the Pocket title', () => {
+      const note = createNote(createRow({ title: 'https://www.example.com/post/' }), '<p>Body</p>', [], 'lightweight', { title: 'Tom & Jerry - Example', siteName: 'Example' });
+
+      expect(note.title).toBe('Tom & Jerry');
+      expect(serializeNote(note)).toContain('<title>Tom &amp; Jerry</title>');
+      expect(note['note-attributes'][0]['application-data']).toEqual([
+        { $: { key: 'pocket-title' }, _: 'https://www.example.com/post/' }
+      ]);
+      // 元のタイトルが空の場合は記録しない
+      expect(createNote(createRow(), '<p>Body</p>', [], 'lightweight', { title: 'Scraped' })['note-attributes'][0]['application-data']).toBeUndefined();
+      expect(note.enmlReport.title).toBe('https://www.example.com/post/');
+    });
+
+    test('should write both titles to the Markdown front matter', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-title-'));
+      try {
+        const writer = new MarkdownWriter(tmpDir).open();
+        writer.writeNote(createNote(createRow({ title: 'www.example.com/post' }), '<p>Body</p>', [], 'lightweight', { title: 'Scraped Title', siteName: null }));
+
+        const markdown = fs.readFileSync(path.join(tmpDir, 'Scraped Title.md'), 'utf8');
+        expect(markdown.startsWith('---\ntitle: "Scraped Title"\npocket_title: "www.example.com/post"\nurl: "https://www.example.com/post/"\n')).toBe(true);
+        expect(markdown).toContain('\n# Scraped Title\n');
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -5,7 +5,9 @@ jest.mock('puppeteer', () => ({
 }));
 
 const axios = require('axios');
-const { processRecord } = require('../index.js');
+const { processRecord, runWorkerPool, DomainRateLimiter } = require('../index.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 describe('Parallel Processing Tests', () => {
   beforeEach(() => {
@@ -286,4 +288,134 @@ describe('Parallel Processing Tests', () => {
       consoleErrorSpy.mockRestore();
     });
   });
+
+  describe('Sliding-window worker pool', () => {
+    test('should emit results in original order', async () => {
+      const delays = [30, 5, 20, 1, 10];
+      const emitted = [];
+
+      await runWorkerPool(delays, 3, async (delay, index) => {
+        await sleep(delay);
+        return `item-${index}`;
+      }, {
+        onResult: ({ value }, index) => emitted.push([index, value])
+      });
+
+      expect(emitted).toEqual([[0, 'item-0'], [1, 'item-1'], [2, 'item-2'], [3, 'item-3'], [4, 'item-4']]);
+    });
+
+    test('should keep other workers busy while one item is slow', async () => {
+      let active = 0;
+      let maxActive = 0;
+      let startedDuringSlow = 0;
+      let slowRunning = false;
+
+      await runWorkerPool(Array.from({ length: 10 }, (_, i) => i), 3, async (item) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        if (item === 0) {
+          slowRunning = true;
+          await sleep(100);
+          slowRunning = false;
+        } else {
+          if (slowRunning) startedDuringSlow++;
+          await sleep(5);
+        }
+        active--;
+      });
+
+      expect(maxActive).toBe(3);
+      // バッチ方式なら遅いアイテムの完了まで次のバッチは始まらない
+      expect(startedDuringSlow).toBe(9);
+    });
+
+    test('should report completion order separately from emit order', async () => {
+      const completed = [];
+
+      await runWorkerPool([40, 1], 2, async (delay) => {
+        await sleep(delay);
+      }, {
+        onComplete: (outcome, index) => completed.push(index)
+      });
+
+      expect(completed).toEqual([1, 0]);
+    });
+
+    test('should pass worker errors to onResult', async () => {
+      const outcomes = [];
+
+      await runWorkerPool(['ok', 'fail'], 2, async (item) => {
+        if (item === 'fail') throw new Error('worker failed');
+        return item;
+      }, {
+        onResult: (outcome) => outcomes.push(outcome)
+      });
+
+      expect(outcomes[0]).toEqual({ value: 'ok' });
+      expect(outcomes[1].error.message).toBe('worker failed');
+    });
+
+    test('should limit results buffered behind a slow item', async () => {
+      let slowRunning = false;
+      let maxStartedDuringSlow = 0;
+
+      await runWorkerPool(Array.from({ length: 12 }, (_, i) => i), 2, async (item) => {
+        if (item === 0) {
+          slowRunning = true;
+          await sleep(60);
+          slowRunning = false;
+          return;
+        }
+        if (slowRunning) maxStartedDuringSlow = Math.max(maxStartedDuringSlow, item);
+        await sleep(1);
+      }, { maxPending: 4 });
+
+      // 先頭の完了前に開始できるのはmaxPending件まで
+      expect(maxStartedDuringSlow).toBe(3);
+    });
+
+    test('should not let items waiting for a host slot hold a worker', async () => {
+      const rateLimiter = new DomainRateLimiter({ concurrency: 1, delayMs: 0 });
+      const urls = ['https://a.example/1', 'https://a.example/2', 'https://b.example/1', 'https://b.example/2'];
+      let slowRunning = false;
+      const startedDuringSlow = [];
+
+      await runWorkerPool(urls, 2, async (url) => {
+        if (url === urls[0]) {
+          slowRunning = true;
+          await sleep(60);
+          slowRunning = false;
+          return;
+        }
+        if (slowRunning) startedDuringSlow.push(url);
+        await sleep(1);
+      }, { acquire: url => rateLimiter.acquire(url) });
+
+      // 同じホストの2件目は枠が空くまで待ち、その間も別ホストのアイテムは開始される
+      expect(startedDuringSlow).toEqual(['https://b.example/1', 'https://b.example/2']);
+    });
+
+    test('should space requests to the same host when they start, not when the host slot is granted', async () => {
+      const rateLimiter = new DomainRateLimiter({ concurrency: 3, delayMs: 100 });
+      const urls = ['https://a.example/1', 'https://a.example/2', 'https://a.example/3'];
+      const starts = [];
+
+      // ワーカー1つでホストの枠を先に確保したアイテムが、前のアイテムの完了後に続けて開始されないこと
+      await runWorkerPool(urls, 1, async (url) => {
+        await rateLimiter.start(url);
+        starts.push(Date.now());
+        await sleep(url === urls[0] ? 250 : 1);
+      }, { acquire: url => rateLimiter.acquire(url) });
+
+      expect(starts).toHaveLength(3);
+      expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(95);
+      expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(95);
+    });
+
+    test('should handle empty input', async () => {
+      const onResult = jest.fn();
+      await runWorkerPool([], 5, async () => 'never', { onResult });
+      expect(onResult).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
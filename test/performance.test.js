@@ -2,7 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const {
   createNote,
-  createEnexStructure
+  createEnexStructure,
+  serializeNote
 } = require('../index.js');
 const { Builder } = require('xml2js');
 
@@ -150,8 +151,10 @@ describe('Performance Tests', () => {
       
       // 特殊文字が適切にエスケープされていることを確認
       notes.forEach(note => {
-        expect(note.title).not.toContain('<script>');
-        expect(note.title).toContain('&lt;');
+        const titleXml = serializeNote(note).match(/<title>.*<\/title>/)[0];
+        expect(titleXml).not.toContain('<script>');
+        expect(titleXml).toContain('&lt;');
+        expect(titleXml).not.toContain('&amp;lt;');
       });
     });
 
@@ -0,0 +1,135 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DomainRateLimiter, loadDomainLimits } = require('../index.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 本番のワーカーと同じ手順（枠の確保 → 開始の間隔 → 実行 → 解放）でタスクを実行
+async function run(limiter, url, task) {
+  const release = await limiter.acquire(url);
+  try {
+    await limiter.start(url);
+    return await task();
+  } finally {
+    release();
+  }
+}
+
+// タスクの開始時刻と最大同時実行数を記録
+function createTracker() {
+  const tracker = { active: 0, maxActive: 0, starts: [] };
+  tracker.task = (duration = 20) => async () => {
+    tracker.active++;
+    tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+    tracker.starts.push(Date.now());
+    await sleep(duration);
+    tracker.active--;
+  };
+  return tracker;
+}
+
+describe('Domain Rate Limiter Tests', () => {
+  describe('DomainRateLimiter', () => {
+    test('should cap concurrent requests to the same host', async () => {
+      const limiter = new DomainRateLimiter({ concurrency: 2, delayMs: 0 });
+      const tracker = createTracker();
+
+      await Promise.all(Array.from({ length: 6 }, (_, i) =>
+        run(limiter, `https://blog.example.com/${i}`, tracker.task())
+      ));
+
+      expect(tracker.maxActive).toBe(2);
+      expect(tracker.starts).toHaveLength(6);
+    });
+
+    test('should wait between requests to the same host', async () => {
+      const limiter = new DomainRateLimiter({ concurrency: 5, delayMs: 50 });
+      const tracker = createTracker();
+
+      await Promise.all([1, 2, 3].map(i => run(limiter, `https://example.com/${i}`, tracker.task(1))));
+
+      expect(tracker.starts[1] - tracker.starts[0]).toBeGreaterThanOrEqual(45);
+      expect(tracker.starts[2] - tracker.starts[1]).toBeGreaterThanOrEqual(45);
+    });
+
+    test('should not delay requests to different hosts', async () => {
+      const limiter = new DomainRateLimiter({ concurrency: 1, delayMs: 1000 });
+      const tracker = createTracker();
+      const startedAt = Date.now();
+
+      await Promise.all(['a.com', 'b.com', 'c.com'].map(host =>
+        run(limiter, `https://${host}/post`, tracker.task(1))
+      ));
+
+      expect(tracker.maxActive).toBe(3);
+      expect(Date.now() - startedAt).toBeLessThan(500);
+    });
+
+    test('should apply domain overrides to subdomains', () => {
+      const limiter = new DomainRateLimiter({
+        concurrency: 4,
+        delayMs: 100,
+        overrides: { 'example.com': { concurrency: 1, delay: 5000 }, 'fast.org': { concurrency: 8 } }
+      });
+
+      expect(limiter.getLimits('www.example.com')).toEqual({ concurrency: 1, delayMs: 5000 });
+      expect(limiter.getLimits('fast.org')).toEqual({ concurrency: 8, delayMs: 100 });
+      expect(limiter.getLimits('other.net')).toEqual({ concurrency: 4, delayMs: 100 });
+    });
+
+    test('should release the slot when a task fails', async () => {
+      const limiter = new DomainRateLimiter({ concurrency: 1, delayMs: 0 });
+
+      await expect(run(limiter, 'https://example.com/a', async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      await expect(run(limiter, 'https://example.com/b', async () => 'ok')).resolves.toBe('ok');
+    });
+
+    test('should use defaults for missing settings and invalid URLs', async () => {
+      const limiter = new DomainRateLimiter();
+
+      expect(limiter.concurrency).toBe(2);
+      expect(limiter.delayMs).toBe(1000);
+      await expect(run(limiter, 'not a url', async () => 'done')).resolves.toBe('done');
+    });
+  });
+
+  describe('loadDomainLimits', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-limits-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should load and normalize domain keys', () => {
+      const filePath = path.join(tmpDir, 'limits.json');
+      fs.writeFileSync(filePath, JSON.stringify({ 'Example.COM': { concurrency: 1 }, '*.cdn.net': { delay: 0 } }));
+
+      expect(loadDomainLimits(filePath)).toEqual({
+        'example.com': { concurrency: 1 },
+        'cdn.net': { delay: 0 }
+      });
+    });
+
+    test('should reject invalid files', () => {
+      const invalidJson = path.join(tmpDir, 'invalid.json');
+      const invalidValue = path.join(tmpDir, 'value.json');
+      fs.writeFileSync(invalidJson, '{ nope');
+      fs.writeFileSync(invalidValue, JSON.stringify({ 'example.com': { delay: 'slow' } }));
+
+      expect(() => loadDomainLimits(invalidJson)).toThrow('Failed to load domain limits');
+      expect(() => loadDomainLimits(invalidValue)).toThrow('Invalid delay for example.com');
+      expect(() => loadDomainLimits(path.join(tmpDir, 'missing.json'))).toThrow('Failed to load domain limits');
+    });
+  });
+});
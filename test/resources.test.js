@@ -0,0 +1,207 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  scrapeContent,
+  createNote,
+  createResource,
+  getImageDimensions,
+  sanitizeHtmlToEnml,
+  embedImages,
+  processRecord
+} = require('../index.js');
+
+// 最小限のPNGヘッダー（IHDRに幅と高さを含む）
+function createPng(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+const articleHtml = `
+  <html>
+    <body>
+      <article>
+        <p>This article has an illustration that should be archived with the note content.</p>
+        <p><img src="/images/figure.png" alt="Figure"></p>
+        <p>More text after the illustration so that the article is long enough to extract.</p>
+      </article>
+    </body>
+  </html>
+`;
+
+function mockArticleWithImage(png) {
+  axios.get.mockImplementation((url) => {
+    if (url.endsWith('.png')) {
+      return Promise.resolve({ data: png, headers: { 'content-type': 'image/png' } });
+    }
+    return Promise.resolve({
+      data: Buffer.from(articleHtml, 'utf8'),
+      headers: { 'content-type': 'text/html; charset=utf-8' }
+    });
+  });
+}
+
+describe('Image Resource Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getImageDimensions', () => {
+    test('should read PNG dimensions', () => {
+      expect(getImageDimensions(createPng(640, 480), 'image/png')).toEqual({ width: 640, height: 480 });
+    });
+
+    test('should read GIF dimensions', () => {
+      const gif = Buffer.alloc(13);
+      gif.write('GIF89a', 0, 'ascii');
+      gif.writeUInt16LE(32, 6);
+      gif.writeUInt16LE(16, 8);
+      expect(getImageDimensions(gif, 'image/gif')).toEqual({ width: 32, height: 16 });
+    });
+
+    test('should return null for unknown data', () => {
+      expect(getImageDimensions(Buffer.from('not an image'), 'image/jpeg')).toBeNull();
+    });
+  });
+
+  describe('createResource', () => {
+    test('should create base64 resource with MD5 hash and attributes', () => {
+      const png = createPng(10, 20);
+      const media = createResource(png, 'image/png', 'https://example.com/a.png', 'a.png');
+
+      expect(media.hash).toBe(crypto.createHash('md5').update(png).digest('hex'));
+      expect(media.resource.data._).toBe(png.toString('base64'));
+      expect(media.resource.data.$.encoding).toBe('base64');
+      expect(media.resource.mime).toBe('image/png');
+      expect(media.resource.width).toBe(10);
+      expect(media.resource.height).toBe(20);
+      expect(media.resource['resource-attributes'][0]['source-url']).toBe('https://example.com/a.png');
+      expect(media.resource['resource-attributes'][0]['file-name']).toBe('a.png');
+    });
+  });
+
+  describe('sanitizeHtmlToEnml with media map', () => {
+    test('should replace downloaded images with en-media', () => {
+      const mediaMap = new Map([['https://example.com/a.png', { hash: 'abc123', mime: 'image/png' }]]);
+      const result = sanitizeHtmlToEnml('<p><img src="a.png"><img src="b.png"></p>', 'https://example.com/', mediaMap);
+
+      expect(result).toBe('<p><en-media hash="abc123" type="image/png"/></p>');
+    });
+
+    test('should use lazy-loading attributes', () => {
+      const mediaMap = new Map([['https://example.com/real.png', { hash: 'def456', mime: 'image/png' }]]);
+      const result = sanitizeHtmlToEnml('<p><img src="placeholder.gif" data-src="/real.png"></p>', 'https://example.com/', mediaMap);
+
+      expect(result).toContain('hash="def456"');
+    });
+  });
+
+  describe('scrapeContent with image embedding', () => {
+    test('should embed article images as resources', async () => {
+      const png = createPng(100, 50);
+      mockArticleWithImage(png);
+
+      const { content, resources } = await scrapeContent('https://example.com/post', { embedImages: true });
+      const hash = crypto.createHash('md5').update(png).digest('hex');
+
+      expect(resources).toHaveLength(1);
+      expect(resources[0].hash).toBe(hash);
+      expect(resources[0].resource['resource-attributes'][0]['source-url']).toBe('https://example.com/images/figure.png');
+      expect(content).toContain(`<en-media hash="${hash}" type="image/png"/>`);
+      expect(content).not.toContain('<img');
+    });
+
+    test('should skip images when embedding is disabled', async () => {
+      mockArticleWithImage(createPng(100, 50));
+
+      const { content, resources } = await scrapeContent('https://example.com/post');
+
+      expect(content).not.toContain('<en-media');
+      expect(content).not.toContain('<img');
+      expect(resources).toHaveLength(0);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should store identical image data only once', async () => {
+      mockArticleWithImage(createPng(1, 1));
+
+      const resources = [];
+      const mediaMap = await embedImages('<img src="/a.png"><img src="/b.png"><img src="/a.png">', 'https://example.com/', resources);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(mediaMap.size).toBe(2);
+      expect(resources).toHaveLength(1);
+    });
+
+    test('should ignore non-image responses', async () => {
+      axios.get.mockImplementation((url) => {
+        if (url.endsWith('.png')) {
+          return Promise.resolve({ data: Buffer.from('<html>not found</html>'), headers: { 'content-type': 'text/html' } });
+        }
+        return Promise.resolve({
+          data: Buffer.from(articleHtml, 'utf8'),
+          headers: { 'content-type': 'text/html; charset=utf-8' }
+        });
+      });
+
+      const { content, resources } = await scrapeContent('https://example.com/post', { embedImages: true });
+
+      expect(resources).toHaveLength(0);
+      expect(content).not.toContain('<en-media');
+    });
+
+    test('should embed direct image URLs instead of using img tags', async () => {
+      const png = createPng(8, 8);
+      axios.get.mockResolvedValue({ data: png, headers: { 'content-type': 'image/png' } });
+
+      const { content, resources } = await scrapeContent('https://example.com/photo.png', { embedImages: true });
+
+      expect(resources).toHaveLength(1);
+      expect(content).toContain('<en-media hash=');
+      expect(content).not.toContain('<img');
+    });
+
+    test('should link direct image URLs when embedding is disabled', async () => {
+      const { content } = await scrapeContent('https://example.com/photo.png');
+
+      expect(content).toContain('<a href="https://example.com/photo.png">photo.png</a>');
+      expect(content).not.toContain('<img');
+    });
+  });
+
+  describe('Note resources', () => {
+    test('should attach resources to the note', () => {
+      const media = createResource(createPng(2, 2), 'image/png', 'https://example.com/a.png');
+      const row = { title: 'Test', url: 'https://example.com', time_added: '1507018057', tags: '', status: 'unread' };
+      const note = createNote(row, `<en-media hash="${media.hash}" type="image/png"/>`, [media]);
+
+      expect(note.resource).toHaveLength(1);
+      expect(note.resource[0].mime).toBe('image/png');
+    });
+
+    test('should not add resource element without resources', () => {
+      const row = { title: 'Test', url: 'https://example.com', time_added: '1507018057', tags: '', status: 'unread' };
+      expect(createNote(row, '<p>text</p>').resource).toBeUndefined();
+    });
+
+    test('should embed images through processRecord when enabled', async () => {
+      mockArticleWithImage(createPng(100, 50));
+      const row = { title: 'Test', url: 'https://example.com/post', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: true, embedImages: true });
+
+      expect(result.success).toBe(true);
+      expect(result.note.resource).toHaveLength(1);
+      expect(result.note.content).toContain('<en-media');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Builder } = require('xml2js');
+const {
+  createNote,
+  createEnexStructure,
+  processRecord,
+  writeFailureReport,
+  loadFailureReport,
+  readEnexNotes,
+  mergeRetriedNotes
+} = require('../index.js');
+
+const rows = [
+  { title: 'First', url: 'https://example.com/1', time_added: '1507018057', tags: 'a', status: 'unread' },
+  { title: 'Second', url: 'https://example.com/2?a=1&b=2', time_added: '1507018058', tags: '', status: 'unread' },
+  { title: 'Third', url: 'https://example.com/3', time_added: '1507018059', tags: '', status: 'archive' }
+];
+
+describe('Retry Failed Mode Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-failed-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadFailureReport', () => {
+    const failures = [
+      { index: 1, url: rows[1].url, row: rows[1], errorClass: 'timeout', attempts: [{ method: 'lightweight' }] },
+      { index: 2, url: rows[2].url, row: rows[2], errorClass: 'dns', attempts: [{ method: 'lightweight' }] }
+    ];
+
+    test('should read rows and record indices from the JSON report', async () => {
+      const paths = writeFailureReport(path.join(tmpDir, 'out.enex'), failures);
+      const entries = await loadFailureReport(paths.json);
+
+      expect(entries.map(entry => entry.index)).toEqual([1, 2]);
+      expect(entries[0].row).toEqual(rows[1]);
+    });
+
+    test('should restore original columns from the CSV report', async () => {
+      const paths = writeFailureReport(path.join(tmpDir, 'out.enex'), failures);
+      const entries = await loadFailureReport(paths.csv);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[1].index).toBe(2);
+      expect(entries[0].row).toEqual(rows[1]);
+      expect(entries[0].row.error_class).toBeUndefined();
+    });
+
+    test('should throw when the report does not exist', async () => {
+      await expect(loadFailureReport(path.join(tmpDir, 'missing.failures.json')))
+        .rejects.toThrow('Failure report not found');
+    });
+  });
+
+  describe('readEnexNotes', () => {
+    test('should read notes written by the converter', async () => {
+      const enexPath = path.join(tmpDir, 'out.enex');
+      const builder = new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+      fs.writeFileSync(enexPath, builder.buildObject(createEnexStructure(rows.map(row => createNote(row)))));
+
+      const notes = await readEnexNotes(enexPath);
+
+      expect(notes).toHaveLength(3);
+      expect(notes[1]['note-attributes'][0]['source-url'][0]).toBe('https://example.com/2?a=1&b=2');
+    });
+
+    test('should reject files that are not ENEX', async () => {
+      const badPath = path.join(tmpDir, 'bad.enex');
+      fs.writeFileSync(badPath, '<html></html>');
+
+      await expect(readEnexNotes(badPath)).rejects.toThrow('Not an ENEX file');
+    });
+  });
+
+  describe('mergeRetriedNotes', () => {
+    test('should replace placeholder notes in their original position', async () => {
+      const enexPath = path.join(tmpDir, 'out.enex');
+      const builder = new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+      fs.writeFileSync(enexPath, builder.buildObject(createEnexStructure(rows.map(row => createNote(row)))));
+      const existingNotes = await readEnexNotes(enexPath);
+      const improved = createNote(rows[1], '<p>Scraped body</p>');
+
+      const { notes, replaced, appended } = mergeRetriedNotes(existingNotes, [{ row: rows[1], note: improved }]);
+
+      expect(replaced).toBe(1);
+      expect(appended).toBe(0);
+      expect(notes).toHaveLength(3);
+      expect(notes[1]).toBe(improved);
+      expect(notes[0]).toBe(existingNotes[0]);
+      expect(notes[2]).toBe(existingNotes[2]);
+    });
+
+    test('should append notes missing from the existing ENEX', () => {
+      const existingNotes = [createNote(rows[0])];
+      const { notes, replaced, appended } = mergeRetriedNotes(existingNotes, [{ row: rows[2], note: createNote(rows[2]) }]);
+
+      expect(replaced).toBe(0);
+      expect(appended).toBe(1);
+      expect(notes).toHaveLength(2);
+    });
+
+    test('should replace duplicate URLs one note at a time', () => {
+      const existingNotes = [createNote(rows[0]), createNote(rows[0])];
+      const first = createNote(rows[0], '<p>One</p>');
+      const second = createNote(rows[0], '<p>Two</p>');
+
+      const { notes } = mergeRetriedNotes(existingNotes, [{ row: rows[0], note: first }, { row: rows[0], note: second }]);
+
+      expect(notes).toEqual([first, second]);
+    });
+  });
+
+  describe('processRecord with forced browser', () => {
+    test('should skip lightweight scraping', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const result = await processRecord(rows[0], 0, {}, { scrape: true, forceBrowser: true });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(result.attempts.map(attempt => attempt.method)).toEqual(['browser']);
+      consoleSpy.mockRestore();
+    });
+  });
+});
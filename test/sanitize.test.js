@@ -0,0 +1,120 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const axios = require('axios');
+const { sanitizeHtmlToEnml, scrapeContent } = require('../index.js');
+
+describe('HTML to ENML Sanitizer Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sanitizeHtmlToEnml', () => {
+    test('should keep headings, lists and emphasis', () => {
+      const html = '<h2>Heading</h2><ul><li>one</li><li><strong>two</strong></li></ul><p><em>text</em></p>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).toContain('<h2>Heading</h2>');
+      expect(result).toContain('<li>one</li>');
+      expect(result).toContain('<li><strong>two</strong></li>');
+      expect(result).toContain('<p><em>text</em></p>');
+    });
+
+    test('should keep tables, code blocks and blockquotes', () => {
+      const html = '<table><tr><th>A</th></tr><tr><td colspan="2">B</td></tr></table>' +
+        '<pre><code>const a = 1;\n  return a;</code></pre><blockquote>Quote</blockquote>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).toContain('<th>A</th>');
+      expect(result).toContain('<td colspan="2">B</td>');
+      expect(result).toContain('<pre><code>const a = 1;\n  return a;</code></pre>');
+      expect(result).toContain('<blockquote>Quote</blockquote>');
+    });
+
+    test('should strip disallowed attributes', () => {
+      const html = '<p id="intro" class="lead" style="color:red" onclick="evil()">Hello</p>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).toBe('<p>Hello</p>');
+    });
+
+    test('should resolve relative links against the base URL', () => {
+      const html = '<p><a href="/about" target="_blank" rel="nofollow">About</a></p>';
+      const result = sanitizeHtmlToEnml(html, 'https://example.com/posts/1');
+
+      expect(result).toBe('<p><a href="https://example.com/about">About</a></p>');
+    });
+
+    test('should unwrap links with unsafe or missing href', () => {
+      const html = '<p><a href="javascript:alert(1)">js</a> <a name="anchor">named</a></p>';
+      const result = sanitizeHtmlToEnml(html, 'https://example.com/');
+
+      expect(result).toBe('<p>js named</p>');
+    });
+
+    test('should drop scripts, forms, images and comments', () => {
+      const html = '<div><script>bad()</script><form><input value="x"></form><img src="a.png"><!-- note --><p>Body</p></div>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).not.toContain('bad()');
+      expect(result).not.toContain('<form');
+      expect(result).not.toContain('<img');
+      expect(result).not.toContain('note');
+      expect(result).toContain('<p>Body</p>');
+    });
+
+    test('should convert unknown block elements to div and unwrap inline ones', () => {
+      const html = '<section><figure><figcaption>Caption</figcaption></figure><p><mark>marked</mark> text</p></section>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).not.toContain('<section');
+      expect(result).not.toContain('<figure');
+      expect(result).not.toContain('<mark');
+      expect(result).toContain('<div><div><div>Caption</div>');
+      expect(result).toContain('<p>marked text</p>');
+    });
+
+    test('should escape text and remove empty blocks', () => {
+      const html = '<p>Tom &amp; Jerry &lt;3</p><p>   </p><span></span>';
+      const result = sanitizeHtmlToEnml(html);
+
+      expect(result).toBe('<p>Tom &amp; Jerry &lt;3</p>');
+    });
+
+    test('should handle empty input', () => {
+      expect(sanitizeHtmlToEnml('')).toBe('');
+      expect(sanitizeHtmlToEnml(null)).toBe('');
+    });
+  });
+
+  describe('scrapeContent structure preservation', () => {
+    test('should preserve article structure without appending sentence markers', async () => {
+      const html = `
+        <html>
+          <body>
+            <article>
+              <h2>Getting started</h2>
+              <p>This is an English paragraph that is long enough to be extracted by the scraper.</p>
+              <ol><li>First step of the tutorial</li><li>Second step of the tutorial</li></ol>
+              <p>Read the <a href="/docs">documentation</a> for more details.</p>
+            </article>
+          </body>
+        </html>
+      `;
+
+      axios.get.mockResolvedValue({
+        data: Buffer.from(html, 'utf8'),
+        headers: { 'content-type': 'text/html; charset=utf-8' }
+      });
+
+      const { content } = await scrapeContent('https://example.com/tutorial');
+
+      expect(content).toContain('<h2>Getting started</h2>');
+      expect(content).toContain('<ol><li>First step of the tutorial</li>');
+      expect(content).toContain('<a href="https://example.com/docs">documentation</a>');
+      expect(content).not.toContain('。');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock('axios');
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const axios = require('axios');
+const {
+  scrapeContent,
+  processRecord,
+  classifyScrapeError,
+  createScrapeResult,
+  renderScrapeResult
+} = require('../index.js');
+
+const articleHtml = `
+  <html>
+    <head><title>Structured Results Explained</title></head>
+    <body>
+      <article>
+        <p>Failed to scrape content is a phrase that this article discusses at length, on purpose.</p>
+        <p>Content could not be extracted is another phrase that used to confuse the converter.</p>
+      </article>
+    </body>
+  </html>
+`;
+
+describe('Structured Scrape Result Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createScrapeResult', () => {
+    test('should create a failed result with empty fields', () => {
+      const result = createScrapeResult('https://example.com', 'lightweight');
+
+      expect(result.status).toBe('failed');
+      expect(result.method).toBe('lightweight');
+      expect(result.url).toBe('https://example.com');
+      expect(result.finalUrl).toBe('https://example.com');
+      expect(result.resources).toEqual([]);
+      expect(typeof result.startedAt).toBe('string');
+    });
+  });
+
+  describe('classifyScrapeError', () => {
+    test('should classify HTTP errors', () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      expect(classifyScrapeError(error)).toBe('http');
+    });
+
+    test('should classify timeouts', () => {
+      const error = new Error('timeout of 7000ms exceeded');
+      error.code = 'ECONNABORTED';
+      expect(classifyScrapeError(error)).toBe('timeout');
+      expect(classifyScrapeError(new Error('Navigation timeout of 7000 ms exceeded'))).toBe('timeout');
+    });
+
+    test('should classify DNS failures', () => {
+      const error = new Error('getaddrinfo ENOTFOUND example.invalid');
+      error.code = 'ENOTFOUND';
+      expect(classifyScrapeError(error)).toBe('dns');
+      expect(classifyScrapeError(new Error('net::ERR_NAME_NOT_RESOLVED at https://example.invalid'))).toBe('dns');
+    });
+
+    test('should classify connection errors', () => {
+      const error = new Error('read ECONNRESET');
+      error.code = 'ECONNRESET';
+      expect(classifyScrapeError(error)).toBe('connection');
+    });
+
+    test('should fall back to unknown', () => {
+      expect(classifyScrapeError(new Error('Something odd'))).toBe('unknown');
+      expect(classifyScrapeError(null)).toBe('unknown');
+    });
+  });
+
+  describe('scrapeContent result', () => {
+    test('should report success for articles containing error-like phrases', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: Buffer.from(articleHtml, 'utf8'),
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        request: { res: { responseUrl: 'https://example.com/final' } }
+      });
+
+      const result = await scrapeContent('https://example.com/start');
+
+      expect(result.status).toBe('success');
+      expect(result.method).toBe('lightweight');
+      expect(result.httpStatus).toBe(200);
+      expect(result.finalUrl).toBe('https://example.com/final');
+      expect(result.title).toBe('Structured Results Explained');
+      expect(result.contentType).toBe('text/html; charset=utf-8');
+      expect(result.bytesDownloaded).toBe(Buffer.byteLength(articleHtml));
+      expect(result.contentBytes).toBe(Buffer.byteLength(result.content));
+      expect(result.extraction.winner).toBe('article');
+      expect(result.errorClass).toBeNull();
+      expect(result.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should record HTTP status and error class on failure', async () => {
+      const error = new Error('Request failed with status code 503');
+      error.response = { status: 503 };
+      axios.get.mockRejectedValue(error);
+
+      const result = await scrapeContent('https://example.com/down');
+
+      expect(result.status).toBe('failed');
+      expect(result.httpStatus).toBe(503);
+      expect(result.errorClass).toBe('http');
+      expect(result.errorMessage).toBe('Request failed with status code 503');
+      expect(result.content).toBeNull();
+    });
+  });
+
+  describe('renderScrapeResult', () => {
+    test('should append the method label to successful content', () => {
+      const result = { ...createScrapeResult('https://example.com', 'browser'), status: 'success', content: '<p>Body</p>' };
+      expect(renderScrapeResult(result)).toBe('<p>Body</p>\n<p><small>[Scraped via Browser]</small></p>');
+    });
+
+    test('should render escaped failure messages', () => {
+      const result = {
+        ...createScrapeResult('https://example.com/?a=1&b=2', 'lightweight'),
+        errorMessage: 'Bad <response>'
+      };
+      const rendered = renderScrapeResult(result);
+
+      expect(rendered).toContain('Failed to scrape content from https://example.com/?a=1&amp;b=2: Bad &lt;response&gt;');
+      expect(rendered).toContain('[Scraping Failed]');
+    });
+
+    test('should render extraction failures', () => {
+      const result = { ...createScrapeResult('https://example.com', 'browser'), status: 'no_content' };
+      expect(renderScrapeResult(result)).toContain('Content could not be extracted from https://example.com (browser)');
+    });
+  });
+
+  describe('processRecord result', () => {
+    test('should return the scrape result and attempted tiers', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: Buffer.from(articleHtml, 'utf8'),
+        headers: { 'content-type': 'text/html; charset=utf-8' }
+      });
+      const row = { title: 'Phrases', url: 'https://example.com/phrases', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: true });
+
+      expect(result.success).toBe(true);
+      expect(result.scrapeResult.status).toBe('success');
+      expect(result.attempts.map(attempt => attempt.method)).toEqual(['lightweight']);
+      expect(result.note.content).toContain('[Scraped via HTTP]');
+      expect(result.note.content).not.toContain('[Scraping Failed]');
+    });
+
+    test('should title notes without a Pocket title after the scraped page', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: Buffer.from(articleHtml, 'utf8'),
+        headers: { 'content-type': 'text/html; charset=utf-8' }
+      });
+      const row = { title: '', url: 'https://example.com/phrases', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: true });
+
+      expect(result.note.title).toBe('Structured Results Explained');
+      expect(row.title).toBe('');
+    });
+
+    test('should not include a scrape result when scraping is disabled', async () => {
+      const row = { title: 'Plain', url: 'https://example.com/plain', time_added: '1507018057', tags: '', status: 'unread' };
+
+      const result = await processRecord(row, 0, {}, { scrape: false });
+
+      expect(result.success).toBe(true);
+      expect(result.scrapeResult).toBeNull();
+      expect(result.attempts).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseStatusMap,
+  applyStatusTags,
+  applyReminder,
+  createNote,
+  formatDate,
+  readEnexNotes,
+  NotebookEnexWriter,
+  CheckpointManager
+} = require('../index.js');
+
+function createRow(i, status, overrides = {}) {
+  return {
+    title: `Article ${i}`,
+    url: `https://example.com/${i}`,
+    time_added: String(1507018057 + i),
+    tags: 'reading',
+    status,
+    ...overrides
+  };
+}
+
+describe('Status Mapping Tests', () => {
+  describe('parseStatusMap', () => {
+    test('should use the defaults when no mapping is given', () => {
+      expect(parseStatusMap(true, { unread: 'a' }, '--status-tags')).toEqual({ unread: 'a' });
+    });
+
+    test('should parse a status mapping', () => {
+      expect(parseStatusMap('unread=To Read, ARCHIVE=Read', {}, '--status-notebooks')).toEqual({ unread: 'To Read', archive: 'Read' });
+      expect(() => parseStatusMap('done=Read', {}, '--status-notebooks')).toThrow('Unknown status in --status-notebooks: done');
+      expect(() => parseStatusMap('unread', {}, '--status-tags')).toThrow('Invalid --status-tags entry: unread');
+    });
+  });
+
+  describe('applyStatusTags', () => {
+    test('should add the tag of each status', () => {
+      const rows = applyStatusTags([
+        createRow(1, 'unread'),
+        createRow(2, 'archive', { tags: '' }),
+        createRow(3, 'unread', { tags: 'pocket:unread' })
+      ], { unread: 'pocket:unread', archive: 'pocket:archive' });
+
+      expect(rows.map(row => row.tags)).toEqual(['reading,pocket:unread', 'pocket:archive', 'pocket:unread']);
+    });
+  });
+
+  describe('applyReminder', () => {
+    test('should order unread notes by date added', () => {
+      const row = createRow(1, 'unread');
+
+      const note = applyReminder(createNote(row), row, { unreadReminders: true });
+
+      expect(note['note-attributes'][0]['reminder-order']).toBe(formatDate(row.time_added));
+      expect(note['note-attributes'][0]['reminder-time']).toBeUndefined();
+    });
+
+    test('should set the reminder time', () => {
+      const row = createRow(1, 'unread');
+
+      const note = applyReminder(createNote(row), row, { reminderTime: '2025-07-01T09:00:00Z' });
+
+      expect(note['note-attributes'][0]['reminder-time']).toBe(formatDate(Date.UTC(2025, 6, 1, 9) / 1000));
+    });
+
+    test('should leave archived notes and disabled reminders alone', () => {
+      const archived = createRow(1, 'archive');
+      const unread = createRow(2, 'unread');
+
+      expect(applyReminder(createNote(archived), archived, { unreadReminders: true })['note-attributes'][0]['reminder-order']).toBeUndefined();
+      expect(applyReminder(createNote(unread), unread, {})['note-attributes'][0]['reminder-order']).toBeUndefined();
+    });
+  });
+
+  describe('NotebookEnexWriter', () => {
+    let tmpDir;
+    let outputPath;
+    const notebooks = { unread: 'To Read', archive: 'Read Archive' };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-mapping-'));
+      outputPath = path.join(tmpDir, 'output.enex');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const titlesIn = async (fileName) => (await readEnexNotes(path.join(tmpDir, fileName))).map(note => note.title[0]);
+
+    test('should write one ENEX file per notebook', async () => {
+      const writer = new NotebookEnexWriter(outputPath, notebooks).open();
+
+      writer.writeNote(createNote(createRow(1, 'unread')));
+      writer.writeNote(createNote(createRow(2, 'archive')));
+      writer.writeNote(createNote(createRow(3, 'unread')));
+      writer.writeNote(createNote(createRow(4, '')));
+      writer.close();
+      const files = writer.finalize();
+
+      expect(files).toEqual([
+        { filePath: path.join(tmpDir, 'To Read.enex'), noteCount: 2 },
+        { filePath: path.join(tmpDir, 'Read Archive.enex'), noteCount: 1 },
+        { filePath: outputPath, noteCount: 1 }
+      ]);
+      expect(await titlesIn('To Read.enex')).toEqual(['Article 1', 'Article 3']);
+      expect(await titlesIn('Read Archive.enex')).toEqual(['Article 2']);
+      expect(await titlesIn('output.enex')).toEqual(['Article 4']);
+      expect(writer.noteCount).toBe(4);
+    });
+
+    test('should save an intermediate snapshot of every notebook file', async () => {
+      const writer = new NotebookEnexWriter(outputPath, notebooks).open();
+      writer.writeNote(createNote(createRow(1, 'unread')));
+      writer.writeNote(createNote(createRow(2, 'archive')));
+      writer.writeNote(createNote(createRow(3, '')));
+
+      writer.snapshot(path.join(tmpDir, 'output.checkpoint_3.enex'));
+      writer.close();
+
+      expect(await titlesIn('To Read.checkpoint_3.enex')).toEqual(['Article 1']);
+      expect(await titlesIn('Read Archive.checkpoint_3.enex')).toEqual(['Article 2']);
+      expect(await titlesIn('output.checkpoint_3.enex')).toEqual(['Article 3']);
+    });
+
+    test('should resume every notebook file from the checkpoint', async () => {
+      const first = new NotebookEnexWriter(outputPath, notebooks).open();
+      const checkpoint = new CheckpointManager(outputPath, { checkpointInterval: 1000 });
+      checkpoint.attachWriter(first);
+      checkpoint.updateProgress(1, 4, 0, createNote(createRow(1, 'unread')));
+      checkpoint.updateProgress(2, 4, 1, createNote(createRow(2, 'archive')));
+      const savedState = JSON.parse(JSON.stringify(checkpoint.progress.writerState));
+      // チェックポイント後に書いたノートは再開時に切り詰められる
+      first.writeNote(createNote(createRow(3, 'unread')));
+      first.writers.forEach(writer => fs.closeSync(writer.fd));
+
+      const resumed = new NotebookEnexWriter(outputPath, notebooks).open(savedState);
+      resumed.writeNote(createNote(createRow(4, 'unread')));
+      resumed.close();
+      resumed.finalize();
+
+      expect(await titlesIn('To Read.enex')).toEqual(['Article 1', 'Article 4']);
+      expect(await titlesIn('Read Archive.enex')).toEqual(['Article 2']);
+      expect(resumed.noteCount).toBe(3);
+    });
+  });
+});
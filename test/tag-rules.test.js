@@ -0,0 +1,139 @@
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTagRules, applyTagRules, dedupeRows, applyStatusTags, applyFavoriteTag } = require('../index.js');
+
+function createRow(overrides = {}) {
+  return {
+    title: 'Article',
+    url: 'https://www.Example.com/post',
+    time_added: '1507018057',
+    tags: '',
+    status: 'unread',
+    ...overrides
+  };
+}
+
+describe('Tag Rules Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-rules-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ルールをファイルに書いて読み込む
+  function loadRules(config) {
+    const rulesPath = path.join(tmpDir, 'tag-rules.json');
+    fs.writeFileSync(rulesPath, typeof config === 'string' ? config : JSON.stringify(config));
+    return loadTagRules(rulesPath);
+  }
+
+  describe('loadTagRules', () => {
+    test('should report unreadable and invalid rule files', () => {
+      expect(() => loadTagRules(path.join(tmpDir, 'missing.json'))).toThrow(/^Failed to load tag rules from/);
+      expect(() => loadRules('{ bad json')).toThrow(/^Failed to load tag rules from/);
+      expect(() => loadRules('[]')).toThrow(/must be an object/);
+      expect(() => loadRules({ case: 'upper' })).toThrow('Invalid case');
+      expect(() => loadRules({ rename: { a: 'b' } })).toThrow('rename in');
+      expect(() => loadRules({ rename: [{ pattern: '(', replace: 'x' }] })).toThrow('Invalid pattern (');
+      expect(() => loadRules({ remove: ['/[/'] })).toThrow('Invalid pattern /[/');
+    });
+  });
+
+  describe('applyTagRules', () => {
+    test('should leave tags alone apart from trimming with an empty rule file', () => {
+      const row = applyTagRules(createRow({ tags: ' reading , Tech  Notes,,' }), loadRules({}));
+
+      expect(row.tags).toBe('reading,Tech Notes');
+    });
+
+    test('should apply aliases case-insensitively and regex renames', () => {
+      const rules = loadRules({
+        aliases: { JS: 'javascript', ml: 'machine-learning' },
+        rename: [{ pattern: '^lang[-_](.+)$', replace: 'lang/$1' }, { pattern: ':', replace: '/', flags: 'g' }]
+      });
+
+      const row = applyTagRules(createRow({ tags: 'js,ML,lang_go,dev:tools:cli' }), rules);
+
+      expect(row.tags).toBe('javascript,machine-learning,lang/go,dev/tools/cli');
+    });
+
+    test('should lower-case tags and merge tags that differ only in case', () => {
+      expect(applyTagRules(createRow({ tags: 'Tech,TECH,News' }), loadRules({ case: 'lower' })).tags).toBe('tech,news');
+      // 大文字小文字を保持する場合は最初の表記を残す
+      expect(applyTagRules(createRow({ tags: 'Tech,tech' }), loadRules({})).tags).toBe('Tech');
+    });
+
+    test('should drop removed tags by name or regular expression', () => {
+      const rules = loadRules({ remove: ['To Read', '/^ifttt/i'] });
+
+      const row = applyTagRules(createRow({ tags: 'to read,IFTTT-feed,ifttt,keep' }), rules);
+
+      expect(row.tags).toBe('keep');
+    });
+
+    test('should remove every matching tag when the pattern has the g or y flag', () => {
+      const rules = loadRules({ remove: ['/^tmp/gi', '/old/y'] });
+
+      const row = applyTagRules(createRow({ tags: 'tmp1,tmp2,TMP3,tmp4,old,old2,keep' }), rules);
+
+      expect(row.tags).toBe('keep');
+    });
+
+    test('should add domain and status tags', () => {
+      const rules = loadRules({ domainTag: 'site/', statusTag: { archive: 'read' } });
+
+      expect(applyTagRules(createRow({ tags: 'a' }), rules).tags).toBe('a,site/example.com,unread');
+      expect(applyTagRules(createRow({ status: 'archive' }), rules).tags).toBe('site/example.com,read');
+      expect(applyTagRules(createRow(), loadRules({ domainTag: true, statusTag: true })).tags).toBe('example.com,unread');
+    });
+
+    test('should prefix every tag once', () => {
+      const rules = loadRules({ prefix: 'pocket/', domainTag: true });
+
+      const row = applyTagRules(createRow({ tags: 'reading,pocket/tech' }), rules);
+
+      expect(row.tags).toBe('pocket/reading,pocket/tech,pocket/example.com');
+    });
+
+    test('should keep tag names valid for Evernote', () => {
+      const rules = loadRules({ aliases: { a: 'x,y' }, rename: [{ pattern: '^long$', replace: 'z'.repeat(120) }] });
+
+      const row = applyTagRules(createRow({ tags: 'a,long' }), rules);
+
+      expect(row.tags.split(',')).toEqual(['x y', 'z'.repeat(100)]);
+    });
+
+    test('should clean up tags merged from duplicates and tags added by --status-tags and --favorite-tag', () => {
+      const rules = loadRules({ case: 'lower', prefix: 'pocket/' });
+      const { rows } = dedupeRows([
+        createRow({ tags: 'JS' }),
+        createRow({ tags: 'js,News', favorite: '1' })
+      ]);
+      applyStatusTags(rows, { unread: 'Status:Unread', archive: 'Status:Archive' });
+      applyFavoriteTag(rows, 'Starred');
+
+      rows.forEach(row => applyTagRules(row, rules));
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].tags).toBe('pocket/js,pocket/news,pocket/status:unread,pocket/starred');
+    });
+  });
+
+  test('should merge duplicate tags that differ only in case without tag rules', () => {
+    const { rows } = dedupeRows([
+      createRow({ tags: 'JS' }),
+      createRow({ tags: 'js,News' })
+    ]);
+
+    expect(rows[0].tags).toBe('JS,News');
+  });
+});